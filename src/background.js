@@ -4,35 +4,179 @@ import { AlarmService } from './services/AlarmService.js';
 import { StorageService } from './services/StorageService.js';
 import { TabService } from './services/TabService.js';
 import { BadgeService } from './services/BadgeService.js';
+import { PreciseTimerService } from './services/PreciseTimerService.js';
+import { RuleService } from './services/RuleService.js';
+import { ScheduleService } from './services/ScheduleService.js';
+import { ReloadQueueService } from './services/ReloadQueueService.js';
+import { ContentService } from './services/ContentService.js';
+import { TriggerService } from './services/TriggerService.js';
+import { NotificationService } from './services/NotificationService.js';
+import { WebhookService } from './services/WebhookService.js';
+import { RetryService } from './services/RetryService.js';
+import { PageStatusService } from './services/PageStatusService.js';
+import { HistoryService } from './services/HistoryService.js';
+import { StatsService } from './services/StatsService.js';
+import { ContextMenuService } from './services/ContextMenuService.js';
+import { TimerSettingsService } from './services/TimerSettingsService.js';
+import {
+    BADGE_MODES, BADGE_STATES, BADGE_TICK_ALARM_NAME, KEEPALIVE_ALARM_NAME, MAX_INTERVAL_PRESETS, MIN_INTERVAL_SECONDS,
+    OPTIONS_KEY, TRIGGER_MATCH_LIMIT,
+} from './shared/constants.js';
 
 // --- Message Handlers (Command Pattern) ---
 
+/**
+ * Checks that a time window has well-formed start and end times.
+ * @param {object} window - The time window.
+ * @returns {boolean}
+ */
+function isValidTimeWindow(window) {
+    return ScheduleService.parseTime(window.start) !== null && ScheduleService.parseTime(window.end) !== null;
+}
+
+/**
+ * Checks that an interval is a whole number of seconds, at least the minimum.
+ * @param {*} intervalSeconds - The interval to check.
+ * @param {boolean} [allowZero=false] - Whether 0, which clears a timer, is accepted.
+ * @returns {boolean}
+ */
+function isValidInterval(intervalSeconds, allowZero = false) {
+    if (allowZero && intervalSeconds === 0) return true;
+    return Number.isInteger(intervalSeconds) && intervalSeconds >= MIN_INTERVAL_SECONDS;
+}
+
+/**
+ * Checks that a jitter setting has a non-negative amount and a known unit.
+ * @param {object} jitter - The jitter setting.
+ * @returns {boolean}
+ */
+function isValidJitter(jitter) {
+    return Number.isFinite(jitter.amount) && jitter.amount >= 0
+        && (jitter.unit === 'percent' ? jitter.amount <= 100 : jitter.unit === 'seconds');
+}
+
+/**
+ * Checks that optional reload limits are a positive whole count and a future time.
+ * @param {object} request - The message request with optional maxReloads and expiresAt.
+ * @returns {boolean}
+ */
+function isValidLimit({ maxReloads, expiresAt }) {
+    if (maxReloads != null && !(Number.isInteger(maxReloads) && maxReloads > 0)) return false;
+    return expiresAt == null || (Number.isFinite(expiresAt) && expiresAt > Date.now());
+}
+
 /**
  * Handles the 'setTimer' action. Sets or clears a tab's reload interval.
- * @param {object} request - The message request with tabId and interval.
+ * An optional `schedule` (active time window, or null to remove it) and `jitter`
+ * (random ±percent or ±seconds per reload, or null to remove it) are stored with the timer,
+ * as are the limits `maxReloads` and `expiresAt` (null to remove them), a content `watch`
+ * ({selector}, or null to stop watching), a keyword `trigger` (see `TriggerService`, or null to remove it),
+ * a `failurePolicy` (see `RetryService`, or null for the default) and `settings` that override the global
+ * options (see `TimerSettingsService`, or null to follow the options page).
+ * Setting a timer restarts its reload and failure counts.
+ * @param {object} request - The message request with tabId, intervalSeconds and optional schedule, jitter,
+ *     maxReloads, expiresAt, watch, trigger, failurePolicy and settings.
  * @returns {Promise<{success: boolean, error?: string}>}
  */
 async function handleSetTimer(request) {
-    const { tabId, interval } = request;
+    const { tabId, intervalSeconds } = request;
 
-    if (!tabId || typeof interval === 'undefined') {
+    if (!tabId || typeof intervalSeconds === 'undefined') {
         return { success: false, error: 'Missing tabId or interval' };
     }
 
-    await StorageService.saveInterval(tabId, interval);
-    await AlarmService.schedule(tabId, interval);
+    if (!isValidInterval(intervalSeconds, true)) {
+        return { success: false, error: `Interval must be at least ${MIN_INTERVAL_SECONDS} seconds` };
+    }
+
+    if (request.schedule && !isValidTimeWindow(request.schedule)) {
+        return { success: false, error: 'Invalid schedule' };
+    }
+
+    if (request.jitter && !isValidJitter(request.jitter)) {
+        return { success: false, error: 'Invalid jitter' };
+    }
+
+    if (!isValidLimit(request)) {
+        return { success: false, error: 'Invalid reload limit or expiry' };
+    }
+
+    if (request.watch && typeof request.watch.selector !== 'string') {
+        return { success: false, error: 'Invalid watch' };
+    }
+
+    if (request.trigger && !TriggerService.isValid(request.trigger)) {
+        return { success: false, error: 'Invalid keyword trigger' };
+    }
+
+    if (request.failurePolicy && !RetryService.isValidPolicy(request.failurePolicy)) {
+        return { success: false, error: 'Invalid failure policy' };
+    }
+
+    if (request.settings && !TimerSettingsService.isValid(request.settings)) {
+        return { success: false, error: 'Invalid timer settings' };
+    }
+
+    // A timer set by hand is no longer owned by the rule that may have created it.
+    const { ruleId, ...current } = (await StorageService.getTimer(tabId)) ?? {};
+    const location = intervalSeconds > 0 ? await TabService.getTabLocation(tabId) : null;
+    // Setting an interval by hand also resumes a paused timer.
+    const record = {
+        ...current, intervalSeconds, ...location, paused: false, reloadCount: 0,
+        failureCount: undefined, lastError: undefined, lastFailureAt: undefined,
+    };
+    if ('schedule' in request) {
+        record.schedule = request.schedule ?? undefined;
+    }
+    if ('jitter' in request) {
+        record.jitter = request.jitter?.amount > 0 ? request.jitter : undefined;
+    }
+    for (const field of ['maxReloads', 'expiresAt']) {
+        if (field in request) record[field] = request[field] ?? undefined;
+    }
+    if ('watch' in request && request.watch?.selector !== current.watch?.selector) {
+        // A different watch starts from a fresh capture.
+        record.watch = request.watch ? { selector: request.watch.selector.trim() } : undefined;
+        record.watchHash = undefined;
+        record.changedAt = undefined;
+    }
+    if ('trigger' in request) {
+        if (!TriggerService.isSameCondition(request.trigger, current.trigger)) {
+            // A different keyword starts with no history.
+            record.triggerPresent = undefined;
+            record.triggerMatches = undefined;
+        }
+        record.trigger = request.trigger ?? undefined;
+    }
+    if ('failurePolicy' in request) {
+        record.failurePolicy = request.failurePolicy ?? undefined;
+    }
+    if ('settings' in request) {
+        record.settings = TimerSettingsService.normalize(request.settings) ?? undefined;
+    }
+    if (intervalSeconds > 0 && (record.watch || record.trigger) && !TimerSettingsService.loadsPage(record.settings)) {
+        return { success: false, error: 'Change and keyword checks need a reload mode that loads the page' };
+    }
+    await StorageService.saveTimer(tabId, record);
+    await syncTimerAlarm(tabId, record);
     await BadgeService.updateBadge();
 
-    const action = interval > 0 ? 'set' : 'cleared';
-    console.log(`Timer ${action} for tab ${tabId} (${interval} min).`);
+    const action = intervalSeconds > 0 ? 'set' : 'cleared';
+    console.log(`Timer ${action} for tab ${tabId} (${intervalSeconds} s).`);
 
     return { success: true };
 }
 
 /**
- * Handles the 'getTimer' action. Retrieves a tab's current interval.
+ * Handles the 'getTimer' action. Retrieves a tab's current interval, schedule and jitter.
+ * `dormant` is true while the timer is outside its active window or in quiet hours.
+ * `nextReload`, `lastReload` and `expiresAt` are epoch milliseconds, or null if unknown or unset.
  * @param {object} request - The message request with tabId.
- * @returns {Promise<{success: boolean, interval?: number, error?: string}>}
+ * @returns {Promise<{success: boolean, intervalSeconds?: number, schedule?: object, jitter?: object, paused?: boolean,
+ *     dormant?: boolean, nextReload?: number|null, lastReload?: number|null, maxReloads?: number|null,
+ *     reloadCount?: number, expiresAt?: number|null, watch?: object|null, changedAt?: number|null,
+ *     trigger?: object|null, triggerMatches?: Array, failurePolicy?: object, failureCount?: number,
+ *     lastError?: string|null, lastResult?: object|null, settings?: object|null, error?: string}>}
  */
 async function handleGetTimer(request) {
     const { tabId } = request;
@@ -41,33 +185,345 @@ async function handleGetTimer(request) {
         return { success: false, error: 'Missing tabId' };
     }
 
-    const interval = await StorageService.getInterval(tabId);
-    return { success: true, interval };
+    const timer = await StorageService.getTimer(tabId);
+    const options = await StorageService.getOptions();
+    const nextReloadTimes = await AlarmService.getNextReloadTimes();
+    return {
+        success: true,
+        intervalSeconds: timer?.intervalSeconds ?? 0,
+        schedule: timer?.schedule ?? null,
+        jitter: timer?.jitter ?? null,
+        paused: Boolean(timer?.paused),
+        dormant: timer?.intervalSeconds > 0 && !ScheduleService.isActive(timer.schedule, options),
+        nextReload: nextReloadTimes.get(tabId) ?? null,
+        lastReload: timer?.lastReload ?? null,
+        maxReloads: timer?.maxReloads ?? null,
+        reloadCount: timer?.reloadCount ?? 0,
+        expiresAt: timer?.expiresAt ?? null,
+        watch: timer?.watch ?? null,
+        changedAt: timer?.changedAt ?? null,
+        trigger: timer?.trigger ?? null,
+        triggerMatches: timer?.triggerMatches ?? [],
+        failurePolicy: RetryService.getPolicy(timer),
+        failureCount: timer?.failureCount ?? 0,
+        lastError: timer?.lastError ?? null,
+        lastResult: timer?.lastResult ?? null,
+        settings: timer?.settings ?? null,
+    };
 }
 
 /**
- * Handles the 'getAllTimers' action. Returns all active timer entries with tab info.
- * @returns {Promise<{success: boolean, timers: Array}>}
+ * Handles the 'getAllTimers' action. Returns all active timer entries with tab info
+ * (title, URL and window), plus the state of the master "pause all" switch.
+ * @returns {Promise<{success: boolean, timers: Array, pausedAll: boolean}>}
  */
 async function handleGetAllTimers() {
-    const intervals = await StorageService.getAllIntervals();
+    const records = await StorageService.getAllTimers();
     const openTabIds = await TabService.getAllOpenTabIds();
+    const rules = await StorageService.getRules();
+    const options = await StorageService.getOptions();
+    const pausedAll = await StorageService.isPausedAll();
+    const nextReloadTimes = await AlarmService.getNextReloadTimes();
 
     const timers = [];
-    for (const { tabId, interval } of intervals) {
+    for (const record of records) {
+        const { tabId, intervalSeconds, ruleId, schedule, paused, lastReload, maxReloads, reloadCount, expiresAt } = record;
         if (!openTabIds.has(tabId)) continue;
         const tabInfo = await TabService.getTabInfo(tabId);
+        const rule = ruleId ? rules.find(r => r.id === ruleId) : null;
         timers.push({
             tabId,
-            interval,
+            intervalSeconds,
             title: tabInfo?.title || `Tab ${tabId}`,
             url: tabInfo?.url || '',
+            windowId: tabInfo?.windowId ?? null,
+            ruleId: rule?.id ?? null,
+            ruleLabel: rule ? RuleService.getLabel(rule) : null,
+            paused: Boolean(paused),
+            dormant: !ScheduleService.isActive(schedule, options),
+            nextReload: nextReloadTimes.get(tabId) ?? null,
+            lastReload: lastReload ?? null,
+            maxReloads: maxReloads ?? null,
+            reloadCount: reloadCount ?? 0,
+            expiresAt: expiresAt ?? null,
+            watching: Boolean(record.watch),
+            changedAt: record.changedAt ?? null,
+            trigger: record.trigger ?? null,
+            lastMatch: record.triggerMatches?.[0] ?? null,
+            failureCount: record.failureCount ?? 0,
+            lastError: record.lastError ?? null,
+            lastResult: record.lastResult ?? null,
         });
     }
 
+    return { success: true, timers, pausedAll };
+}
+
+/**
+ * Handles the 'reloadNow' action. Reloads a timed tab immediately and restarts
+ * its countdown from a full interval. Responds once the page has loaded.
+ * On-demand reloads are added to the history but do not count towards `maxReloads`.
+ * @param {object} request - The message request with tabId.
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function handleReloadNow(request) {
+    const { tabId } = request;
+
+    if (!tabId) {
+        return { success: false, error: 'Missing tabId' };
+    }
+
+    const timer = await StorageService.getTimer(tabId);
+    const options = TimerSettingsService.resolve(await StorageService.getOptions(), timer?.settings);
+    await reloadAndRecord(tabId, 'manual', options);
+
+    if (timer?.intervalSeconds > 0) {
+        await StorageService.updateTimer(tabId, { lastReload: Date.now() });
+        await syncTimerAlarm(tabId, timer);
+    }
+
+    console.log(`Tab ${tabId} reloaded on demand.`);
+    return { success: true };
+}
+
+/**
+ * Handles the 'focusTab' action. Brings a timed tab and its window to the front.
+ * @param {object} request - The message request with tabId.
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function handleFocusTab(request) {
+    const { tabId } = request;
+
+    if (!tabId) {
+        return { success: false, error: 'Missing tabId' };
+    }
+
+    if (!(await TabService.focusTab(tabId))) {
+        return { success: false, error: 'Tab not found' };
+    }
+    return { success: true };
+}
+
+/**
+ * Handles the 'acknowledgeChange' action. Clears a timer's "content changed" flag.
+ * @param {object} request - The message request with tabId.
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function handleAcknowledgeChange(request) {
+    const { tabId } = request;
+    const timer = await StorageService.getTimer(tabId);
+
+    if (!timer) {
+        return { success: false, error: 'No timer for this tab' };
+    }
+
+    const { changedAt, ...record } = timer;
+    await StorageService.saveTimer(tabId, record);
+    await BadgeService.updateBadge();
+    return { success: true };
+}
+
+/**
+ * Handles the 'pauseTimer' action. Pauses or resumes one timer.
+ * Pausing keeps the stored interval but clears the alarm; resuming reschedules it.
+ * @param {object} request - The message request with tabId and paused.
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function handlePauseTimer(request) {
+    const { tabId, paused } = request;
+    const timer = await StorageService.getTimer(tabId);
+
+    if (!(timer?.intervalSeconds > 0)) {
+        return { success: false, error: 'No timer for this tab' };
+    }
+
+    const record = { ...timer, paused: Boolean(paused) };
+    await StorageService.saveTimer(tabId, record);
+    await syncTimerAlarm(tabId, record);
+    await BadgeService.updateBadge();
+
+    console.log(`Timer ${paused ? 'paused' : 'resumed'} for tab ${tabId}.`);
+    return { success: true };
+}
+
+/**
+ * Handles the 'pauseAll' action. Flips the master switch that pauses every timer.
+ * Individually paused timers stay paused when everything is resumed.
+ * @param {object} request - The message request with paused.
+ * @returns {Promise<{success: boolean}>}
+ */
+async function handlePauseAll(request) {
+    const paused = Boolean(request.paused);
+    await StorageService.setPausedAll(paused);
+
+    const timers = await StorageService.getAllTimers();
+    for (const { tabId, ...record } of timers) {
+        await syncTimerAlarm(tabId, record, paused);
+    }
+    await BadgeService.updateBadge();
+
+    console.log(paused ? 'All timers paused.' : 'All timers resumed.');
+    return { success: true };
+}
+
+/**
+ * Changes the interval of an existing timer and reschedules its alarm.
+ * Unlike 'setTimer', everything else is kept: the paused state, the reload count and the
+ * failure, change and keyword records.
+ * @param {number} tabId - The tab ID.
+ * @param {number} intervalSeconds - The new interval in seconds.
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function changeTimerInterval(tabId, intervalSeconds) {
+    const record = await StorageService.changeInterval(tabId, intervalSeconds);
+
+    if (!record) {
+        return { success: false, error: 'No timer for this tab' };
+    }
+
+    await syncTimerAlarm(tabId, record);
+    await BadgeService.updateBadge();
+    return { success: true };
+}
+
+/**
+ * Handles the 'changeInterval' action, used by the interval fields of the timer lists.
+ * @param {object} request - The message request with tabId and intervalSeconds.
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function handleChangeInterval(request) {
+    const { tabId, intervalSeconds } = request;
+
+    if (!tabId) {
+        return { success: false, error: 'Missing tabId' };
+    }
+    if (!isValidInterval(intervalSeconds)) {
+        return { success: false, error: `Interval must be at least ${MIN_INTERVAL_SECONDS} seconds` };
+    }
+
+    return changeTimerInterval(tabId, intervalSeconds);
+}
+
+/**
+ * Operations of the 'bulkUpdateTimers' action, each applied to one tab.
+ * @type {Record<string, (tabId: number, request: object) => Promise<object>>}
+ */
+const bulkOperations = {
+    pause: tabId => handlePauseTimer({ tabId, paused: true }),
+    resume: tabId => handlePauseTimer({ tabId, paused: false }),
+    clear: tabId => handleSetTimer({ tabId, intervalSeconds: 0 }),
+    setInterval: (tabId, { intervalSeconds }) => changeTimerInterval(tabId, intervalSeconds),
+};
+
+/**
+ * Handles the 'bulkUpdateTimers' action. Applies one operation to several timers in a single message:
+ * 'pause', 'resume', 'clear', or 'setInterval' (which changes only the interval of tabs that have a timer).
+ * A tab that cannot be updated, e.g. because its timer was cleared meanwhile, does not stop the others.
+ * @param {object} request - The message request with tabIds, operation and, for 'setInterval', intervalSeconds.
+ * @returns {Promise<{success: boolean, updated?: number, failed?: number[], error?: string}>}
+ */
+async function handleBulkUpdateTimers(request) {
+    const { tabIds, operation } = request;
+    const apply = Object.hasOwn(bulkOperations, operation) ? bulkOperations[operation] : null;
+
+    if (!Array.isArray(tabIds) || tabIds.length === 0 || !tabIds.every(Number.isInteger)) {
+        return { success: false, error: 'Missing tabIds' };
+    }
+    if (!apply) {
+        return { success: false, error: `Unknown operation: ${operation}` };
+    }
+    if (operation === 'setInterval' && !isValidInterval(request.intervalSeconds)) {
+        return { success: false, error: `Interval must be at least ${MIN_INTERVAL_SECONDS} seconds` };
+    }
+
+    const failed = [];
+    for (const tabId of tabIds) {
+        const response = await apply(tabId, request);
+        if (!response.success) failed.push(tabId);
+    }
+
+    console.log(`Bulk ${operation} applied to ${tabIds.length - failed.length} of ${tabIds.length} timers.`);
+    return { success: true, updated: tabIds.length - failed.length, failed };
+}
+
+/**
+ * Handles the 'getUnmatchedTimers' action. Returns timers that could not be
+ * rebound to a tab after a browser restart.
+ * @returns {Promise<{success: boolean, timers: Array}>}
+ */
+async function handleGetUnmatchedTimers() {
+    const timers = await StorageService.getUnmatchedTimers();
     return { success: true, timers };
 }
 
+/**
+ * Handles the 'reopenUnmatchedTimer' action. Opens the timer's URL in a new tab
+ * and binds the saved timer to it.
+ * @param {object} request - The message request with id.
+ * @returns {Promise<{success: boolean, tabId?: number, error?: string}>}
+ */
+async function handleReopenUnmatchedTimer(request) {
+    const entry = await StorageService.removeUnmatchedTimer(request.id);
+
+    if (!entry?.url) {
+        return { success: false, error: 'Unknown unmatched timer' };
+    }
+
+    const { id, lostAt, ...record } = entry;
+    const tab = await TabService.openTab(entry.url);
+    const rebound = { ...record, windowId: tab.windowId, index: tab.index };
+    await StorageService.saveTimer(tab.id, rebound);
+    await syncTimerAlarm(tab.id, rebound);
+    await BadgeService.updateBadge();
+
+    console.log(`Reopened unmatched timer ${id} as tab ${tab.id}.`);
+    return { success: true, tabId: tab.id };
+}
+
+/**
+ * Handles the 'dismissUnmatchedTimer' action. Discards an unmatched timer.
+ * @param {object} request - The message request with id.
+ * @returns {Promise<{success: boolean}>}
+ */
+async function handleDismissUnmatchedTimer(request) {
+    await StorageService.removeUnmatchedTimer(request.id);
+    return { success: true };
+}
+
+/**
+ * Handles the 'getRules' action. Returns the URL-pattern rules.
+ * @returns {Promise<{success: boolean, rules: Array}>}
+ */
+async function handleGetRules() {
+    const rules = await StorageService.getRules();
+    return { success: true, rules };
+}
+
+/**
+ * Handles the 'saveRules' action. Replaces the URL-pattern rules and
+ * re-applies them to every open tab.
+ * @param {object} request - The message request with rules.
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function handleSaveRules(request) {
+    const { rules } = request;
+
+    if (!Array.isArray(rules)) {
+        return { success: false, error: 'Invalid rules data' };
+    }
+
+    const invalid = rules.find(rule => !rule.id || !RuleService.isValid(rule) || !isValidInterval(rule.intervalSeconds));
+    if (invalid) {
+        return { success: false, error: `Invalid rule: ${invalid.pattern || '(empty pattern)'}` };
+    }
+
+    await StorageService.saveRules(rules);
+    await applyRulesToAllTabs();
+
+    console.log(`Saved ${rules.length} rule(s).`);
+    return { success: true };
+}
+
 /**
  * Handles the 'exportSettings' action. Exports all extension data.
  * @returns {Promise<{success: boolean, data: object}>}
@@ -91,7 +547,9 @@ async function handleImportSettings(request) {
 
     await AlarmService.clearAll();
     await StorageService.importAll(data);
+    await StorageService.migrate();
     await restoreAlarmsFromStorage();
+    await applyRulesToAllTabs();
     await BadgeService.updateBadge();
 
     console.log('Settings imported and alarms restored.');
@@ -119,6 +577,43 @@ async function handleSaveOptions(request) {
         return { success: false, error: 'Invalid options data' };
     }
 
+    const windows = [options.activeWindow, options.quietHours].filter(Boolean);
+    if (windows.some(window => !isValidTimeWindow(window))) {
+        return { success: false, error: 'Invalid time window' };
+    }
+
+    if ('badgeMode' in options && !BADGE_MODES.includes(options.badgeMode)) {
+        return { success: false, error: 'Invalid badge mode' };
+    }
+
+    if ('badgeColors' in options
+        && !BADGE_STATES.every(state => /^#[0-9a-f]{6}$/i.test(options.badgeColors?.[state]))) {
+        return { success: false, error: 'Invalid badge colors' };
+    }
+
+    if ('defaultIntervalSeconds' in options && !isValidInterval(options.defaultIntervalSeconds)) {
+        return { success: false, error: `Default interval must be at least ${MIN_INTERVAL_SECONDS} seconds` };
+    }
+
+    if ('intervalPresets' in options && !(Array.isArray(options.intervalPresets)
+        && options.intervalPresets.length <= MAX_INTERVAL_PRESETS
+        && options.intervalPresets.every(preset => isValidInterval(preset)))) {
+        return { success: false, error: 'Invalid interval presets' };
+    }
+
+    if ('maxConcurrentReloads' in options
+        && !(Number.isInteger(options.maxConcurrentReloads) && options.maxConcurrentReloads >= 0)) {
+        return { success: false, error: 'Invalid concurrency limit' };
+    }
+
+    if ('errorRetrySeconds' in options && !(Number.isFinite(options.errorRetrySeconds) && options.errorRetrySeconds >= 0)) {
+        return { success: false, error: 'Invalid error retry interval' };
+    }
+
+    if (options.webhook?.enabled && !WebhookService.isValidUrl(options.webhook.url)) {
+        return { success: false, error: 'Invalid webhook URL' };
+    }
+
     await StorageService.saveOptions(options);
     await BadgeService.updateBadge();
 
@@ -126,6 +621,104 @@ async function handleSaveOptions(request) {
     return { success: true };
 }
 
+/**
+ * Handles the 'getWebhookLog' action.
+ * @returns {Promise<{success: boolean, log: object[]}>}
+ */
+async function handleGetWebhookLog() {
+    const log = await StorageService.getWebhookLog();
+    return { success: true, log };
+}
+
+/**
+ * Handles the 'clearWebhookLog' action.
+ * @returns {Promise<{success: boolean}>}
+ */
+async function handleClearWebhookLog() {
+    await StorageService.clearWebhookLog();
+    return { success: true };
+}
+
+/**
+ * Handles the 'testWebhook' action: posts a sample event to a URL once, without retries.
+ * @param {object} request - The message request with url.
+ * @returns {Promise<{success: boolean, status?: number|null, error?: string|null}>}
+ */
+async function handleTestWebhook(request) {
+    if (!WebhookService.isValidUrl(request.url)) {
+        return { success: false, error: 'Invalid webhook URL' };
+    }
+
+    const payload = WebhookService.buildPayload('test', { tabId: 0, data: { message: 'Test event from Auto Tab Reloader' } });
+    const result = await WebhookService.send(request.url, 'test', payload, { maxAttempts: 1 });
+    return { success: result.ok, status: result.status, error: result.error };
+}
+
+/**
+ * Handles the 'getHistory' action. Returns the reload history, newest first, narrowed by an optional filter.
+ * @param {object} request - The message request with an optional filter ({query, source, outcome}).
+ * @returns {Promise<{success: boolean, history: Array, total: number}>}
+ */
+async function handleGetHistory(request) {
+    const history = await StorageService.getHistory();
+    return { success: true, history: HistoryService.filter(history, request.filter), total: history.length };
+}
+
+/**
+ * Handles the 'exportHistory' action. Serializes the (filtered) reload history as CSV or JSON.
+ * @param {object} request - The message request with format ('csv' or 'json') and an optional filter.
+ * @returns {Promise<{success: boolean, content?: string, mimeType?: string, error?: string}>}
+ */
+async function handleExportHistory(request) {
+    if (!['csv', 'json'].includes(request.format)) {
+        return { success: false, error: 'Unknown export format' };
+    }
+
+    const history = HistoryService.filter(await StorageService.getHistory(), request.filter);
+    return { success: true, ...HistoryService.serialize(history, request.format) };
+}
+
+/**
+ * Handles the 'clearHistory' action.
+ * @returns {Promise<{success: boolean}>}
+ */
+async function handleClearHistory() {
+    await StorageService.clearHistory();
+    return { success: true };
+}
+
+/**
+ * Handles the 'getStats' action. Returns the reload statistics summarized for the dashboard.
+ * @returns {Promise<{success: boolean, stats: object}>}
+ */
+async function handleGetStats() {
+    const stats = await StorageService.getStats();
+    return { success: true, stats: StatsService.summarize(stats) };
+}
+
+/**
+ * Handles the 'clearStats' action.
+ * @returns {Promise<{success: boolean}>}
+ */
+async function handleClearStats() {
+    await StorageService.clearStats();
+    return { success: true };
+}
+
+/**
+ * Handles the 'timerTick' action sent by the offscreen precise timer.
+ * A one-shot tick (a short retry) puts the tab back on its regular timer first, as one-shot alarms do.
+ * @param {object} request - The message request with tabId and once.
+ * @returns {Promise<{success: boolean}>}
+ */
+async function handleTimerTick(request) {
+    if (request.once) {
+        await syncTimerAlarm(request.tabId, await StorageService.getTimer(request.tabId));
+    }
+    await reloadTimerTab(request.tabId);
+    return { success: true };
+}
+
 /**
  * Handler map: maps action names to handler functions.
  * Adding a new action only requires a new entry here (Open/Closed Principle).
@@ -133,59 +726,663 @@ async function handleSaveOptions(request) {
  */
 const messageHandlers = {
     setTimer: handleSetTimer,
+    changeInterval: handleChangeInterval,
     getTimer: handleGetTimer,
     getAllTimers: handleGetAllTimers,
     exportSettings: handleExportSettings,
     importSettings: handleImportSettings,
     getOptions: handleGetOptions,
     saveOptions: handleSaveOptions,
+    getWebhookLog: handleGetWebhookLog,
+    clearWebhookLog: handleClearWebhookLog,
+    testWebhook: handleTestWebhook,
+    getHistory: handleGetHistory,
+    exportHistory: handleExportHistory,
+    clearHistory: handleClearHistory,
+    getStats: handleGetStats,
+    clearStats: handleClearStats,
+    timerTick: handleTimerTick,
+    getUnmatchedTimers: handleGetUnmatchedTimers,
+    reopenUnmatchedTimer: handleReopenUnmatchedTimer,
+    dismissUnmatchedTimer: handleDismissUnmatchedTimer,
+    reloadNow: handleReloadNow,
+    focusTab: handleFocusTab,
+    acknowledgeChange: handleAcknowledgeChange,
+    pauseTimer: handlePauseTimer,
+    pauseAll: handlePauseAll,
+    bulkUpdateTimers: handleBulkUpdateTimers,
+    getRules: handleGetRules,
+    saveRules: handleSaveRules,
+};
+
+// --- Keyboard Commands ---
+
+/**
+ * Throws unless a tab can have a timer.
+ * @param {chrome.tabs.Tab} tab - The tab.
+ */
+function assertTimerTab(tab) {
+    if (!tab.url || TabService.isRestrictedUrl(tab.url)) {
+        throw new Error('Timers cannot run on this page');
+    }
+}
+
+/**
+ * Sets a tab's interval through the 'setTimer' action, keeping its other settings.
+ * @param {number} tabId - The tab ID.
+ * @param {number} intervalSeconds - The interval in seconds (0 to clear).
+ */
+async function setTimerInterval(tabId, intervalSeconds) {
+    const response = await handleSetTimer({ tabId, intervalSeconds });
+    if (!response.success) throw new Error(response.error);
+}
+
+/**
+ * Handles the 'toggle-timer' command. Clears the tab's timer, or starts one with the default interval.
+ * @param {chrome.tabs.Tab} tab - The active tab.
+ * @returns {Promise<string>} The badge text that confirms the command.
+ */
+async function handleToggleTimerCommand(tab) {
+    assertTimerTab(tab);
+    const timer = await StorageService.getTimer(tab.id);
+
+    if (timer?.intervalSeconds > 0) {
+        await setTimerInterval(tab.id, 0);
+        return BadgeService.OFF_TEXT;
+    }
+
+    const { defaultIntervalSeconds } = await StorageService.getOptions();
+    await setTimerInterval(tab.id, defaultIntervalSeconds);
+    return BadgeService.formatCountdown(defaultIntervalSeconds * 1000);
+}
+
+/**
+ * Handles the 'toggle-pause-all' command. Pauses every timer, or resumes them.
+ * @returns {Promise<string>} The badge text that confirms the command.
+ */
+async function handleTogglePauseAllCommand() {
+    const paused = !(await StorageService.isPausedAll());
+    await handlePauseAll({ paused });
+    return paused ? BadgeService.PAUSED_TEXT : BadgeService.RESUMED_TEXT;
+}
+
+/**
+ * Handles the 'reload-now' command. Reloads the tab as the popup's *Reload now* button does.
+ * @param {chrome.tabs.Tab} tab - The active tab.
+ * @returns {Promise<string>} The badge text that confirms the command.
+ */
+async function handleReloadNowCommand(tab) {
+    assertTimerTab(tab);
+    await handleReloadNow({ tabId: tab.id });
+    return BadgeService.RELOAD_TEXT;
+}
+
+/**
+ * Handles the 'cycle-interval' command. Moves the tab's timer to the next interval preset,
+ * starting a timer on the first preset if the tab has none or its interval is not a preset.
+ * @param {chrome.tabs.Tab} tab - The active tab.
+ * @returns {Promise<string>} The badge text that confirms the command.
+ */
+async function handleCycleIntervalCommand(tab) {
+    assertTimerTab(tab);
+    const { intervalPresets } = await StorageService.getOptions();
+    if (intervalPresets.length === 0) throw new Error('No interval presets');
+
+    const timer = await StorageService.getTimer(tab.id);
+    const index = intervalPresets.indexOf(timer?.intervalSeconds);
+    const intervalSeconds = intervalPresets[(index + 1) % intervalPresets.length];
+
+    await setTimerInterval(tab.id, intervalSeconds);
+    return BadgeService.formatCountdown(intervalSeconds * 1000);
+}
+
+/**
+ * Command handler map, keyed by the command names declared in manifest.json.
+ * @type {Record<string, function(chrome.tabs.Tab): Promise<string>>}
+ */
+const commandHandlers = {
+    'toggle-timer': handleToggleTimerCommand,
+    'toggle-pause-all': handleTogglePauseAllCommand,
+    'reload-now': handleReloadNowCommand,
+    'cycle-interval': handleCycleIntervalCommand,
 };
 
+// --- Context Menus ---
+
+/**
+ * Rebuilds the context menu entries from the interval presets and syncs them to the current tab.
+ */
+async function rebuildContextMenus() {
+    const { intervalPresets } = await StorageService.getOptions();
+    await ContextMenuService.build(intervalPresets);
+    await syncContextMenus();
+}
+
+/**
+ * Syncs the context menu's checked and enabled entries to the focused window's active tab.
+ */
+async function syncContextMenus() {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    const { intervalPresets } = await StorageService.getOptions();
+    const timer = tab ? await StorageService.getTimer(tab.id) : null;
+    await ContextMenuService.sync(tab, timer, intervalPresets);
+}
+
 // --- Alarm Restore ---
 
 /**
- * Restores alarms from storage for tabs that are still open.
- * Cleans up orphaned storage entries for tabs that no longer exist.
+ * Restores alarms from storage, rebinding each timer to its tab.
+ * Tab IDs change across browser restarts, so timers are matched to open tabs by
+ * URL, window and index (see `TabService.matchTimersToTabs`). Timers that cannot
+ * be matched are kept as unmatched entries for the popup to report.
  */
 async function restoreAlarmsFromStorage() {
     try {
-        const intervals = await StorageService.getAllIntervals();
+        const timers = await StorageService.getAllTimers();
+        const tabs = await TabService.getAllTabs();
+        const { matched, unmatched } = TabService.matchTimersToTabs(timers, tabs);
+
+        // Release every stale binding first so a rebound timer can take over a reused tab ID.
+        const keptTabIds = new Set(matched.filter(m => m.timer.tabId === m.tab.id).map(m => m.tab.id));
+        for (const { tabId } of timers) {
+            if (keptTabIds.has(tabId)) continue;
+            await AlarmService.clear(tabId);
+            await StorageService.removeInterval(tabId);
+        }
+
+        const pausedAll = await StorageService.isPausedAll();
+        for (const { timer, tab } of matched) {
+            const { tabId, ...record } = timer;
+            const rebound = { ...record, windowId: tab.windowId, index: tab.index };
+            await StorageService.saveTimer(tab.id, rebound);
+            await syncTimerAlarm(tab.id, rebound, pausedAll);
+            console.log(tabId === tab.id
+                ? `Restored alarm for tab ${tab.id} (${timer.intervalSeconds} s).`
+                : `Rebound timer from tab ${tabId} to tab ${tab.id} (${timer.intervalSeconds} s).`);
+        }
+
+        const lostAt = Date.now();
+        // Rule-created timers are re-applied by the rules themselves, so only manual ones are reported.
+        const reportable = unmatched.filter(t => t.url && !t.ruleId);
+        await StorageService.addUnmatchedTimers(reportable.map(({ tabId, ...record }) => ({ ...record, lostAt })));
+        for (const { tabId } of unmatched) {
+            console.log(`Could not rebind timer for tab ${tabId}.`);
+        }
+    } catch (error) {
+        console.error('Error restoring alarms from storage:', error);
+    }
+}
+
+/**
+ * Refreshes the stored URL, window and index of a timed tab so it can be
+ * recognised after a restart.
+ * @param {number} tabId - The tab ID.
+ */
+async function refreshTimerLocation(tabId) {
+    const timer = await StorageService.getTimer(tabId);
+    if (!(timer?.intervalSeconds > 0)) return;
+
+    const location = await TabService.getTabLocation(tabId);
+    if (location) {
+        await StorageService.updateTimer(tabId, location);
+    }
+}
+
+// --- Scheduling ---
+
+/**
+ * Starts or stops a tab's alarm to match its stored timer record.
+ * Paused timers, individually or through "pause all", keep their record but have no alarm.
+ * @param {number} tabId - The tab ID.
+ * @param {object|null} record - The tab's timer record.
+ * @param {boolean} [pausedAll] - The master pause switch; read from storage when omitted.
+ */
+async function syncTimerAlarm(tabId, record, pausedAll) {
+    pausedAll ??= await StorageService.isPausedAll();
+
+    if (record?.intervalSeconds > 0 && !record.paused && !pausedAll) {
+        await AlarmService.schedule(tabId, record.intervalSeconds, record.jitter);
+    } else {
+        await AlarmService.clear(tabId);
+    }
+}
+
+// --- URL Rules ---
+
+/**
+ * Applies the URL rules to a tab, starting, updating or stopping its rule-created timer.
+ * Timers set by hand are never touched.
+ * @param {chrome.tabs.Tab} tab - The tab.
+ * @param {import('./services/RuleService.js').Rule[]} rules - The rules, in priority order.
+ * @returns {Promise<boolean>} True if the tab's timer changed.
+ */
+async function applyRulesToTab(tab, rules) {
+    const url = tab.url || tab.pendingUrl || '';
+    const timer = await StorageService.getTimer(tab.id);
+    if (timer?.intervalSeconds > 0 && !timer.ruleId) return false;
+
+    const rule = TabService.isRestrictedUrl(url) ? null : RuleService.findMatchingRule(rules, url);
+
+    if (rule) {
+        if (timer?.ruleId === rule.id && timer.intervalSeconds === rule.intervalSeconds) return false;
+        const record = {
+            ...timer,
+            intervalSeconds: rule.intervalSeconds,
+            ruleId: rule.id,
+            url,
+            windowId: tab.windowId,
+            index: tab.index,
+        };
+        await StorageService.saveTimer(tab.id, record);
+        await syncTimerAlarm(tab.id, record);
+        console.log(`Rule "${RuleService.getLabel(rule)}" set timer for tab ${tab.id} (${rule.intervalSeconds} s).`);
+        return true;
+    }
+
+    if (timer?.ruleId) {
+        await AlarmService.clear(tab.id);
+        await StorageService.removeInterval(tab.id);
+        console.log(`Tab ${tab.id} no longer matches rule ${timer.ruleId}; timer stopped.`);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Applies the URL rules to every open tab and refreshes the badge if anything changed.
+ */
+async function applyRulesToAllTabs() {
+    try {
+        const rules = await StorageService.getRules();
+        const tabs = await TabService.getAllTabs();
+
+        let changed = false;
+        for (const tab of tabs) {
+            changed = (await applyRulesToTab(tab, rules)) || changed;
+        }
+
+        if (changed) {
+            await BadgeService.updateBadge();
+        }
+    } catch (error) {
+        console.error('Error applying URL rules:', error);
+    }
+}
+
+/**
+ * Recreates the offscreen timer document if it was closed and restarts
+ * the precise (sub-minute) timers it was hosting.
+ */
+async function ensurePreciseTimers() {
+    try {
+        const created = await PreciseTimerService.ensureDocument();
+        if (!created) return;
+
+        const timers = await StorageService.getAllTimers();
         const openTabIds = await TabService.getAllOpenTabIds();
+        const pausedAll = await StorageService.isPausedAll();
 
-        for (const { tabId, interval } of intervals) {
-            if (openTabIds.has(tabId) && interval > 0) {
-                await AlarmService.schedule(tabId, interval);
-                console.log(`Restored alarm for tab ${tabId} (${interval} min).`);
-            } else {
-                await StorageService.removeInterval(tabId);
-                console.log(`Cleaned orphaned entry for tab ${tabId}.`);
+        for (const { tabId, ...record } of timers) {
+            // A precise timer with a pending retry alarm is restarted when the retry fires.
+            if (openTabIds.has(tabId) && AlarmService.isPreciseInterval(record.intervalSeconds) && !(await AlarmService.hasAlarm(tabId))) {
+                await syncTimerAlarm(tabId, record, pausedAll);
+                console.log(`Restarted precise timer for tab ${tabId}.`);
             }
         }
     } catch (error) {
-        console.error('Error restoring alarms from storage:', error);
+        console.error('Error restarting precise timers:', error);
     }
 }
 
-// --- Event Listeners ---
+/**
+ * Checks whether a timer has reached its reload limit or expiry time.
+ * @param {import('./services/StorageService.js').TimerRecord|null} timer - The timer record.
+ * @param {number} [now=Date.now()] - The current epoch milliseconds.
+ * @returns {boolean}
+ */
+function isTimerExhausted(timer, now = Date.now()) {
+    if (timer?.expiresAt > 0 && now >= timer.expiresAt) return true;
+    return timer?.maxReloads > 0 && (timer.reloadCount ?? 0) >= timer.maxReloads;
+}
 
 /**
- * Handles alarm events. Reloads the corresponding tab.
- * If the tab no longer exists, clears the alarm and storage entry (SRP: cleanup at caller level).
+ * Removes a timer that reached its reload limit or expiry time.
+ * @param {number} tabId - The tab ID.
  */
-chrome.alarms.onAlarm.addListener(async (alarm) => {
-    const tabId = AlarmService.parseTabId(alarm.name);
-    if (tabId === null) return;
+async function expireTimer(tabId) {
+    const timer = await StorageService.getTimer(tabId);
+    await reportTimerEvent('timerExpired', tabId, {
+        title: chrome.i18n.getMessage('notifyTimerExpiredTitle'),
+        timer,
+        data: { reloadCount: timer?.reloadCount ?? 0, maxReloads: timer?.maxReloads ?? 0, expiresAt: timer?.expiresAt ?? 0 },
+    });
+    await AlarmService.clear(tabId);
+    await StorageService.removeInterval(tabId);
+    await BadgeService.updateBadge();
+    console.log(`Timer for tab ${tabId} reached its limit and was removed.`);
+}
+
+// --- Notifications ---
 
+/**
+ * Reports a timer event: notifies the user, naming the tab it happened in, and posts it to the webhook.
+ * The webhook delivery is not awaited so its retries never hold up the reload that raised the event.
+ * @param {string} event - The event name (see `NOTIFICATION_EVENTS`).
+ * @param {number} tabId - The tab ID.
+ * @param {object} report - What happened.
+ * @param {string} report.title - The notification title.
+ * @param {string} [report.detail] - An extra notification line, e.g. a match snippet.
+ * @param {import('./services/StorageService.js').TimerRecord|null} [report.timer] - The timer record.
+ * @param {object} [report.data] - Event details for the webhook payload.
+ */
+async function reportTimerEvent(event, tabId, { title, detail = '', timer = null, data = {} }) {
+    const tab = await TabService.getTabInfo(tabId);
+    const message = [tab?.title || tab?.url || `Tab ${tabId}`, detail].filter(Boolean).join('\n');
+    await NotificationService.notify(event, { tabId, title, message, settings: timer?.settings });
+    WebhookService.dispatch(event, { tabId, tab, timer, data });
+}
+
+// --- Reload ---
+
+/**
+ * Captures a watched tab's content after a reload and compares it with the previous capture.
+ * A different hash flags the timer as changed until the user acknowledges it in the popup.
+ * The first capture only records a baseline.
+ * @param {number} tabId - The tab ID.
+ * @param {import('./services/StorageService.js').TimerRecord} timer - The timer record, with a `watch`.
+ */
+async function checkForContentChange(tabId, timer) {
+    try {
+        const text = await ContentService.captureText(tabId, timer.watch.selector);
+        const hash = await ContentService.hashText(text);
+        const changed = Boolean(timer.watchHash) && hash !== timer.watchHash;
+
+        await StorageService.updateTimer(tabId, changed ? { watchHash: hash, changedAt: Date.now() } : { watchHash: hash });
+        if (changed) {
+            console.log(`Content of tab ${tabId} changed.`);
+            await BadgeService.updateBadge();
+            await reportTimerEvent('contentChanged', tabId, {
+                title: chrome.i18n.getMessage('notifyContentChangedTitle'),
+                timer,
+                data: { selector: timer.watch.selector },
+            });
+        }
+    } catch (error) {
+        console.warn(`Could not check tab ${tabId} for content changes:`, error);
+    }
+}
+
+/**
+ * Looks for a timer's keyword in its tab after a reload and records a match when
+ * the keyword appears or disappears as configured. Optionally pauses the timer on a match.
+ * @param {number} tabId - The tab ID.
+ * @param {import('./services/StorageService.js').TimerRecord} timer - The timer record, with a `trigger`.
+ */
+async function checkKeywordTrigger(tabId, timer) {
+    try {
+        const text = await ContentService.captureText(tabId);
+        const { present, met, snippet } = TriggerService.evaluate(timer.trigger, text, timer.triggerPresent);
+
+        const patch = { triggerPresent: present };
+        if (met) {
+            const match = { time: Date.now(), when: timer.trigger.when, snippet };
+            patch.triggerMatches = [match, ...(timer.triggerMatches ?? [])].slice(0, TRIGGER_MATCH_LIMIT);
+            if (timer.trigger.stopOnMatch) patch.paused = true;
+        }
+        await StorageService.updateTimer(tabId, patch);
+
+        if (met) {
+            const appeared = timer.trigger.when === 'appears';
+            console.log(`Keyword "${timer.trigger.pattern}" ${appeared ? 'appeared' : 'disappeared'} in tab ${tabId}.`);
+            if (patch.paused) {
+                await syncTimerAlarm(tabId, { ...timer, ...patch });
+                await BadgeService.updateBadge();
+            }
+            const title = chrome.i18n.getMessage(appeared ? 'notifyKeywordAppearedTitle' : 'notifyKeywordDisappearedTitle')
+                .replace('{pattern}', timer.trigger.pattern);
+            await reportTimerEvent('keywordMatched', tabId, {
+                title,
+                detail: snippet,
+                timer,
+                data: { pattern: timer.trigger.pattern, when: timer.trigger.when, snippet },
+            });
+        }
+    } catch (error) {
+        console.warn(`Could not check tab ${tabId} for its keyword:`, error);
+    }
+}
+
+/**
+ * Reload modes (see `RELOAD_MODES`): how each reloads a tab the way its timer's settings ask.
+ *
+ * 'reload' and 'navigate' load the main frame (`loadsPage`): `run` waits for the load, its outcome is
+ * worked out by `PageStatusService`, and content watches and keyword triggers are checked on the new page.
+ *
+ * 'click' and 'frame' only start an update inside the page, which no main-frame event reports: `run`
+ * resolves as soon as the click or frame reload has been made, before the page has changed. Their
+ * reloads are recorded without an HTTP status (`ok` only says the element or frame was found), and
+ * watches and triggers are not checked after them, since they would still see the old content.
+ * @type {Record<string, {loadsPage: boolean,
+ *     run: (tabId: number, options: {bypassCache: boolean, reloadTarget: string|null}) => Promise<unknown>}>}
+ */
+const reloadModes = {
+    reload: { loadsPage: true, run: (tabId, { bypassCache }) => TabService.reloadTabAndWait(tabId, bypassCache) },
+    navigate: { loadsPage: true, run: (tabId, { reloadTarget }) => TabService.navigateTabAndWait(tabId, reloadTarget) },
+    click: { loadsPage: false, run: (tabId, { reloadTarget }) => ContentService.clickElement(tabId, reloadTarget) },
+    frame: { loadsPage: false, run: (tabId, { reloadTarget }) => ContentService.reloadFrame(tabId, reloadTarget) },
+};
+
+/**
+ * Reloads a tab in its timer's reload mode, waits for the page to load and works out how the reload turned out.
+ * Modes that do not load the page are not tracked: their result has no status (see `reloadModes`).
+ * Every reload is added to the history and statistics, including one that fails outright, whose error is then rethrown.
+ * @param {number} tabId - The tab ID.
+ * @param {'alarm'|'manual'|'rule'} source - What triggered the reload.
+ * @param {{bypassCache: boolean, reloadMode: string, reloadTarget: string|null}} options - The options that
+ *     apply to the tab's timer (see `TimerSettingsService.resolve`).
+ * @returns {Promise<import('./services/PageStatusService.js').ReloadResult>}
+ */
+async function reloadAndRecord(tabId, source, options) {
+    const mode = reloadModes[options.reloadMode];
+    const before = await TabService.getTabInfo(tabId);
+    const startedAt = Date.now();
+    if (mode.loadsPage) {
+        // Going back to the home URL is expected to leave the page the tab drifted to.
+        PageStatusService.begin(tabId, options.reloadMode === 'navigate' ? options.reloadTarget : before?.url ?? '');
+    }
+
+    let result;
+    try {
+        await mode.run(tabId, options);
+        result = mode.loadsPage ? PageStatusService.finish(tabId) : { ok: true, status: null, error: null };
+        return result;
+    } catch (error) {
+        if (mode.loadsPage) PageStatusService.finish(tabId);
+        result = { ok: false, status: null, error: error.message };
+        throw error;
+    } finally {
+        const tab = (await TabService.getTabInfo(tabId)) ?? before;
+        const entry = {
+            time: startedAt,
+            tabId,
+            url: tab?.url ?? '',
+            title: tab?.title ?? '',
+            source,
+            ...result,
+            durationMs: Date.now() - startedAt,
+        };
+        await StorageService.addHistoryEntry(entry);
+        await StatsService.record(entry);
+    }
+}
+
+/**
+ * Reloads a tab whose timer fired, from either an alarm or a precise timer tick.
+ * Skips the reload while the timer is dormant (outside its active window or in quiet hours).
+ * With a concurrency limit set, the reload waits for a free slot and holds it until the page has loaded.
+ * Once the page has loaded, its outcome is recorded: a page that loaded with an error is handed to
+ * `handleErrorPage`; otherwise watched tabs are compared with their previous capture and keyword triggers checked,
+ * except after click and frame reloads, which do not wait for the page to change.
+ * Each reload is counted, and the timer is removed once it reaches `maxReloads` or `expiresAt`.
+ * A reload that fails outright is handed to `handleReloadFailure`.
+ * @param {number} tabId - The tab ID.
+ */
+async function reloadTimerTab(tabId) {
     try {
         const options = await StorageService.getOptions();
-        await TabService.reloadTab(tabId, options.bypassCache);
-        console.log(`Tab ${tabId} reloaded successfully.`);
+        const timer = await StorageService.getTimer(tabId);
+
+        if (isTimerExhausted(timer)) {
+            await expireTimer(tabId);
+            return;
+        }
+
+        if (!ScheduleService.isActive(timer?.schedule, options)) {
+            console.log(`Tab ${tabId} is outside its active hours; reload skipped.`);
+            return;
+        }
+
+        const timerOptions = TimerSettingsService.resolve(options, timer?.settings);
+        let result;
+        const reload = async () => {
+            result = await reloadAndRecord(tabId, timer?.ruleId ? 'rule' : 'alarm', timerOptions);
+        };
+        if (options.maxConcurrentReloads > 0) {
+            const ran = await ReloadQueueService.run(tabId, options.maxConcurrentReloads, reload);
+            if (!ran) {
+                console.log(`Tab ${tabId} is still queued or loading; reload skipped.`);
+                return;
+            }
+        } else {
+            await reload();
+        }
+
+        const record = await StorageService.recordReload(tabId, Date.now(), result);
+        if (record && BadgeService.getTimerState(record, false) !== BadgeService.getTimerState(timer ?? {}, false)) {
+            await BadgeService.updateBadge();
+        }
+        if (!result.ok) {
+            await handleErrorPage(tabId, record, result, options);
+        } else {
+            console.log(`Tab ${tabId} reloaded successfully.`);
+            // A click or frame reload may not have updated the page yet (see `reloadModes`). 'setTimer' refuses
+            // checks with those modes, but imported settings may still combine them.
+            const loadsPage = reloadModes[timerOptions.reloadMode].loadsPage;
+            if (loadsPage && record?.watch) {
+                await checkForContentChange(tabId, record);
+            }
+            if (loadsPage && record?.trigger) {
+                await checkKeywordTrigger(tabId, record);
+            }
+        }
+        if (isTimerExhausted(record)) {
+            await expireTimer(tabId);
+        }
     } catch (error) {
-        console.error(`Failed to reload tab ${tabId}, clearing alarm:`, error);
-        await AlarmService.clear(tabId);
-        await StorageService.removeInterval(tabId);
+        await handleReloadFailure(tabId, error);
+    }
+}
+
+/**
+ * Handles a reload whose page came back with an HTTP or network error.
+ * The timer reloads again after `errorRetrySeconds` rather than its full interval; the retry
+ * is one-shot, so the first reload that loads cleanly puts the timer back on its interval.
+ * Retries under 30 seconds run on the precise timer, so every retry fires at its exact delay and
+ * is only worth scheduling when that delay is shorter than the interval.
+ * Content watches and keyword triggers are not checked against error pages.
+ * @param {number} tabId - The tab ID.
+ * @param {import('./services/StorageService.js').TimerRecord|null} timer - The timer record.
+ * @param {import('./services/PageStatusService.js').ReloadResult} result - How the reload turned out.
+ * @param {object} options - The user's options.
+ */
+async function handleErrorPage(tabId, timer, result, options) {
+    const retrySeconds = options.errorRetrySeconds;
+    if (!(timer?.intervalSeconds > 0) || timer.paused || !(retrySeconds > 0) || retrySeconds >= timer.intervalSeconds) {
+        console.warn(`Tab ${tabId} loaded with an error (${result.error}).`);
+        return;
+    }
+
+    console.warn(`Tab ${tabId} loaded with an error (${result.error}), retrying in ${retrySeconds} s.`);
+    await AlarmService.scheduleRetry(tabId, retrySeconds);
+}
+
+/**
+ * Applies a timer's failure policy after a failed reload.
+ * Only a tab that no longer exists is cleaned up straight away. Otherwise the failure is counted and
+ * the reload retried with backoff; once the retries are used up the timer is paused, removed or left
+ * on its interval, as its policy says, and the failure is reported.
+ * @param {number} tabId - The tab ID.
+ * @param {Error} error - Why the reload failed.
+ */
+async function handleReloadFailure(tabId, error) {
+    try {
+        if (!(await TabService.getTabInfo(tabId))) {
+            console.warn(`Tab ${tabId} no longer exists, clearing its timer:`, error);
+            await AlarmService.clear(tabId);
+            await StorageService.removeInterval(tabId);
+            await BadgeService.updateBadge();
+            return;
+        }
+
+        const timer = await StorageService.recordFailure(tabId, error.message);
+        if (!timer) return;
+
+        const policy = RetryService.getPolicy(timer);
+        if (RetryService.hasRetriesLeft(policy, timer.failureCount)) {
+            const delay = RetryService.getRetryDelay(policy, timer.failureCount, timer.intervalSeconds);
+            console.warn(`Failed to reload tab ${tabId} (failure ${timer.failureCount}), retrying in ${delay} s:`, error);
+            await AlarmService.scheduleRetry(tabId, delay);
+            await BadgeService.updateBadge();
+            return;
+        }
+
+        console.error(`Failed to reload tab ${tabId} (failure ${timer.failureCount}):`, error);
+        if (!RetryService.isGivingUp(policy, timer.failureCount)) return;
+
+        await reportTimerEvent('reloadFailed', tabId, {
+            title: chrome.i18n.getMessage('notifyReloadFailedTitle'),
+            detail: error.message,
+            timer,
+            data: { error: error.message, failureCount: timer.failureCount, giveUp: policy.giveUp },
+        });
+        if (policy.giveUp === 'remove') {
+            await AlarmService.clear(tabId);
+            await StorageService.removeInterval(tabId);
+        } else if (policy.giveUp === 'pause') {
+            await StorageService.updateTimer(tabId, { paused: true });
+            await AlarmService.clear(tabId);
+        }
         await BadgeService.updateBadge();
+    } catch (cleanupError) {
+        console.error(`Error handling failed reload of tab ${tabId}:`, cleanupError);
     }
+}
+
+// --- Event Listeners ---
+
+/**
+ * Handles alarm events. Reloads the corresponding tab, revives the
+ * precise timers when the keep-alive alarm fires, or refreshes the countdown badge.
+ * A jittered timer's alarm is one-shot, so it is re-armed with a fresh random delay first.
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name === KEEPALIVE_ALARM_NAME) {
+        await ensurePreciseTimers();
+        return;
+    }
+    if (alarm.name === BADGE_TICK_ALARM_NAME) {
+        await BadgeService.updateBadge();
+        return;
+    }
+
+    const tabId = AlarmService.parseTabId(alarm.name);
+    if (tabId === null) return;
+
+    if (!alarm.periodInMinutes) {
+        await syncTimerAlarm(tabId, await StorageService.getTimer(tabId));
+    }
+    await reloadTimerTab(tabId);
 });
 
 /**
@@ -210,6 +1407,90 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Indicates asynchronous response
 });
 
+/**
+ * Runs a keyboard command on the active tab and flashes its result on the tab's badge,
+ * or ✕ if it could not be done (e.g. on a browser page).
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    const handler = commandHandlers[command];
+
+    if (!handler) {
+        console.warn(`Unknown command: ${command}`);
+        return;
+    }
+
+    const target = tab ?? (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    if (!target?.id) return;
+
+    try {
+        await BadgeService.flash(target.id, await handler(target));
+    } catch (error) {
+        console.error(`Error handling command '${command}':`, error);
+        await BadgeService.flash(target.id, BadgeService.ERROR_TEXT);
+    }
+});
+
+/**
+ * Runs a context menu entry on its tab through the same message handlers as the popup.
+ * "Custom" opens the popup to type an interval. The entries are synced afterwards,
+ * since a click toggles a checkbox whether or not the request succeeds.
+ */
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    const request = ContextMenuService.getRequest(info.menuItemId, info.checked, info.wasChecked);
+
+    try {
+        if (request && tab?.id) {
+            const response = await messageHandlers[request.action]({ ...request, tabId: tab.id });
+            if (!response.success) console.warn(`Menu entry '${info.menuItemId}' failed: ${response.error}`);
+        } else if (info.menuItemId === ContextMenuService.CUSTOM_ID) {
+            await chrome.action.openPopup();
+        }
+    } catch (error) {
+        console.error(`Error handling menu entry '${info.menuItemId}':`, error);
+    }
+    await syncContextMenus();
+});
+
+/**
+ * Keeps the context menu in step with stored timers, and rebuilds it when the interval presets change.
+ */
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    const options = changes[OPTIONS_KEY];
+    if (options && JSON.stringify(options.oldValue?.intervalPresets) !== JSON.stringify(options.newValue?.intervalPresets)) {
+        await rebuildContextMenus();
+    } else if (Object.keys(changes).some(key => AlarmService.parseTabId(key) !== null)) {
+        await syncContextMenus();
+    }
+});
+
+/**
+ * Focuses the tab a notification refers to when the notification is clicked.
+ */
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+    const tabId = NotificationService.parseTabId(notificationId);
+    if (tabId === null) return;
+
+    await TabService.focusTab(tabId);
+    await chrome.notifications.clear(notificationId);
+});
+
+/**
+ * Follows the outcome of main-frame loads so timed reloads can tell an error page from a good one.
+ */
+chrome.webRequest.onCompleted.addListener(
+    details => PageStatusService.recordResponse(details),
+    { urls: ['<all_urls>'], types: ['main_frame'] },
+);
+chrome.webRequest.onErrorOccurred.addListener(
+    details => PageStatusService.recordError(details),
+    { urls: ['<all_urls>'], types: ['main_frame'] },
+);
+chrome.webNavigation.onErrorOccurred.addListener((details) => {
+    if (details.frameId === 0) PageStatusService.recordError(details);
+});
+
 /**
  * Cleans up alarms and storage when a tab is removed.
  */
@@ -220,14 +1501,67 @@ chrome.tabs.onRemoved.addListener(async (tabId) => {
     await BadgeService.updateBadge();
 });
 
+/**
+ * Shows the newly active tab's countdown when the badge is in `countdown` mode,
+ * and its timer in the context menu.
+ */
+chrome.tabs.onActivated.addListener(async () => {
+    await BadgeService.updateBadge();
+    await syncContextMenus();
+});
+
+/**
+ * Shows the timer of the newly focused window's active tab in the context menu.
+ */
+chrome.windows.onFocusChanged.addListener(syncContextMenus);
+
+/**
+ * Keeps each timed tab's stored URL current as the user navigates, and
+ * starts or stops rule-created timers as the URL starts or stops matching.
+ * Navigation resets a tab's badge, so the active tab's countdown is shown again once it loads.
+ */
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    if (changeInfo.status === 'complete' && tab.active) {
+        await BadgeService.updateBadge();
+        await syncContextMenus();
+    }
+    if (!changeInfo.url) return;
+
+    await refreshTimerLocation(tabId);
+    const rules = await StorageService.getRules();
+    if (await applyRulesToTab(tab, rules)) {
+        await BadgeService.updateBadge();
+    }
+});
+
+/**
+ * Applies the URL rules to newly created tabs that already know their URL.
+ */
+chrome.tabs.onCreated.addListener(async (tab) => {
+    if (!tab.url && !tab.pendingUrl) return;
+
+    const rules = await StorageService.getRules();
+    if (await applyRulesToTab(tab, rules)) {
+        await BadgeService.updateBadge();
+    }
+});
+
+/**
+ * Keeps each timed tab's stored position current as it moves within or between windows.
+ */
+chrome.tabs.onMoved.addListener(refreshTimerLocation);
+chrome.tabs.onAttached.addListener(refreshTimerLocation);
+
 /**
  * Restores alarms from persistent storage on browser startup.
- * Cross-references with currently open tabs and prunes orphans.
+ * Rebinds timers to the restored tabs and reports the ones that cannot be matched.
  */
 chrome.runtime.onStartup.addListener(async () => {
     console.log('Browser startup detected. Restoring alarms from storage...');
     await restoreAlarmsFromStorage();
+    await applyRulesToAllTabs();
     await BadgeService.updateBadge();
+    await syncContextMenus();
 });
 
 /**
@@ -240,9 +1574,14 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         await StorageService.saveOptions({});
     } else if (details.reason === 'update') {
         console.log('Extension updated. Restoring alarms...');
+        if (await StorageService.migrate()) {
+            console.log('Migrated stored intervals to seconds.');
+        }
         await restoreAlarmsFromStorage();
+        await applyRulesToAllTabs();
     }
     await BadgeService.updateBadge();
+    await rebuildContextMenus();
 });
 
 console.log('Auto Tab Reloader service worker started (v2.0 — modular).');
\ No newline at end of file
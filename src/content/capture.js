@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Captures the visible text of a page, or of the elements matching a CSS selector.
+ * Injected into the tab by `ContentService` through `chrome.scripting.executeScript`,
+ * so it must stay self-contained: no imports and no references to outer scope.
+ * @param {string} selector - A CSS selector, or '' for the whole body.
+ * @returns {{text: string, found: boolean}|{error: string}} The captured text, or an error for a bad selector.
+ */
+export function captureContent(selector) {
+    if (!selector) {
+        return { text: document.body?.innerText ?? '', found: Boolean(document.body) };
+    }
+
+    try {
+        const elements = [...document.querySelectorAll(selector)];
+        return { text: elements.map(element => element.innerText ?? element.textContent).join('\n'), found: elements.length > 0 };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Clicks the first element matching a CSS selector, such as a page's own refresh button.
+ * Injected into the tab by `ContentService` through `chrome.scripting.executeScript`,
+ * so it must stay self-contained: no imports and no references to outer scope.
+ * @param {string} selector - A CSS selector.
+ * @returns {{done: true}|{error: string}} Whether the element was clicked, or why not.
+ */
+export function clickElement(selector) {
+    try {
+        const element = document.querySelector(selector);
+        if (!element) return { error: `Nothing matches ${selector}` };
+
+        element.click();
+        return { done: true };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+/**
+ * Reloads the first iframe matching a CSS selector, leaving the rest of the page alone.
+ * Injected like `clickElement`, so it must stay self-contained too.
+ * @param {string} selector - A CSS selector.
+ * @returns {{done: true}|{error: string}} Whether the frame was reloaded, or why not.
+ */
+export function reloadFrame(selector) {
+    try {
+        const frame = document.querySelector(selector);
+        if (!frame) return { error: `Nothing matches ${selector}` };
+        if (frame.tagName !== 'IFRAME' && frame.tagName !== 'FRAME') return { error: `${selector} is not a frame` };
+
+        // Setting `src` again reloads cross-origin frames too, whose location the page cannot touch.
+        const src = frame.getAttribute('src');
+        if (src) {
+            frame.src = frame.src;
+        } else {
+            frame.contentWindow.location.reload();
+        }
+        return { done: true };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
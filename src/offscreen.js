@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Active precise timers, keyed by tab ID.
+ * @type {Map<number, {handle: number, nextTick: number}>}
+ */
+const timers = new Map();
+
+/** Ticks are never closer together than this, whatever the jitter. */
+const MIN_PERIOD_MS = 1000;
+
+/**
+ * Picks the delay until a timer's next tick.
+ * @param {number} periodMs - The period in milliseconds.
+ * @param {number} jitterMs - Maximum random deviation, in milliseconds.
+ * @returns {number} The delay in milliseconds.
+ */
+function nextDelay(periodMs, jitterMs) {
+    return Math.max(periodMs + (Math.random() * 2 - 1) * jitterMs, MIN_PERIOD_MS);
+}
+
+/**
+ * Starts (or restarts) a periodic tick for a tab, or a single one.
+ * Each tick wakes the service worker with a `timerTick` message. Ticks are chained
+ * timeouts rather than an interval so each period can be jittered independently.
+ * @param {number} tabId - The tab ID.
+ * @param {number} periodMs - The period in milliseconds.
+ * @param {number} [jitterMs=0] - Maximum random deviation of each period, in milliseconds.
+ * @param {boolean} [once=false] - Whether to tick only once, e.g. for a retry.
+ */
+function startTimer(tabId, periodMs, jitterMs = 0, once = false) {
+    stopTimer(tabId);
+
+    const scheduleTick = () => {
+        const delay = nextDelay(periodMs, jitterMs);
+        const handle = setTimeout(() => {
+            if (once) {
+                timers.delete(tabId);
+            } else {
+                scheduleTick();
+            }
+            chrome.runtime.sendMessage({ action: 'timerTick', tabId, once }).catch(error => {
+                console.error(`Failed to deliver tick for tab ${tabId}:`, error);
+            });
+        }, delay);
+        timers.set(tabId, { handle, nextTick: Date.now() + delay });
+    };
+    scheduleTick();
+}
+
+/**
+ * Stops the periodic tick for a tab.
+ * @param {number} tabId - The tab ID.
+ */
+function stopTimer(tabId) {
+    clearTimeout(timers.get(tabId)?.handle);
+    timers.delete(tabId);
+}
+
+/**
+ * Plays a short two-tone chime through the Web Audio API.
+ */
+function playSound() {
+    const context = new AudioContext();
+    const gain = context.createGain();
+    gain.connect(context.destination);
+
+    [880, 1320].forEach((frequency, i) => {
+        const start = context.currentTime + i * 0.18;
+        const oscillator = context.createOscillator();
+        oscillator.frequency.value = frequency;
+        oscillator.connect(gain);
+        gain.gain.setValueAtTime(0.2, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + 0.35);
+        oscillator.start(start);
+        oscillator.stop(start + 0.35);
+        if (i === 1) oscillator.onended = () => context.close();
+    });
+}
+
+/**
+ * Handler map for commands sent by the service worker.
+ * @type {Record<string, (request: object) => object>}
+ */
+const commandHandlers = {
+    startTimer: ({ tabId, periodMs, jitterMs, once }) => {
+        startTimer(tabId, periodMs, jitterMs, once);
+        return { success: true };
+    },
+    stopTimer: ({ tabId }) => {
+        stopTimer(tabId);
+        return { success: true, remaining: timers.size };
+    },
+    playSound: () => {
+        playSound();
+        return { success: true };
+    },
+    listTimers: () => ({
+        success: true,
+        timers: [...timers].map(([tabId, { nextTick }]) => ({ tabId, nextTick })),
+    }),
+};
+
+/**
+ * Routes commands addressed to the offscreen document.
+ * Messages meant for the service worker are left unanswered.
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.target !== 'offscreen') return false;
+
+    const handler = commandHandlers[request.action];
+    if (!handler) {
+        console.warn(`Unknown offscreen command: ${request.action}`);
+        return false;
+    }
+
+    sendResponse(handler(request));
+    return false;
+});
@@ -1,16 +1,101 @@
 'use strict';
 
-import { applyI18n } from './ui/i18n.js';
+import { applyI18n, getMessage } from './ui/i18n.js';
+import { formatInterval, parseDuration } from './ui/format.js';
+import { renderDayPicker, readDayPicker } from './ui/schedule.js';
+import {
+    BADGE_STATES, DEFAULT_OPTIONS, MAX_INTERVAL_PRESETS, MIN_INTERVAL_SECONDS, NOTIFICATION_EVENTS,
+} from './shared/constants.js';
 
 // --- DOM References ---
 const DOM = {
     defaultInterval: () => document.getElementById('default-interval'),
+    intervalPresets: () => document.getElementById('interval-presets'),
     bypassCache: () => document.getElementById('bypass-cache'),
     showBadge: () => document.getElementById('show-badge'),
+    badgeMode: () => document.getElementById('badge-mode'),
+    tintIcon: () => document.getElementById('tint-icon'),
+    maxConcurrentReloads: () => document.getElementById('max-concurrent-reloads'),
+    errorRetrySeconds: () => document.getElementById('error-retry-seconds'),
     saveButton: () => document.getElementById('save-btn'),
     statusDiv: () => document.getElementById('status'),
+    ruleList: () => document.getElementById('rule-list'),
+    ruleTemplate: () => document.getElementById('rule-row-template'),
+    addRuleButton: () => document.getElementById('add-rule-btn'),
+    timeZone: () => document.getElementById('schedule-time-zone'),
+    timeZoneList: () => document.getElementById('time-zones'),
+    webhookEnabled: () => document.getElementById('webhook-enabled'),
+    webhookUrl: () => document.getElementById('webhook-url'),
+    webhookTestButton: () => document.getElementById('webhook-test-btn'),
+    webhookClearLogButton: () => document.getElementById('webhook-clear-log-btn'),
+    webhookLog: () => document.getElementById('webhook-log'),
+    historyQuery: () => document.getElementById('history-query'),
+    historySource: () => document.getElementById('history-source'),
+    historyOutcome: () => document.getElementById('history-outcome'),
+    historyBody: () => document.getElementById('history-body'),
+    historyCount: () => document.getElementById('history-count'),
+    historyExportCsv: () => document.getElementById('history-export-csv'),
+    historyExportJson: () => document.getElementById('history-export-json'),
+    historyClear: () => document.getElementById('history-clear'),
+    statsDays: () => document.getElementById('stats-days'),
+    statsFirstDay: () => document.getElementById('stats-first-day'),
+    statsLastDay: () => document.getElementById('stats-last-day'),
+    statsDomains: () => document.getElementById('stats-domains'),
+    statsSites: () => document.getElementById('stats-sites'),
+    statsClear: () => document.getElementById('stats-clear'),
+    shortcutList: () => document.getElementById('shortcut-list'),
+    shortcutsEditButton: () => document.getElementById('shortcuts-edit'),
 };
 
+/**
+ * Message keys naming each event in the webhook delivery log.
+ * @type {Record<string, string>}
+ */
+const EVENT_LABEL_KEYS = {
+    contentChanged: 'notifyContentChangedLabel',
+    keywordMatched: 'notifyKeywordMatchedLabel',
+    reloadFailed: 'notifyReloadFailedLabel',
+    timerExpired: 'notifyTimerExpiredLabel',
+    test: 'webhookTestEvent',
+};
+
+/**
+ * Message keys naming each reload source in the history.
+ * @type {Record<string, string>}
+ */
+const SOURCE_LABEL_KEYS = {
+    alarm: 'historySourceAlarm',
+    rule: 'historySourceRule',
+    manual: 'historySourceManual',
+};
+
+/**
+ * Number of sites shown in the most-reloaded chart.
+ * @type {number}
+ */
+const TOP_DOMAIN_COUNT = 5;
+
+/**
+ * Browser page where keyboard shortcuts are changed; extension pages may open it in a tab.
+ * @type {string}
+ */
+const SHORTCUTS_URL = 'chrome://extensions/shortcuts';
+
+/**
+ * Element ID prefixes of the global time windows, keyed by option name.
+ * @type {Record<string, string>}
+ */
+const TIME_WINDOW_FIELDS = {
+    activeWindow: 'active-window',
+    quietHours: 'quiet-hours',
+};
+
+/**
+ * Rules currently shown in the editor, in priority order.
+ * @type {Array<{id: string, name: string, pattern: string, type: string, intervalSeconds: number, enabled: boolean}>}
+ */
+let rules = [];
+
 /**
  * Shows a status message on the options page.
  * @param {string} message - The message to display.
@@ -36,10 +121,23 @@ async function loadOptions() {
         const response = await chrome.runtime.sendMessage({ action: 'getOptions' });
 
         if (response?.success && response.options) {
-            const { defaultInterval, bypassCache, showBadge } = response.options;
-            DOM.defaultInterval().value = defaultInterval;
+            const { defaultIntervalSeconds, intervalPresets, bypassCache, showBadge } = response.options;
+            DOM.defaultInterval().value = formatInterval(defaultIntervalSeconds);
+            DOM.intervalPresets().value = intervalPresets.map(formatInterval).join(', ');
             DOM.bypassCache().checked = bypassCache;
             DOM.showBadge().checked = showBadge;
+            DOM.badgeMode().value = response.options.badgeMode;
+            populateBadgeColors(response.options.badgeColors);
+            DOM.tintIcon().checked = response.options.tintIcon;
+            DOM.maxConcurrentReloads().value = response.options.maxConcurrentReloads;
+            DOM.errorRetrySeconds().value = response.options.errorRetrySeconds;
+
+            for (const [name, prefix] of Object.entries(TIME_WINDOW_FIELDS)) {
+                populateTimeWindow(prefix, response.options[name]);
+            }
+            DOM.timeZone().value = response.options.activeWindow.timeZone ?? '';
+            populateNotifications(response.options.notifications);
+            populateWebhook(response.options.webhook);
         }
     } catch (error) {
         console.error('Error loading options:', error);
@@ -47,31 +145,643 @@ async function loadOptions() {
     }
 }
 
+// --- Badge ---
+
+/**
+ * Fills the color picker of each badge state.
+ * @param {Record<string, string>} [badgeColors] - Colors keyed by state.
+ */
+function populateBadgeColors(badgeColors) {
+    for (const state of BADGE_STATES) {
+        const input = document.querySelector(`[data-badge-color="${state}"]`);
+        input.value = badgeColors?.[state] ?? DEFAULT_OPTIONS.badgeColors[state];
+    }
+}
+
+/**
+ * Reads the color picker of each badge state.
+ * @returns {Record<string, string>}
+ */
+function readBadgeColors() {
+    return Object.fromEntries(BADGE_STATES.map(state => [
+        state,
+        document.querySelector(`[data-badge-color="${state}"]`).value,
+    ]));
+}
+
+// --- Keyboard Shortcuts ---
+
+/**
+ * Lists the keyboard commands with the shortcut the browser currently assigns to each.
+ */
+async function loadShortcuts() {
+    const commands = await chrome.commands.getAll();
+    const rows = commands.map(command => {
+        const row = document.createElement('div');
+        row.className = 'shortcut-row';
+        const label = document.createElement('span');
+        label.textContent = command.description;
+        const shortcut = document.createElement('kbd');
+        shortcut.textContent = command.shortcut;
+        shortcut.dataset.unset = getMessage('shortcutUnset');
+        row.append(label, shortcut);
+        return row;
+    });
+    DOM.shortcutList().replaceChildren(...rows);
+}
+
+// --- Notifications ---
+
+/**
+ * Ticks the notify/sound checkboxes of each timer event.
+ * @param {Record<string, {notify: boolean, sound: boolean}>} [notifications] - Settings keyed by event.
+ */
+function populateNotifications(notifications) {
+    for (const event of NOTIFICATION_EVENTS) {
+        const row = document.querySelector(`[data-event="${event}"]`);
+        const setting = { ...DEFAULT_OPTIONS.notifications[event], ...notifications?.[event] };
+        row.querySelector('.event-notify').checked = setting.notify;
+        row.querySelector('.event-sound').checked = setting.sound;
+    }
+}
+
+/**
+ * Reads the notify/sound checkboxes of each timer event.
+ * @returns {Record<string, {notify: boolean, sound: boolean}>}
+ */
+function readNotifications() {
+    return Object.fromEntries(NOTIFICATION_EVENTS.map(event => {
+        const row = document.querySelector(`[data-event="${event}"]`);
+        return [event, {
+            notify: row.querySelector('.event-notify').checked,
+            sound: row.querySelector('.event-sound').checked,
+        }];
+    }));
+}
+
+// --- Webhook ---
+
+/**
+ * Fills the webhook toggle, URL and event checkboxes.
+ * @param {{enabled: boolean, url: string, events: string[]}} [webhook] - The webhook settings.
+ */
+function populateWebhook(webhook) {
+    const setting = { ...DEFAULT_OPTIONS.webhook, ...webhook };
+    DOM.webhookEnabled().checked = setting.enabled;
+    DOM.webhookUrl().value = setting.url;
+    for (const checkbox of document.querySelectorAll('[data-webhook-event]')) {
+        checkbox.checked = setting.events.includes(checkbox.dataset.webhookEvent);
+    }
+}
+
+/**
+ * Reads the webhook settings back from the form.
+ * @returns {{enabled: boolean, url: string, events: string[]}}
+ */
+function readWebhook() {
+    return {
+        enabled: DOM.webhookEnabled().checked,
+        url: DOM.webhookUrl().value.trim(),
+        events: [...document.querySelectorAll('[data-webhook-event]:checked')].map(checkbox => checkbox.dataset.webhookEvent),
+    };
+}
+
+/**
+ * Checks that a webhook URL is an absolute http(s) URL.
+ * @param {string} url - The URL.
+ * @returns {boolean}
+ */
+function isValidWebhookUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Loads and renders the webhook delivery log, newest first.
+ */
+async function loadWebhookLog() {
+    let log = [];
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getWebhookLog' });
+        log = response?.success ? response.log : [];
+    } catch (error) {
+        console.error('Error loading webhook log:', error);
+    }
+
+    const list = DOM.webhookLog();
+    if (log.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'rule-empty';
+        empty.textContent = getMessage('webhookLogEmpty');
+        list.replaceChildren(empty);
+        return;
+    }
+
+    list.replaceChildren(...log.map(entry => {
+        const item = document.createElement('li');
+        item.title = entry.url;
+
+        const time = document.createElement('span');
+        time.textContent = new Date(entry.time).toLocaleString();
+
+        const event = document.createElement('span');
+        event.textContent = EVENT_LABEL_KEYS[entry.event] ? getMessage(EVENT_LABEL_KEYS[entry.event]) : entry.event;
+
+        const outcome = document.createElement('span');
+        outcome.className = entry.ok ? 'log-ok' : 'log-failed';
+        outcome.textContent = (entry.ok ? getMessage('webhookLogDelivered') : entry.error || getMessage('webhookLogFailed'))
+            + (entry.attempts > 1 ? ` (×${entry.attempts})` : '');
+
+        item.append(time, event, outcome);
+        return item;
+    }));
+}
+
+/**
+ * Sends a test event to the URL currently in the form.
+ */
+async function testWebhook() {
+    const url = DOM.webhookUrl().value.trim();
+    if (!isValidWebhookUrl(url)) {
+        showStatus(getMessage('invalidWebhookUrl'), true);
+        return;
+    }
+
+    const button = DOM.webhookTestButton();
+    button.disabled = true;
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'testWebhook', url });
+        if (response?.success) {
+            showStatus(getMessage('webhookTestSucceeded'));
+        } else {
+            showStatus(getMessage('webhookTestFailed').replace('{error}', response?.error || '—'), true);
+        }
+    } catch (error) {
+        console.error('Error testing webhook:', error);
+        showStatus(getMessage('webhookTestFailed').replace('{error}', error.message), true);
+    } finally {
+        button.disabled = false;
+        await loadWebhookLog();
+    }
+}
+
+/**
+ * Empties the webhook delivery log.
+ */
+async function clearWebhookLog() {
+    try {
+        await chrome.runtime.sendMessage({ action: 'clearWebhookLog' });
+    } catch (error) {
+        console.error('Error clearing webhook log:', error);
+    }
+    await loadWebhookLog();
+}
+
+// --- Statistics ---
+
+/**
+ * Formats a `YYYY-MM-DD` day for display.
+ * @param {string} day - The day.
+ * @returns {string}
+ */
+function formatDay(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(year, month - 1, date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Loads the reload statistics and draws the charts and per-site table.
+ */
+async function loadStats() {
+    let response = null;
+    try {
+        response = await chrome.runtime.sendMessage({ action: 'getStats' });
+    } catch (error) {
+        console.error('Error loading statistics:', error);
+    }
+    const { days = [], sites = [] } = response?.success ? response.stats : {};
+
+    const maxDay = Math.max(1, ...days.map(d => d.reloads));
+    DOM.statsDays().replaceChildren(...days.map(({ day, reloads }) => {
+        const column = document.createElement('div');
+        column.className = 'stats-day';
+        column.title = `${formatDay(day)}: ${reloads}`;
+        const bar = document.createElement('div');
+        bar.className = 'stats-day-bar';
+        bar.style.height = `${(reloads / maxDay) * 100}%`;
+        column.append(bar);
+        return column;
+    }));
+    DOM.statsFirstDay().textContent = days.length > 0 ? formatDay(days[0].day) : '';
+    DOM.statsLastDay().textContent = days.length > 0 ? formatDay(days.at(-1).day) : '';
+
+    if (sites.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'rule-empty';
+        empty.textContent = getMessage('statsEmpty');
+        DOM.statsDomains().replaceChildren(empty);
+        DOM.statsSites().replaceChildren();
+        return;
+    }
+
+    const topSites = sites.slice(0, TOP_DOMAIN_COUNT);
+    DOM.statsDomains().replaceChildren(...topSites.map(({ site, reloads }) => {
+        const row = document.createElement('div');
+        row.className = 'stats-domain';
+        const name = document.createElement('span');
+        name.className = 'stats-domain-name';
+        name.textContent = site;
+        name.title = site;
+        const track = document.createElement('div');
+        track.className = 'stats-domain-track';
+        const bar = document.createElement('div');
+        bar.className = 'stats-domain-bar';
+        bar.style.width = `${(reloads / topSites[0].reloads) * 100}%`;
+        track.append(bar);
+        const count = document.createElement('span');
+        count.className = 'stats-domain-count';
+        count.textContent = reloads;
+        row.append(name, track, count);
+        return row;
+    }));
+
+    DOM.statsSites().replaceChildren(...sites.map(site => {
+        const row = document.createElement('tr');
+        const cells = [
+            site.site,
+            site.reloads,
+            `${Math.round(site.failureRate * 100)}%`,
+            site.averageLoadMs === null ? '—' : `${(site.averageLoadMs / 1000).toFixed(1)} s`,
+        ].map(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            return cell;
+        });
+        cells[0].className = 'history-page';
+        cells[0].title = site.site;
+        if (site.failures > 0) cells[2].className = 'log-failed';
+        row.append(...cells);
+        return row;
+    }));
+}
+
+/**
+ * Deletes the reload statistics.
+ */
+async function clearStats() {
+    try {
+        await chrome.runtime.sendMessage({ action: 'clearStats' });
+    } catch (error) {
+        console.error('Error clearing statistics:', error);
+    }
+    await loadStats();
+}
+
+// --- Reload History ---
+
+/**
+ * Reads the history filter controls.
+ * @returns {{query: string, source: string, outcome: string}}
+ */
+function readHistoryFilter() {
+    return {
+        query: DOM.historyQuery().value,
+        source: DOM.historySource().value,
+        outcome: DOM.historyOutcome().value,
+    };
+}
+
+/**
+ * Loads the reload history matching the filter and renders it as table rows.
+ */
+async function loadHistory() {
+    let response = null;
+    try {
+        response = await chrome.runtime.sendMessage({ action: 'getHistory', filter: readHistoryFilter() });
+    } catch (error) {
+        console.error('Error loading history:', error);
+    }
+    const history = response?.success ? response.history : [];
+
+    DOM.historyCount().textContent = getMessage('historyCount')
+        .replace('{shown}', history.length)
+        .replace('{total}', response?.total ?? 0);
+
+    if (history.length === 0) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 5;
+        cell.className = 'rule-empty';
+        cell.textContent = getMessage('historyEmpty');
+        row.append(cell);
+        DOM.historyBody().replaceChildren(row);
+        return;
+    }
+
+    DOM.historyBody().replaceChildren(...history.map(entry => {
+        const row = document.createElement('tr');
+        const cells = [
+            new Date(entry.time).toLocaleString(),
+            entry.title || entry.url,
+            SOURCE_LABEL_KEYS[entry.source] ? getMessage(SOURCE_LABEL_KEYS[entry.source]) : entry.source,
+            entry.ok ? (entry.status ?? getMessage('historyOutcomeOk')) : entry.error,
+            `${(entry.durationMs / 1000).toFixed(1)} s`,
+        ].map(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            return cell;
+        });
+        cells[1].className = 'history-page';
+        cells[1].title = entry.url;
+        cells[3].className = entry.ok ? 'log-ok' : 'log-failed';
+        row.append(...cells);
+        return row;
+    }));
+}
+
+/**
+ * Downloads the reload history matching the filter.
+ * @param {'csv'|'json'} format - The file format.
+ */
+async function exportHistory(format) {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'exportHistory', format, filter: readHistoryFilter() });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Unknown error');
+        }
+
+        const url = URL.createObjectURL(new Blob([response.content], { type: response.mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `auto-tab-reloader-history.${format}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('History export failed:', error);
+        showStatus(getMessage('historyExportFailed'), true);
+    }
+}
+
+/**
+ * Empties the reload history.
+ */
+async function clearHistory() {
+    try {
+        await chrome.runtime.sendMessage({ action: 'clearHistory' });
+    } catch (error) {
+        console.error('Error clearing history:', error);
+    }
+    await loadHistory();
+}
+
+// --- Schedule ---
+
+/**
+ * Fills a time window's toggle, times and day picker.
+ * @param {string} prefix - The element ID prefix.
+ * @param {{enabled: boolean, days: number[], start: string, end: string}} window - The time window.
+ */
+function populateTimeWindow(prefix, window) {
+    document.getElementById(`${prefix}-enabled`).checked = window.enabled;
+    document.getElementById(`${prefix}-start`).value = window.start;
+    document.getElementById(`${prefix}-end`).value = window.end;
+    renderDayPicker(document.getElementById(`${prefix}-days`), window.days);
+}
+
+/**
+ * Reads a time window back from the form.
+ * @param {string} prefix - The element ID prefix.
+ * @param {string} timeZone - The time zone shared by the global windows.
+ * @returns {{enabled: boolean, days: number[], start: string, end: string, timeZone: string}}
+ */
+function readTimeWindow(prefix, timeZone) {
+    return {
+        enabled: document.getElementById(`${prefix}-enabled`).checked,
+        days: readDayPicker(document.getElementById(`${prefix}-days`)),
+        start: document.getElementById(`${prefix}-start`).value,
+        end: document.getElementById(`${prefix}-end`).value,
+        timeZone,
+    };
+}
+
+/**
+ * Checks that a time zone name is known to the browser (empty means local time).
+ * @param {string} timeZone - The IANA time zone name.
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone) return true;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Offers the browser's known time zones as suggestions.
+ */
+function populateTimeZones() {
+    DOM.timeZone().placeholder = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const options = (Intl.supportedValuesOf?.('timeZone') ?? []).map(zone => {
+        const option = document.createElement('option');
+        option.value = zone;
+        return option;
+    });
+    DOM.timeZoneList().replaceChildren(...options);
+}
+
+// --- URL Rules ---
+
+/**
+ * Loads the URL rules and renders the rule editor.
+ */
+async function loadRules() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getRules' });
+        rules = response?.success ? response.rules : [];
+    } catch (error) {
+        console.error('Error loading rules:', error);
+        rules = [];
+    }
+    renderRules();
+}
+
+/**
+ * Renders one editable row per rule.
+ */
+function renderRules() {
+    const list = DOM.ruleList();
+    list.replaceChildren();
+
+    if (rules.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'rule-empty';
+        empty.textContent = getMessage('noRules');
+        list.append(empty);
+        return;
+    }
+
+    for (const rule of rules) {
+        const row = DOM.ruleTemplate().content.firstElementChild.cloneNode(true);
+        row.dataset.ruleId = rule.id;
+        row.querySelector('.rule-name').value = rule.name ?? '';
+        row.querySelector('.rule-pattern').value = rule.pattern;
+        row.querySelector('.rule-type').value = rule.type;
+        row.querySelector('.rule-interval').value = rule.intervalSeconds > 0 ? formatInterval(rule.intervalSeconds) : '';
+        row.querySelector('.rule-enabled').checked = rule.enabled;
+        row.querySelector('.rule-delete').addEventListener('click', () => {
+            rules = readRulesFromForm().filter(r => r.id !== rule.id);
+            renderRules();
+        });
+        list.append(row);
+    }
+
+    applyI18n();
+}
+
+/**
+ * Reads the rule editor rows back into rule objects.
+ * @returns {Array<{id: string, name: string, pattern: string, type: string, intervalSeconds: number, enabled: boolean}>}
+ *     A rule whose interval does not parse gets 0, which `isValidRule` rejects.
+ */
+function readRulesFromForm() {
+    return [...DOM.ruleList().querySelectorAll('.rule-row')].map(row => ({
+        id: row.dataset.ruleId,
+        name: row.querySelector('.rule-name').value.trim(),
+        pattern: row.querySelector('.rule-pattern').value.trim(),
+        type: row.querySelector('.rule-type').value,
+        intervalSeconds: parseDuration(row.querySelector('.rule-interval').value) ?? 0,
+        enabled: row.querySelector('.rule-enabled').checked,
+    }));
+}
+
+/**
+ * Appends a blank rule to the editor.
+ */
+function addRule() {
+    rules = readRulesFromForm();
+    rules.push({ id: crypto.randomUUID(), name: '', pattern: '', type: 'glob', intervalSeconds: 0, enabled: true });
+    renderRules();
+}
+
+/**
+ * Checks that an interval is a whole number of seconds, at least `MIN_INTERVAL_SECONDS`.
+ * @param {number|null} intervalSeconds - The interval in seconds.
+ * @returns {boolean}
+ */
+function isValidInterval(intervalSeconds) {
+    return Number.isInteger(intervalSeconds) && intervalSeconds >= MIN_INTERVAL_SECONDS;
+}
+
+/**
+ * Reads the comma-separated interval presets.
+ * @returns {number[]|null} The presets in seconds, or null if one does not parse or there are too many.
+ */
+function readIntervalPresets() {
+    const parts = DOM.intervalPresets().value.split(',').map(part => part.trim()).filter(Boolean);
+    const presets = parts.map(part => parseDuration(part));
+    if (presets.length > MAX_INTERVAL_PRESETS || !presets.every(isValidInterval)) return null;
+    return presets;
+}
+
+/**
+ * Checks a rule's pattern and interval before saving.
+ * @param {{pattern: string, type: string, intervalSeconds: number}} rule
+ * @returns {boolean}
+ */
+function isValidRule(rule) {
+    if (!rule.pattern || !isValidInterval(rule.intervalSeconds)) return false;
+    if (rule.type !== 'regex') return true;
+    try {
+        new RegExp(rule.pattern);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
 /**
  * Saves the current form values to storage.
  */
 async function saveOptions() {
     try {
-        const defaultInterval = parseInt(DOM.defaultInterval().value, 10);
+        const defaultIntervalSeconds = parseDuration(DOM.defaultInterval().value);
+        if (!isValidInterval(defaultIntervalSeconds)) {
+            showStatus(getMessage('invalidDefaultInterval'), true);
+            return;
+        }
 
-        if (!Number.isInteger(defaultInterval) || defaultInterval < 1) {
-            showStatus('Default interval must be a positive integer.', true);
+        const intervalPresets = readIntervalPresets();
+        if (!intervalPresets) {
+            showStatus(getMessage('invalidIntervalPresets'), true);
+            return;
+        }
+
+        const maxConcurrentReloads = parseInt(DOM.maxConcurrentReloads().value, 10);
+        if (!Number.isInteger(maxConcurrentReloads) || maxConcurrentReloads < 0) {
+            showStatus(getMessage('invalidConcurrencyLimit'), true);
+            return;
+        }
+
+        const errorRetrySeconds = Number(DOM.errorRetrySeconds().value);
+        if (!Number.isInteger(errorRetrySeconds) || errorRetrySeconds < 0) {
+            showStatus(getMessage('invalidErrorRetry'), true);
+            return;
+        }
+
+        const editedRules = readRulesFromForm();
+        const invalidRule = editedRules.find(rule => !isValidRule(rule));
+        if (invalidRule) {
+            showStatus(getMessage('invalidRule').replace('{pattern}', invalidRule.pattern || '—'), true);
+            return;
+        }
+
+        const timeZone = DOM.timeZone().value.trim();
+        if (!isValidTimeZone(timeZone)) {
+            showStatus(getMessage('invalidTimeZone'), true);
+            return;
+        }
+
+        const webhook = readWebhook();
+        if (webhook.enabled && !isValidWebhookUrl(webhook.url)) {
+            showStatus(getMessage('invalidWebhookUrl'), true);
             return;
         }
 
         const options = {
-            defaultInterval,
+            defaultIntervalSeconds,
+            intervalPresets,
             bypassCache: DOM.bypassCache().checked,
             showBadge: DOM.showBadge().checked,
+            badgeMode: DOM.badgeMode().value,
+            badgeColors: readBadgeColors(),
+            tintIcon: DOM.tintIcon().checked,
+            maxConcurrentReloads,
+            errorRetrySeconds,
+            notifications: readNotifications(),
+            webhook,
         };
+        for (const [name, prefix] of Object.entries(TIME_WINDOW_FIELDS)) {
+            options[name] = readTimeWindow(prefix, timeZone);
+        }
 
         const response = await chrome.runtime.sendMessage({ action: 'saveOptions', options });
-
-        if (response?.success) {
-            showStatus('Options saved successfully!');
-        } else {
+        if (!response?.success) {
             throw new Error(response?.error || 'Unknown error');
         }
+
+        const rulesResponse = await chrome.runtime.sendMessage({ action: 'saveRules', rules: editedRules });
+        if (!rulesResponse?.success) {
+            throw new Error(rulesResponse?.error || 'Unknown error');
+        }
+
+        rules = editedRules;
+        showStatus('Options saved successfully!');
     } catch (error) {
         console.error('Error saving options:', error);
         showStatus('Failed to save options.', true);
@@ -82,7 +792,24 @@ async function saveOptions() {
 
 document.addEventListener('DOMContentLoaded', async () => {
     applyI18n();
+    populateTimeZones();
     await loadOptions();
+    await loadShortcuts();
+    await loadRules();
+    await loadWebhookLog();
+    await loadStats();
+    await loadHistory();
 
     DOM.saveButton().addEventListener('click', saveOptions);
+    DOM.addRuleButton().addEventListener('click', addRule);
+    DOM.webhookTestButton().addEventListener('click', testWebhook);
+    DOM.webhookClearLogButton().addEventListener('click', clearWebhookLog);
+    DOM.historyQuery().addEventListener('input', loadHistory);
+    DOM.historySource().addEventListener('change', loadHistory);
+    DOM.historyOutcome().addEventListener('change', loadHistory);
+    DOM.historyExportCsv().addEventListener('click', () => exportHistory('csv'));
+    DOM.historyExportJson().addEventListener('click', () => exportHistory('json'));
+    DOM.historyClear().addEventListener('click', clearHistory);
+    DOM.statsClear().addEventListener('click', clearStats);
+    DOM.shortcutsEditButton().addEventListener('click', () => chrome.tabs.create({ url: SHORTCUTS_URL }));
 });
@@ -1,63 +1,119 @@
 'use strict';
 
 import { applyI18n, getMessage } from './ui/i18n.js';
+import { formatInterval, parseDuration, splitDuration } from './ui/format.js';
+import { escapeHtml } from './ui/html.js';
+import { sendMessage, showStatus } from './ui/page.js';
+import { renderDayPicker, readDayPicker } from './ui/schedule.js';
+import { applyInterval, getFailureReason, renderFailures, updateCountdowns } from './ui/timers.js';
+import {
+    DEFAULT_FAILURE_POLICY, DEFAULT_RELOAD_MODE, MAX_FAILURE_RETRIES, MIN_INTERVAL_SECONDS, NOTIFICATION_EVENTS,
+    PAGE_LOADING_RELOAD_MODES,
+} from './shared/constants.js';
 
 // --- DOM References ---
 const DOM = {
     intervalInput: () => document.getElementById('interval'),
+    intervalUnit: () => document.getElementById('interval-unit'),
+    intervalPresets: () => document.getElementById('interval-presets'),
     setButton: () => document.getElementById('set'),
     clearButton: () => document.getElementById('clear'),
-    statusDiv: () => document.getElementById('status'),
     timerList: () => document.getElementById('timer-list'),
     clearAllButton: () => document.getElementById('clear-all'),
+    pauseAllButton: () => document.getElementById('pause-all'),
+    bulkBar: () => document.getElementById('bulk-bar'),
+    bulkCount: () => document.getElementById('bulk-count'),
+    selectAll: () => document.getElementById('select-all'),
+    bulkInterval: () => document.getElementById('bulk-interval'),
     exportButton: () => document.getElementById('export-btn'),
     importButton: () => document.getElementById('import-btn'),
     importFile: () => document.getElementById('import-file'),
+    sidePanelButton: () => document.getElementById('side-panel-btn'),
     optionsButton: () => document.getElementById('options-btn'),
     currentTabSection: () => document.getElementById('current-tab-section'),
+    unmatchedSection: () => document.getElementById('unmatched-section'),
+    unmatchedList: () => document.getElementById('unmatched-list'),
+    scheduleDetails: () => document.getElementById('schedule-details'),
+    scheduleEnabled: () => document.getElementById('schedule-enabled'),
+    scheduleStart: () => document.getElementById('schedule-start'),
+    scheduleEnd: () => document.getElementById('schedule-end'),
+    scheduleDays: () => document.getElementById('schedule-days'),
+    watchDetails: () => document.getElementById('watch-details'),
+    watchEnabled: () => document.getElementById('watch-enabled'),
+    watchSelector: () => document.getElementById('watch-selector'),
+    triggerDetails: () => document.getElementById('trigger-details'),
+    triggerWhen: () => document.getElementById('trigger-when'),
+    triggerPattern: () => document.getElementById('trigger-pattern'),
+    triggerRegex: () => document.getElementById('trigger-regex'),
+    triggerStop: () => document.getElementById('trigger-stop'),
+    triggerMatches: () => document.getElementById('trigger-matches'),
+    limitDetails: () => document.getElementById('limit-details'),
+    maxReloads: () => document.getElementById('max-reloads'),
+    expiresAt: () => document.getElementById('expires-at'),
+    timerLimit: () => document.getElementById('timer-limit'),
+    timerFailures: () => document.getElementById('timer-failures'),
+    failureDetails: () => document.getElementById('failure-details'),
+    failureRetries: () => document.getElementById('failure-retries'),
+    failureBackoff: () => document.getElementById('failure-backoff'),
+    failureGiveUp: () => document.getElementById('failure-give-up'),
+    jitterDetails: () => document.getElementById('jitter-details'),
+    settingsDetails: () => document.getElementById('settings-details'),
+    settingsBypassCache: () => document.getElementById('settings-bypass-cache'),
+    settingsReloadMode: () => document.getElementById('settings-reload-mode'),
+    settingsReloadTargetRow: () => document.getElementById('settings-reload-target-row'),
+    settingsReloadTarget: () => document.getElementById('settings-reload-target'),
+    settingsNotifications: () => document.getElementById('settings-notifications'),
+    jitterAmount: () => document.getElementById('jitter-amount'),
+    jitterUnit: () => document.getElementById('jitter-unit'),
+    countdownRow: () => document.getElementById('countdown-row'),
+    currentCountdown: () => document.getElementById('current-countdown'),
+    lastReload: () => document.getElementById('last-reload'),
+    reloadNowButton: () => document.getElementById('reload-now'),
+    badgeLegend: () => document.getElementById('badge-legend'),
 };
 
-let currentTabId = null;
+/** Days pre-selected for a new active-hours window (Monday–Friday). */
+const DEFAULT_SCHEDULE_DAYS = [1, 2, 3, 4, 5];
 
-// --- Status Display ---
+/** Message keys of the event names in the timer's notification settings. */
+const NOTIFICATION_LABEL_KEYS = {
+    contentChanged: 'notifyContentChangedLabel',
+    keywordMatched: 'notifyKeywordMatchedLabel',
+    reloadFailed: 'notifyReloadFailedLabel',
+    timerExpired: 'notifyTimerExpiredLabel',
+};
 
-/**
- * Displays a status message with appropriate styling.
- * Auto-clears after 3 seconds.
- * @param {string} message - The message to display.
- * @param {boolean} [isError=false] - Whether this is an error message.
- */
-function showStatus(message, isError = false) {
-    const statusDiv = DOM.statusDiv();
-    if (!statusDiv) return;
+/** Placeholder message of the reload target field, for each reload mode that needs a target. */
+const RELOAD_TARGET_PLACEHOLDER_KEYS = {
+    navigate: 'reloadTargetUrlPlaceholder',
+    click: 'reloadTargetClickPlaceholder',
+    frame: 'reloadTargetFramePlaceholder',
+};
 
-    statusDiv.textContent = message;
-    statusDiv.classList.remove('status--success', 'status--error');
-    statusDiv.classList.add(isError ? 'status--error' : 'status--success');
+/** Choices of a timer's notification setting for one event, besides "Default". */
+const NOTIFICATION_CHOICES = {
+    off: { notify: false, sound: false, messageKey: 'timerSettingOff' },
+    notify: { notify: true, sound: false, messageKey: 'notifyToggleLabel' },
+    sound: { notify: false, sound: true, messageKey: 'soundToggleLabel' },
+    both: { notify: true, sound: true, messageKey: 'timerSettingNotifyAndSound' },
+};
 
-    setTimeout(() => {
-        if (statusDiv.textContent === message) {
-            statusDiv.textContent = '';
-            statusDiv.classList.remove('status--success', 'status--error');
-        }
-    }, 3000);
-}
+let currentTabId = null;
 
-// --- Background Communication ---
+/** URL of the active tab, suggested as the home URL of the 'navigate' reload mode. */
+let currentTabUrl = '';
 
-/**
- * Sends a message to the background service worker.
- * @param {object} message - The message payload.
- * @returns {Promise<object>} The response from the background.
- * @throws {Error} If the response indicates failure.
- */
-async function sendMessage(message) {
-    const response = await chrome.runtime.sendMessage(message);
-    if (!response?.success) {
-        throw new Error(response?.error || 'Unknown error');
-    }
-    return response;
-}
+/** The window the popup was opened in, where the side panel opens. */
+let currentWindowId = null;
+
+/** Interval pre-filled for a tab without a timer, in seconds (from options). */
+let defaultIntervalSeconds = 0;
+
+/** Tab IDs of the timers selected for bulk actions. */
+const selectedTabIds = new Set();
+
+/** Tab IDs of the timers the last bulk action could not update, marked in the list. */
+const failedTabIds = new Set();
 
 /**
  * Fetches and displays the current interval for the active tab.
@@ -66,12 +122,25 @@ async function sendMessage(message) {
 async function loadCurrentInterval(tabId) {
     try {
         const response = await sendMessage({ action: 'getTimer', tabId });
-        const interval = response.interval;
+        const interval = response.intervalSeconds;
 
-        DOM.intervalInput().value = interval > 0 ? interval : '';
+        showInterval(interval > 0 ? interval : defaultIntervalSeconds);
+        populateSchedule(response.schedule);
+        populateWatch(response.watch);
+        populateTrigger(response.trigger, response.triggerMatches);
+        populateLimit(response);
+        populateFailurePolicy(response.failurePolicy, response.failureCount);
+        populateJitter(response.jitter);
+        populateSettings(response.settings);
+        renderCurrentCountdown(response);
 
         if (interval > 0) {
-            showStatus(getMessage('currentIntervalStatus').replace('{interval}', interval));
+            const status = getMessage('currentIntervalStatus').replace('{interval}', formatInterval(interval));
+            if (response.paused) {
+                showStatus(`${status} ${getMessage('timerPausedStatus')}`);
+            } else {
+                showStatus(response.dormant ? `${status} ${getMessage('timerDormantStatus')}` : status);
+            }
         } else {
             showStatus(getMessage('noActiveTimerStatus'));
         }
@@ -82,22 +151,464 @@ async function loadCurrentInterval(tabId) {
     }
 }
 
+// --- Countdown ---
+
+/**
+ * Shows the current tab's countdown and last reload, or hides them if it has no running timer.
+ * @param {{intervalSeconds: number, paused?: boolean, nextReload?: number|null, lastReload?: number|null}} timer
+ *     The 'getTimer' response.
+ */
+function renderCurrentCountdown(timer) {
+    const running = timer.intervalSeconds > 0 && !timer.paused && Boolean(timer.nextReload);
+    DOM.countdownRow().classList.toggle('hidden', !(timer.intervalSeconds > 0));
+
+    const countdown = DOM.currentCountdown();
+    if (running) {
+        countdown.dataset.next = timer.nextReload;
+    } else {
+        delete countdown.dataset.next;
+        countdown.textContent = timer.paused ? getMessage('timerPausedLabel') : '';
+    }
+
+    DOM.timerLimit().innerHTML = renderLimit(timer);
+    DOM.timerFailures().textContent = renderFailures(timer, true);
+    DOM.timerFailures().title = getFailureReason(timer);
+
+    const lastReload = DOM.lastReload();
+    if (timer.lastReload) {
+        lastReload.dataset.time = timer.lastReload;
+    } else {
+        delete lastReload.dataset.time;
+        lastReload.textContent = '';
+    }
+
+    updateCountdowns(refreshCountdowns);
+}
+
+/**
+ * Re-fetches the current tab's countdown without touching the interval input.
+ */
+async function loadCurrentCountdown() {
+    if (currentTabId === null || DOM.intervalInput().disabled) return;
+    try {
+        renderCurrentCountdown(await sendMessage({ action: 'getTimer', tabId: currentTabId }));
+    } catch (error) {
+        console.error('Error refreshing countdown:', error);
+    }
+}
+
+/**
+ * Re-fetches the current tab's countdown and the timer list, once a countdown has elapsed.
+ * @returns {Promise<void>}
+ */
+async function refreshCountdowns() {
+    await Promise.all([loadCurrentCountdown(), loadTimerList()]);
+}
+
+/**
+ * Fills the active-hours controls from a timer's schedule.
+ * @param {{enabled: boolean, days: number[], start: string, end: string}|null} schedule
+ */
+function populateSchedule(schedule) {
+    DOM.scheduleEnabled().checked = Boolean(schedule?.enabled);
+    DOM.scheduleDetails().open = Boolean(schedule?.enabled);
+    if (schedule) {
+        DOM.scheduleStart().value = schedule.start;
+        DOM.scheduleEnd().value = schedule.end;
+    }
+    renderDayPicker(DOM.scheduleDays(), schedule?.days ?? DEFAULT_SCHEDULE_DAYS);
+}
+
+/**
+ * Reads the active-hours controls.
+ * @returns {{enabled: boolean, days: number[], start: string, end: string}|null} The schedule, or null if disabled.
+ */
+function readSchedule() {
+    if (!DOM.scheduleEnabled().checked) return null;
+    return {
+        enabled: true,
+        days: readDayPicker(DOM.scheduleDays()),
+        start: DOM.scheduleStart().value,
+        end: DOM.scheduleEnd().value,
+    };
+}
+
+// --- Content Watch ---
+
+/**
+ * Fills the content-watch controls from a timer's watch.
+ * @param {{selector: string}|null} watch - The watch, or null if the timer does not watch its page.
+ */
+function populateWatch(watch) {
+    DOM.watchEnabled().checked = Boolean(watch);
+    DOM.watchSelector().value = watch?.selector ?? '';
+    DOM.watchDetails().open = Boolean(watch);
+}
+
+/**
+ * Reads the content-watch controls.
+ * @returns {{selector: string}|null|undefined} The watch, null if disabled, or undefined if the selector is invalid.
+ */
+function readWatch() {
+    if (!DOM.watchEnabled().checked) return null;
+
+    const selector = DOM.watchSelector().value.trim();
+    if (selector) {
+        try {
+            document.createDocumentFragment().querySelector(selector);
+        } catch {
+            return undefined;
+        }
+    }
+    return { selector };
+}
+
+// --- Keyword Trigger ---
+
+/**
+ * Builds the "appeared/disappeared X ago" label for a keyword match; `updateCountdowns` fills in the time.
+ * @param {{time: number, when: 'appears'|'disappears'}} match - The match.
+ * @returns {string} HTML.
+ */
+function renderMatchTime(match) {
+    const message = match.when === 'disappears' ? 'keywordDisappearedAgo' : 'keywordAppearedAgo';
+    return `<span data-time="${match.time}" data-message="${message}"></span>`;
+}
+
+/**
+ * Fills the keyword-trigger controls and recent matches from a timer.
+ * @param {{pattern: string, type: string, when: string, stopOnMatch?: boolean}|null} trigger - The trigger, or null.
+ * @param {Array<{time: number, when: string, snippet: string}>} matches - Recent matches, newest first.
+ */
+function populateTrigger(trigger, matches = []) {
+    DOM.triggerWhen().value = trigger?.when ?? 'appears';
+    DOM.triggerPattern().value = trigger?.pattern ?? '';
+    DOM.triggerRegex().checked = trigger?.type === 'regex';
+    DOM.triggerStop().checked = Boolean(trigger?.stopOnMatch);
+    DOM.triggerDetails().open = Boolean(trigger);
+
+    DOM.triggerMatches().innerHTML = matches.map(match => `
+        <li>
+            ${renderMatchTime(match)}
+            ${match.snippet ? `<span class="trigger-snippet" title="${escapeHtml(match.snippet)}">${escapeHtml(match.snippet)}</span>` : ''}
+        </li>
+    `).join('');
+}
+
+/**
+ * Reads the keyword-trigger controls.
+ * @returns {{pattern: string, type: 'text'|'regex', when: 'appears'|'disappears', stopOnMatch: boolean}|null|undefined}
+ *     The trigger, null if no pattern is entered, or undefined if the regular expression is invalid.
+ */
+function readTrigger() {
+    const pattern = DOM.triggerPattern().value.trim();
+    if (!pattern) return null;
+
+    const type = DOM.triggerRegex().checked ? 'regex' : 'text';
+    if (type === 'regex') {
+        try {
+            new RegExp(pattern);
+        } catch {
+            return undefined;
+        }
+    }
+    return { pattern, type, when: DOM.triggerWhen().value, stopOnMatch: DOM.triggerStop().checked };
+}
+
+// --- Limits ---
+
+/**
+ * Builds the "reloads left" and "expires in" labels for a timer with limits.
+ * The expiry label is kept ticking by `updateCountdowns`.
+ * @param {{maxReloads?: number|null, reloadCount?: number, expiresAt?: number|null}} timer - The timer.
+ * @returns {string} HTML, empty if the timer has no limits.
+ */
+function renderLimit(timer) {
+    const parts = [];
+    if (timer.maxReloads > 0) {
+        const left = Math.max(0, timer.maxReloads - (timer.reloadCount ?? 0));
+        parts.push(`<span>${escapeHtml(getMessage('reloadsLeft').replace('{count}', left))}</span>`);
+    }
+    if (timer.expiresAt > 0) {
+        parts.push(`<span data-expires="${timer.expiresAt}"></span>`);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Formats epoch milliseconds as the local `YYYY-MM-DDTHH:MM` value of a datetime-local input.
+ * @param {number} timestamp - Epoch milliseconds.
+ * @returns {string}
+ */
+function toDateTimeLocal(timestamp) {
+    const date = new Date(timestamp);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+}
+
+/**
+ * Fills the reload-limit controls from a timer.
+ * @param {{maxReloads?: number|null, expiresAt?: number|null}} timer - The 'getTimer' response.
+ */
+function populateLimit(timer) {
+    DOM.maxReloads().value = timer.maxReloads > 0 ? timer.maxReloads : '';
+    DOM.expiresAt().value = timer.expiresAt > 0 ? toDateTimeLocal(timer.expiresAt) : '';
+    DOM.limitDetails().open = timer.maxReloads > 0 || timer.expiresAt > 0;
+}
+
+/**
+ * Reads the reload-limit controls.
+ * @returns {{maxReloads: number|null, expiresAt: number|null}|null} The limits, or null if either is invalid.
+ */
+function readLimit() {
+    const rawCount = DOM.maxReloads().value.trim();
+    const maxReloads = rawCount === '' ? null : Number(rawCount);
+    if (maxReloads !== null && !(Number.isInteger(maxReloads) && maxReloads > 0)) return null;
+
+    const rawExpiry = DOM.expiresAt().value;
+    const expiresAt = rawExpiry ? new Date(rawExpiry).getTime() : null;
+    if (expiresAt !== null && !(expiresAt > Date.now())) return null;
+
+    return { maxReloads, expiresAt };
+}
+
+// --- Failures ---
+
+/**
+ * Fills the failure-policy controls from a timer.
+ * @param {{retries: number, backoffSeconds: number, giveUp: string}} [policy] - The timer's failure policy.
+ * @param {number} [failureCount=0] - Failed reloads in a row.
+ */
+function populateFailurePolicy(policy = DEFAULT_FAILURE_POLICY, failureCount = 0) {
+    DOM.failureRetries().value = policy.retries;
+    DOM.failureBackoff().value = policy.backoffSeconds;
+    DOM.failureGiveUp().value = policy.giveUp;
+    DOM.failureDetails().open = failureCount > 0
+        || Object.keys(DEFAULT_FAILURE_POLICY).some(key => policy[key] !== DEFAULT_FAILURE_POLICY[key]);
+}
+
+/**
+ * Reads the failure-policy controls.
+ * @returns {{retries: number, backoffSeconds: number, giveUp: string}|undefined} The policy,
+ *     or undefined if the retry count or backoff is invalid.
+ */
+function readFailurePolicy() {
+    const retries = Number(DOM.failureRetries().value);
+    const backoffSeconds = Number(DOM.failureBackoff().value);
+    if (!Number.isInteger(retries) || retries < 0 || retries > MAX_FAILURE_RETRIES) return undefined;
+    if (!Number.isFinite(backoffSeconds) || backoffSeconds <= 0) return undefined;
+    return { retries, backoffSeconds, giveUp: DOM.failureGiveUp().value };
+}
+
+/**
+ * Fills the jitter controls from a timer's jitter setting.
+ * @param {{amount: number, unit: 'percent'|'seconds'}|null} jitter - The jitter setting, or null if none.
+ */
+function populateJitter(jitter) {
+    DOM.jitterAmount().value = jitter?.amount > 0 ? jitter.amount : '';
+    DOM.jitterUnit().value = jitter?.unit ?? 'percent';
+    DOM.jitterDetails().open = jitter?.amount > 0;
+}
+
+/**
+ * Reads the jitter controls.
+ * @returns {{amount: number, unit: 'percent'|'seconds'}|null|undefined} The jitter, null if none,
+ *     or undefined if the amount is invalid.
+ */
+function readJitter() {
+    const raw = DOM.jitterAmount().value.trim();
+    if (raw === '') return null;
+
+    const amount = parseFloat(raw);
+    const unit = DOM.jitterUnit().value;
+    if (!Number.isFinite(amount) || amount < 0 || (unit === 'percent' && amount > 100)) return undefined;
+    return amount > 0 ? { amount, unit } : null;
+}
+
+// --- Timer Settings ---
+
+/**
+ * Renders one "Default / Off / Notify / Sound / Both" select per notification event.
+ */
+function renderNotificationSettings() {
+    const rows = NOTIFICATION_EVENTS.map(event => {
+        const row = document.createElement('div');
+        row.className = 'schedule-row';
+
+        const label = document.createElement('span');
+        label.textContent = getMessage(NOTIFICATION_LABEL_KEYS[event]);
+
+        const select = document.createElement('select');
+        select.className = 'select-input';
+        select.dataset.event = event;
+        select.add(new Option(getMessage('timerSettingDefault'), ''));
+        for (const [value, { messageKey }] of Object.entries(NOTIFICATION_CHOICES)) {
+            select.add(new Option(getMessage(messageKey), value));
+        }
+
+        row.append(label, select);
+        return row;
+    });
+    DOM.settingsNotifications().replaceChildren(...rows);
+}
+
+/**
+ * Shows the reload target field for the reload modes that need one, with a hint of what to enter.
+ * Switching to 'navigate' suggests the current page as the home URL.
+ */
+function showReloadTarget() {
+    const mode = DOM.settingsReloadMode().value;
+    const target = DOM.settingsReloadTarget();
+    DOM.settingsReloadTargetRow().classList.toggle('hidden', !RELOAD_TARGET_PLACEHOLDER_KEYS[mode]);
+    target.placeholder = RELOAD_TARGET_PLACEHOLDER_KEYS[mode] ? getMessage(RELOAD_TARGET_PLACEHOLDER_KEYS[mode]) : '';
+    if (mode === 'navigate' && !target.value) target.value = currentTabUrl;
+}
+
+/**
+ * Fills the advanced controls from a timer's own settings.
+ * @param {{bypassCache?: boolean, reloadMode?: string, reloadTarget?: string, notifications?: object}|null} settings
+ *     The timer's settings, or null if none.
+ */
+function populateSettings(settings) {
+    DOM.settingsReloadMode().value = settings?.reloadMode ?? 'reload';
+    DOM.settingsReloadTarget().value = settings?.reloadTarget ?? '';
+    showReloadTarget();
+    DOM.settingsBypassCache().value = settings?.bypassCache == null ? '' : String(settings.bypassCache);
+    for (const select of DOM.settingsNotifications().querySelectorAll('select[data-event]')) {
+        const setting = settings?.notifications?.[select.dataset.event];
+        const choice = setting && Object.entries(NOTIFICATION_CHOICES)
+            .find(([, { notify, sound }]) => notify === setting.notify && sound === setting.sound);
+        select.value = choice ? choice[0] : '';
+    }
+    DOM.settingsDetails().open = settings != null;
+}
+
+/**
+ * Reads the advanced controls. Settings left on "Default" are omitted.
+ * @returns {{bypassCache?: boolean, reloadMode?: string, reloadTarget?: string, notifications?: object}|null|undefined}
+ *     The settings, null if all are default, or undefined if the reload target is invalid.
+ */
+function readSettings() {
+    const settings = {};
+    const reloadMode = DOM.settingsReloadMode().value;
+    if (reloadMode !== 'reload') {
+        const reloadTarget = DOM.settingsReloadTarget().value.trim();
+        if (!isValidReloadTarget(reloadMode, reloadTarget)) return undefined;
+        Object.assign(settings, { reloadMode, reloadTarget });
+    }
+
+    const bypassCache = DOM.settingsBypassCache().value;
+    if (bypassCache !== '') settings.bypassCache = bypassCache === 'true';
+
+    const notifications = {};
+    for (const select of DOM.settingsNotifications().querySelectorAll('select[data-event]')) {
+        const choice = NOTIFICATION_CHOICES[select.value];
+        if (choice) notifications[select.dataset.event] = { notify: choice.notify, sound: choice.sound };
+    }
+    if (Object.keys(notifications).length > 0) settings.notifications = notifications;
+
+    return Object.keys(settings).length > 0 ? settings : null;
+}
+
+/**
+ * Checks a reload target: a web URL for 'navigate', or a valid CSS selector for 'click' and 'frame'.
+ * @param {string} reloadMode - The reload mode.
+ * @param {string} reloadTarget - The trimmed target.
+ * @returns {boolean}
+ */
+function isValidReloadTarget(reloadMode, reloadTarget) {
+    if (!reloadTarget) return false;
+    try {
+        if (reloadMode === 'navigate') return ['http:', 'https:'].includes(new URL(reloadTarget).protocol);
+        document.createDocumentFragment().querySelector(reloadTarget);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Shows an interval in the input, in the largest unit that divides it evenly.
+ * @param {number} intervalSeconds - The interval in seconds (0 empties the input).
+ */
+function showInterval(intervalSeconds) {
+    if (!(intervalSeconds > 0)) {
+        DOM.intervalInput().value = '';
+        return;
+    }
+    const { value, unitSeconds } = splitDuration(intervalSeconds);
+    DOM.intervalInput().value = value;
+    DOM.intervalUnit().value = String(unitSeconds);
+}
+
+/**
+ * Checks that an interval is 0 (disable) or a whole number of seconds, at least `MIN_INTERVAL_SECONDS`.
+ * @param {number|null} intervalSeconds - The interval in seconds.
+ * @returns {boolean}
+ */
+function isValidInterval(intervalSeconds) {
+    if (!Number.isInteger(intervalSeconds) || intervalSeconds < 0) return false;
+    return intervalSeconds === 0 || intervalSeconds >= MIN_INTERVAL_SECONDS;
+}
+
 /**
  * Sets the reload interval for the active tab.
  * @param {number} tabId - The active tab ID.
- * @param {number} intervalMinutes - The interval (0 to disable).
+ * @param {number} intervalSeconds - The interval in seconds (0 to disable).
  */
-async function setTimer(tabId, intervalMinutes) {
+async function setTimer(tabId, intervalSeconds) {
     try {
-        if (!Number.isInteger(intervalMinutes) || intervalMinutes < 0) {
+        if (!isValidInterval(intervalSeconds)) {
             showStatus(getMessage('invalidInterval'), true);
             return;
         }
 
-        await sendMessage({ action: 'setTimer', tabId, interval: intervalMinutes });
+        const jitter = intervalSeconds > 0 ? readJitter() : null;
+        if (jitter === undefined) {
+            showStatus(getMessage('invalidJitter'), true);
+            return;
+        }
 
-        if (intervalMinutes > 0) {
-            showStatus(getMessage('timerSetStatus').replace('{interval}', intervalMinutes));
+        const limit = intervalSeconds > 0 ? readLimit() : { maxReloads: null, expiresAt: null };
+        if (!limit) {
+            showStatus(getMessage('invalidLimit'), true);
+            return;
+        }
+
+        const watch = intervalSeconds > 0 ? readWatch() : null;
+        if (watch === undefined) {
+            showStatus(getMessage('invalidSelector'), true);
+            return;
+        }
+
+        const trigger = intervalSeconds > 0 ? readTrigger() : null;
+        if (trigger === undefined) {
+            showStatus(getMessage('invalidTriggerPattern'), true);
+            return;
+        }
+
+        const failurePolicy = intervalSeconds > 0 ? readFailurePolicy() : null;
+        if (failurePolicy === undefined) {
+            showStatus(getMessage('invalidFailurePolicy'), true);
+            return;
+        }
+
+        const schedule = intervalSeconds > 0 ? readSchedule() : null;
+        const settings = intervalSeconds > 0 ? readSettings() : null;
+        if (settings === undefined) {
+            showStatus(getMessage('invalidReloadTarget'), true);
+            return;
+        }
+        if ((watch || trigger) && !PAGE_LOADING_RELOAD_MODES.includes(settings?.reloadMode ?? DEFAULT_RELOAD_MODE)) {
+            showStatus(getMessage('pageChecksNeedPageLoad'), true);
+            return;
+        }
+        await sendMessage({
+            action: 'setTimer', tabId, intervalSeconds, schedule, jitter, watch, trigger, failurePolicy, settings, ...limit,
+        });
+
+        if (intervalSeconds > 0) {
+            showStatus(getMessage('timerSetStatus').replace('{interval}', formatInterval(intervalSeconds)));
         } else {
             showStatus(getMessage('timerClearedStatus'));
         }
@@ -111,45 +622,263 @@ async function setTimer(tabId, intervalMinutes) {
 
 // --- Timer List ---
 
+/**
+ * Builds the HTML for one row of the timer list.
+ * While "pause all" is on, every row shows as paused and its own pause button is disabled.
+ * A timer the last bulk action could not update is marked as failed.
+ * Clicking the row focuses its tab; the interval is edited in place and the checkbox selects it for bulk actions.
+ * @param {object} timer - A timer entry from the 'getAllTimers' response.
+ * @param {boolean} pausedAll - Whether every timer is paused.
+ * @returns {string}
+ */
+function renderTimerItem(timer, pausedAll) {
+    const paused = timer.paused || pausedAll;
+    const state = paused ? getMessage('timerPausedLabel') : timer.dormant ? getMessage('timerDormantLabel') : '';
+    const ruleLabel = timer.ruleLabel ? getMessage('timerRuleLabel').replace('{rule}', timer.ruleLabel) : '';
+    const pauseTitle = getMessage(timer.paused ? 'resumeTimerTitle' : 'pauseTimerTitle');
+    const failed = failedTabIds.has(timer.tabId);
+
+    return `
+        <div class="timer-item timer-item--focusable ${paused || timer.dormant ? 'timer-item--dormant' : ''} ${failed ? 'timer-item--failed' : ''}"
+            data-tab-id="${timer.tabId}" title="${escapeHtml(getMessage('focusTabTitle'))}">
+            <input type="checkbox" class="timer-item-select" data-tab-id="${timer.tabId}"
+                title="${escapeHtml(getMessage('selectTimerTitle'))}" ${selectedTabIds.has(timer.tabId) ? 'checked' : ''}>
+            <div class="timer-item-info">
+                <div class="timer-item-title" title="${escapeHtml(timer.url)}">${escapeHtml(timer.title)}</div>
+                <div class="timer-item-interval">
+                    <input type="text" class="timer-item-interval-input" data-tab-id="${timer.tabId}" autocomplete="off"
+                        value="${escapeHtml(formatInterval(timer.intervalSeconds))}" data-interval="${timer.intervalSeconds}"
+                        title="${escapeHtml(getMessage('editIntervalTitle'))}">
+                    ${state ? `<span class="timer-item-state">${escapeHtml(state)}</span>` : ''}
+                    ${ruleLabel ? `<span class="timer-item-rule">${escapeHtml(ruleLabel)}</span>` : ''}
+                    ${failed ? `
+                        <span class="timer-item-bulk-failed" title="${escapeHtml(getMessage('bulkFailedRowTitle'))}">
+                            ${escapeHtml(getMessage('bulkFailedRowLabel'))}
+                        </span>` : ''}
+                </div>
+                ${!paused && timer.nextReload ? `<div class="timer-item-countdown" data-next="${timer.nextReload}"></div>` : ''}
+                ${timer.maxReloads > 0 || timer.expiresAt > 0 ? `<div class="timer-item-limit">${renderLimit(timer)}</div>` : ''}
+                ${renderFailures(timer) ? `
+                    <div class="timer-item-failures" title="${escapeHtml(getFailureReason(timer))}">
+                        ${escapeHtml(renderFailures(timer))}
+                    </div>` : ''}
+                ${timer.lastMatch ? `
+                    <div class="timer-item-match" title="${escapeHtml(timer.lastMatch.snippet || timer.trigger?.pattern || '')}">
+                        🔔 ${renderMatchTime(timer.lastMatch)}
+                    </div>` : ''}
+                ${timer.changedAt ? `
+                    <button class="timer-item-changed" data-tab-id="${timer.tabId}" title="${escapeHtml(getMessage('acknowledgeChangeTitle'))}">
+                        ● <span data-time="${timer.changedAt}" data-message="contentChangedAgo"></span>
+                    </button>` : ''}
+            </div>
+            <button class="timer-item-pause" data-tab-id="${timer.tabId}" data-paused="${timer.paused}"
+                title="${escapeHtml(pauseTitle)}" ${pausedAll ? 'disabled' : ''}>${timer.paused ? '▶' : '⏸'}</button>
+            <button class="timer-item-clear" data-tab-id="${timer.tabId}">✕</button>
+        </div>
+    `;
+}
+
+/**
+ * Updates the master pause button to reflect the "pause all" switch.
+ * @param {boolean} pausedAll - Whether every timer is paused.
+ * @param {boolean} hasTimers - Whether any timer exists.
+ */
+function renderPauseAllButton(pausedAll, hasTimers) {
+    const button = DOM.pauseAllButton();
+    if (!button) return;
+
+    button.dataset.paused = String(pausedAll);
+    button.textContent = getMessage(pausedAll ? 'resumeAllButton' : 'pauseAllButton');
+    button.disabled = !hasTimers && !pausedAll;
+}
+
+/**
+ * Shows the bulk-action bar while timers are selected, with the selection count.
+ * @param {number} timerCount - How many timers the list shows.
+ */
+function renderBulkBar(timerCount) {
+    const count = selectedTabIds.size;
+    DOM.bulkBar().classList.toggle('hidden', count === 0);
+    DOM.bulkCount().textContent = getMessage('bulkSelectedCount').replace('{count}', count);
+    DOM.selectAll().checked = count > 0 && count === timerCount;
+    DOM.selectAll().indeterminate = count > 0 && count < timerCount;
+}
+
+/**
+ * Changes one timer's interval from its row (see `applyInterval`), then refreshes
+ * the list and, for the active tab, the interval input.
+ * @param {HTMLInputElement} input - The row's interval field.
+ */
+async function applyRowInterval(input) {
+    const tabId = parseInt(input.dataset.tabId, 10);
+    try {
+        await applyInterval(input, tabId, async () => {
+            if (tabId === currentTabId) await loadCurrentInterval(currentTabId);
+            await loadTimerList();
+        });
+    } catch (error) {
+        console.error('Error applying interval:', error);
+        showStatus(getMessage('errorSettingTimer'), true);
+    }
+}
+
+/**
+ * Applies one operation to several timers with a single 'bulkUpdateTimers' message.
+ * The timers that could not be updated are marked in the list and, after a clear, stay selected
+ * so the action can be retried on them.
+ * The list is refreshed even when the message fails, since some timers may have changed.
+ * @param {number[]} tabIds - The timers' tab IDs.
+ * @param {string} operation - 'pause', 'resume', 'clear' or 'setInterval'.
+ * @param {number} [intervalSeconds] - The new interval, for 'setInterval'.
+ */
+async function bulkUpdateTimers(tabIds, operation, intervalSeconds) {
+    let message;
+    let isError = false;
+    try {
+        failedTabIds.clear();
+        const { updated, failed = [] } = await sendMessage({ action: 'bulkUpdateTimers', tabIds, operation, intervalSeconds });
+        failed.forEach(tabId => failedTabIds.add(tabId));
+        isError = failed.length > 0;
+        message = isError
+            ? getMessage('bulkFailedStatus').replace('{failed}', failed.length).replace('{total}', tabIds.length)
+            : getMessage('bulkUpdatedStatus').replace('{count}', updated);
+        if (operation === 'clear') {
+            tabIds.filter(tabId => !failedTabIds.has(tabId)).forEach(tabId => selectedTabIds.delete(tabId));
+        }
+    } catch (error) {
+        console.error(`Bulk ${operation} failed:`, error);
+        message = getMessage('errorSettingTimer');
+        isError = true;
+    }
+
+    try {
+        if (tabIds.includes(currentTabId)) await loadCurrentInterval(currentTabId);
+        await loadTimerList();
+    } catch (error) {
+        console.error('Error refreshing timers:', error);
+    }
+    // Shown last, so the active tab's interval status does not replace it.
+    showStatus(message, isError);
+}
+
 /**
  * Loads and renders the list of all active timers across all tabs.
+ * Skipped while a row's interval is being edited, so the edit is not thrown away.
  */
 async function loadTimerList() {
     const timerList = DOM.timerList();
     if (!timerList) return;
+    if (document.activeElement?.classList.contains('timer-item-interval-input')) return;
 
     try {
         const response = await sendMessage({ action: 'getAllTimers' });
         const timers = response.timers || [];
+        const pausedAll = Boolean(response.pausedAll);
+        renderPauseAllButton(pausedAll, timers.length > 0);
+
+        // Forget selected and failed timers that have been cleared.
+        const tabIds = new Set(timers.map(timer => timer.tabId));
+        for (const selection of [selectedTabIds, failedTabIds]) {
+            for (const tabId of selection) {
+                if (!tabIds.has(tabId)) selection.delete(tabId);
+            }
+        }
+        renderBulkBar(timers.length);
 
         if (timers.length === 0) {
             timerList.innerHTML = `<div class="timer-empty" data-i18n="noActiveTimers">${getMessage('noActiveTimers')}</div>`;
             return;
         }
 
-        timerList.innerHTML = timers.map(timer => `
-            <div class="timer-item" data-tab-id="${timer.tabId}">
-                <div class="timer-item-info">
-                    <div class="timer-item-title" title="${escapeHtml(timer.url)}">${escapeHtml(timer.title)}</div>
-                    <div class="timer-item-interval">${timer.interval} min</div>
-                </div>
-                <button class="timer-item-clear" data-tab-id="${timer.tabId}">✕</button>
-            </div>
-        `).join('');
+        timerList.innerHTML = timers.map(timer => renderTimerItem(timer, pausedAll)).join('');
+        updateCountdowns(refreshCountdowns);
+
+        // Attach focus handlers: a click anywhere else on a row brings its tab to the front
+        timerList.querySelectorAll('.timer-item--focusable').forEach(row => {
+            row.addEventListener('click', async () => {
+                try {
+                    await sendMessage({ action: 'focusTab', tabId: parseInt(row.dataset.tabId, 10) });
+                    window.close();
+                } catch (error) {
+                    console.error('Focus tab failed:', error);
+                    showStatus(getMessage('errorGettingTab'), true);
+                }
+            });
+        });
+
+        // Attach selection handlers
+        timerList.querySelectorAll('.timer-item-select').forEach(checkbox => {
+            checkbox.addEventListener('click', (e) => e.stopPropagation());
+            checkbox.addEventListener('change', () => {
+                const tabId = parseInt(checkbox.dataset.tabId, 10);
+                if (checkbox.checked) {
+                    selectedTabIds.add(tabId);
+                } else {
+                    selectedTabIds.delete(tabId);
+                }
+                renderBulkBar(timers.length);
+            });
+        });
+
+        // Attach inline interval handlers: Enter or leaving the field applies, Escape reverts
+        timerList.querySelectorAll('.timer-item-interval-input').forEach(input => {
+            input.addEventListener('click', (e) => e.stopPropagation());
+            input.addEventListener('change', () => applyRowInterval(input));
+            input.addEventListener('keydown', (e) => {
+                if (e.key !== 'Escape') return;
+                e.preventDefault();
+                input.value = formatInterval(Number(input.dataset.interval));
+                input.classList.remove('timer-item-interval-input--invalid');
+                input.blur();
+            });
+        });
+
+        // Attach pause/resume handlers
+        timerList.querySelectorAll('.timer-item-pause').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const tabId = parseInt(btn.dataset.tabId, 10);
+                try {
+                    await sendMessage({ action: 'pauseTimer', tabId, paused: btn.dataset.paused !== 'true' });
+                } catch (error) {
+                    console.error('Pause timer failed:', error);
+                    showStatus(getMessage('errorSettingTimer'), true);
+                }
+                await loadTimerList();
+            });
+        });
+
+        // Attach "changed" acknowledgement handlers
+        timerList.querySelectorAll('.timer-item-changed').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                try {
+                    await sendMessage({ action: 'acknowledgeChange', tabId: parseInt(btn.dataset.tabId, 10) });
+                } catch (error) {
+                    console.error('Acknowledge change failed:', error);
+                    showStatus(getMessage('errorSettingTimer'), true);
+                }
+                await loadTimerList();
+            });
+        });
 
         // Attach clear handlers
         timerList.querySelectorAll('.timer-item-clear').forEach(btn => {
             btn.addEventListener('click', async (e) => {
                 e.stopPropagation();
                 const tabId = parseInt(btn.dataset.tabId, 10);
-                await sendMessage({ action: 'setTimer', tabId, interval: 0 });
+                try {
+                    await sendMessage({ action: 'setTimer', tabId, intervalSeconds: 0 });
 
-                // If it's the current tab, reset the input
-                if (tabId === currentTabId) {
-                    DOM.intervalInput().value = '';
-                    showStatus(getMessage('timerClearedStatus'));
+                    // If it's the current tab, reset the input
+                    if (tabId === currentTabId) {
+                        DOM.intervalInput().value = '';
+                        showStatus(getMessage('timerClearedStatus'));
+                    }
+                } catch (error) {
+                    console.error('Clear timer failed:', error);
+                    showStatus(getMessage('errorSettingTimer'), true);
                 }
-
                 await loadTimerList();
             });
         });
@@ -159,6 +888,102 @@ async function loadTimerList() {
     }
 }
 
+// --- Unmatched Timers ---
+
+/**
+ * Loads and renders timers that could not be rebound to a tab after a restart.
+ * The section stays hidden while there are none.
+ */
+async function loadUnmatchedTimers() {
+    const section = DOM.unmatchedSection();
+    const list = DOM.unmatchedList();
+    if (!section || !list) return;
+
+    try {
+        const response = await sendMessage({ action: 'getUnmatchedTimers' });
+        const timers = response.timers || [];
+
+        section.classList.toggle('hidden', timers.length === 0);
+        if (timers.length === 0) return;
+
+        list.innerHTML = timers.map(timer => `
+            <div class="timer-item" data-id="${timer.id}">
+                <div class="timer-item-info">
+                    <div class="timer-item-title" title="${escapeHtml(timer.url)}">${escapeHtml(timer.url)}</div>
+                    <div class="timer-item-interval">${formatInterval(timer.intervalSeconds)}</div>
+                </div>
+                <button class="timer-item-action" data-id="${timer.id}" data-action="reopenUnmatchedTimer"
+                    title="${escapeHtml(getMessage('reopenUnmatchedTitle'))}">↗</button>
+                <button class="timer-item-clear" data-id="${timer.id}" data-action="dismissUnmatchedTimer"
+                    title="${escapeHtml(getMessage('dismissUnmatchedTitle'))}">✕</button>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('button[data-action]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                try {
+                    await sendMessage({ action: btn.dataset.action, id: btn.dataset.id });
+                } catch (error) {
+                    console.error(`${btn.dataset.action} failed:`, error);
+                    showStatus(getMessage('errorSettingTimer'), true);
+                }
+                await loadUnmatchedTimers();
+                await loadTimerList();
+            });
+        });
+    } catch (error) {
+        console.error('Error loading unmatched timers:', error);
+        section.classList.add('hidden');
+    }
+}
+
+// --- Badge Legend ---
+
+/**
+ * Colors the badge legend with the user's badge colors.
+ * The legend is hidden when neither the badge nor the tinted icon is shown.
+ */
+async function loadBadgeLegend() {
+    try {
+        const { options } = await sendMessage({ action: 'getOptions' });
+        DOM.badgeLegend().classList.toggle('hidden', !options.showBadge && !options.tintIcon);
+        for (const dot of DOM.badgeLegend().querySelectorAll('[data-badge-state]')) {
+            dot.style.background = options.badgeColors[dot.dataset.badgeState];
+        }
+    } catch (error) {
+        console.error('Error loading badge colors:', error);
+    }
+}
+
+// --- Interval Presets ---
+
+/**
+ * Loads the default interval and renders one button per interval preset.
+ * A preset fills in the interval and sets the timer in one click.
+ */
+async function loadIntervalPresets() {
+    try {
+        const { options } = await sendMessage({ action: 'getOptions' });
+        defaultIntervalSeconds = options.defaultIntervalSeconds;
+
+        const buttons = options.intervalPresets.map(intervalSeconds => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small btn-secondary';
+            button.textContent = formatInterval(intervalSeconds);
+            button.addEventListener('click', () => {
+                if (currentTabId === null) return;
+                showInterval(intervalSeconds);
+                setTimer(currentTabId, intervalSeconds);
+            });
+            return button;
+        });
+        DOM.intervalPresets().replaceChildren(...buttons);
+    } catch (error) {
+        console.error('Error loading interval presets:', error);
+    }
+}
+
 // --- Export / Import ---
 
 /**
@@ -208,22 +1033,13 @@ async function importSettings(file) {
 
 // --- Utilities ---
 
-/**
- * Escapes HTML entities to prevent XSS in rendered content.
- * @param {string} text - The text to escape.
- * @returns {string} The escaped text.
- */
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
 /**
  * Disables the interval controls when the tab is restricted.
  */
 function disableControls() {
     DOM.intervalInput().disabled = true;
+    DOM.intervalUnit().disabled = true;
+    DOM.intervalPresets().querySelectorAll('button').forEach(button => { button.disabled = true; });
     DOM.setButton().disabled = true;
     DOM.clearButton().disabled = true;
     DOM.currentTabSection()?.classList.add('disabled');
@@ -234,6 +1050,9 @@ function disableControls() {
 document.addEventListener('DOMContentLoaded', async () => {
     // Apply i18n translations
     applyI18n();
+    renderDayPicker(DOM.scheduleDays(), DEFAULT_SCHEDULE_DAYS);
+    renderNotificationSettings();
+    DOM.settingsReloadMode().addEventListener('change', showReloadTarget);
 
     try {
         // Get the current active tab (async/await instead of callback)
@@ -246,6 +1065,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         currentTabId = tab.id;
+        currentTabUrl = tab.url ?? '';
+        currentWindowId = tab.windowId;
+        await loadIntervalPresets();
 
         // Check for restricted URLs
         if (tab.url && isRestrictedUrl(tab.url)) {
@@ -255,8 +1077,10 @@ document.addEventListener('DOMContentLoaded', async () => {
             await loadCurrentInterval(currentTabId);
         }
 
-        // Load active timer list
+        // Load active timer list and any timers lost across a restart
         await loadTimerList();
+        await loadUnmatchedTimers();
+        await loadBadgeLegend();
     } catch (error) {
         console.error('Initialization error:', error);
         showStatus(getMessage('errorGettingTab'), true);
@@ -278,14 +1102,14 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
 
-        const interval = parseInt(rawValue, 10);
+        const intervalSeconds = parseDuration(rawValue, Number(DOM.intervalUnit().value));
 
-        if (!Number.isInteger(interval) || interval <= 0) {
+        if (!isValidInterval(intervalSeconds) || intervalSeconds === 0) {
             showStatus(getMessage('invalidInterval'), true);
             return;
         }
 
-        setTimer(currentTabId, interval);
+        setTimer(currentTabId, intervalSeconds);
     });
 
     DOM.clearButton().addEventListener('click', () => {
@@ -300,18 +1124,76 @@ document.addEventListener('DOMContentLoaded', async () => {
     DOM.clearAllButton()?.addEventListener('click', async () => {
         try {
             const response = await sendMessage({ action: 'getAllTimers' });
-            for (const timer of (response.timers || [])) {
-                await sendMessage({ action: 'setTimer', tabId: timer.tabId, interval: 0 });
+            const tabIds = (response.timers || []).map(timer => timer.tabId);
+            if (tabIds.length === 0) {
+                showStatus(getMessage('timerClearedStatus'));
+                return;
             }
-            DOM.intervalInput().value = '';
-            showStatus(getMessage('timerClearedStatus'));
-            await loadTimerList();
+            // Like any bulk clear, timers that could not be cleared are marked in the list.
+            await bulkUpdateTimers(tabIds, 'clear');
+            if (!failedTabIds.has(currentTabId)) DOM.intervalInput().value = '';
         } catch (error) {
             console.error('Clear all failed:', error);
             showStatus('Failed to clear all timers.', true);
         }
     });
 
+    DOM.selectAll()?.addEventListener('change', () => {
+        const checkboxes = DOM.timerList().querySelectorAll('.timer-item-select');
+        checkboxes.forEach(checkbox => {
+            checkbox.checked = DOM.selectAll().checked;
+            const tabId = parseInt(checkbox.dataset.tabId, 10);
+            if (checkbox.checked) {
+                selectedTabIds.add(tabId);
+            } else {
+                selectedTabIds.delete(tabId);
+            }
+        });
+        renderBulkBar(checkboxes.length);
+    });
+
+    DOM.bulkBar()?.querySelectorAll('button[data-operation]').forEach(button => {
+        button.addEventListener('click', () => {
+            const { operation } = button.dataset;
+            let intervalSeconds;
+            if (operation === 'setInterval') {
+                intervalSeconds = parseDuration(DOM.bulkInterval().value.trim());
+                if (!isValidInterval(intervalSeconds) || intervalSeconds === 0) {
+                    showStatus(getMessage('invalidInterval'), true);
+                    return;
+                }
+            }
+            bulkUpdateTimers([...selectedTabIds], operation, intervalSeconds);
+        });
+    });
+
+    DOM.reloadNowButton()?.addEventListener('click', async () => {
+        if (currentTabId === null) return;
+        try {
+            await sendMessage({ action: 'reloadNow', tabId: currentTabId });
+            showStatus(getMessage('reloadedNowStatus'));
+            await loadCurrentCountdown();
+            await loadTimerList();
+        } catch (error) {
+            console.error('Reload now failed:', error);
+            showStatus(getMessage('errorReloadingTab'), true);
+        }
+    });
+
+    setInterval(() => updateCountdowns(refreshCountdowns), 1000);
+
+    DOM.pauseAllButton()?.addEventListener('click', async () => {
+        try {
+            const paused = DOM.pauseAllButton().dataset.paused !== 'true';
+            await sendMessage({ action: 'pauseAll', paused });
+            showStatus(getMessage(paused ? 'allTimersPausedStatus' : 'allTimersResumedStatus'));
+            await loadTimerList();
+        } catch (error) {
+            console.error('Pause all failed:', error);
+            showStatus(getMessage('errorSettingTimer'), true);
+        }
+    });
+
     DOM.exportButton()?.addEventListener('click', exportSettings);
 
     DOM.importButton()?.addEventListener('click', () => {
@@ -326,6 +1208,17 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    DOM.sidePanelButton()?.addEventListener('click', async () => {
+        if (currentWindowId === null) return;
+        try {
+            // Must run straight from the click: the side panel only opens on a user gesture.
+            await chrome.sidePanel.open({ windowId: currentWindowId });
+            window.close();
+        } catch (error) {
+            console.error('Opening the side panel failed:', error);
+        }
+    });
+
     DOM.optionsButton()?.addEventListener('click', () => {
         chrome.runtime.openOptionsPage();
     });
@@ -1,10 +1,12 @@
 'use strict';
 
-import { ALARM_NAME_PREFIX } from '../shared/constants.js';
+import { ALARM_NAME_PREFIX, MIN_ALARM_SECONDS } from '../shared/constants.js';
+import { PreciseTimerService } from './PreciseTimerService.js';
 
 /**
  * Facade pattern wrapper for chrome.alarms API.
  * Encapsulates all alarm scheduling logic for tab reloading.
+ * Intervals shorter than `MIN_ALARM_SECONDS` are delegated to `PreciseTimerService`.
  */
 export class AlarmService {
     /**
@@ -27,32 +29,107 @@ export class AlarmService {
         return isNaN(tabId) ? null : tabId;
     }
 
+    /**
+     * Checks whether an interval is too short for `chrome.alarms`.
+     * @param {number} intervalSeconds - The interval in seconds.
+     * @returns {boolean} True if the interval needs the precise timer.
+     */
+    static isPreciseInterval(intervalSeconds) {
+        return intervalSeconds > 0 && intervalSeconds < MIN_ALARM_SECONDS;
+    }
+
+    /**
+     * Converts a timer's jitter setting into the maximum deviation from its interval.
+     * @param {number} intervalSeconds - The interval in seconds.
+     * @param {{amount: number, unit: 'percent'|'seconds'}|null|undefined} jitter - The jitter setting.
+     * @returns {number} The spread in milliseconds (0 for no jitter).
+     */
+    static getJitterSpreadMs(intervalSeconds, jitter) {
+        if (!(jitter?.amount > 0)) return 0;
+        return jitter.unit === 'percent'
+            ? intervalSeconds * 1000 * Math.min(jitter.amount, 100) / 100
+            : jitter.amount * 1000;
+    }
+
+    /**
+     * Picks a randomized delay within ±spread of the interval.
+     * `chrome.alarms` raises shorter delays to `MIN_ALARM_SECONDS`, so the spread is narrowed to keep
+     * the delay above it; clamping the delay instead would make the deviation one-sided.
+     * @param {number} intervalSeconds - The interval in seconds, at least `MIN_ALARM_SECONDS`.
+     * @param {{amount: number, unit: 'percent'|'seconds'}|null|undefined} jitter - The jitter setting.
+     * @returns {number} The delay in minutes.
+     */
+    static getJitteredDelay(intervalSeconds, jitter) {
+        const spreadMs = Math.max(0, Math.min(
+            AlarmService.getJitterSpreadMs(intervalSeconds, jitter),
+            (intervalSeconds - MIN_ALARM_SECONDS) * 1000,
+        ));
+        const delayMs = intervalSeconds * 1000 + (Math.random() * 2 - 1) * spreadMs;
+        return delayMs / 60000;
+    }
+
     /**
      * Schedules a periodic alarm for a given tab.
      * Clears any existing alarm before creating a new one.
-     * If intervalMinutes is 0, only clears the existing alarm.
+     * If intervalSeconds is 0, only clears the existing alarm.
+     * Sub-30-second intervals use the precise timer.
+     * With jitter, a one-shot alarm with a randomized delay is created instead of a
+     * periodic one; the caller re-schedules it each time it fires.
      * @param {number} tabId - The tab ID.
-     * @param {number} intervalMinutes - The interval in minutes.
+     * @param {number} intervalSeconds - The interval in seconds.
+     * @param {{amount: number, unit: 'percent'|'seconds'}|null} [jitter] - Optional random deviation per reload.
      */
-    static async schedule(tabId, intervalMinutes) {
-        const alarmName = AlarmService.getAlarmName(tabId);
-        await chrome.alarms.clear(alarmName);
+    static async schedule(tabId, intervalSeconds, jitter = null) {
+        await AlarmService.clear(tabId);
 
-        if (intervalMinutes > 0) {
-            chrome.alarms.create(alarmName, {
-                delayInMinutes: intervalMinutes,
-                periodInMinutes: intervalMinutes,
+        const spreadMs = AlarmService.getJitterSpreadMs(intervalSeconds, jitter);
+        if (AlarmService.isPreciseInterval(intervalSeconds)) {
+            await PreciseTimerService.start(tabId, intervalSeconds * 1000, spreadMs);
+        } else if (intervalSeconds > 0 && spreadMs > 0) {
+            chrome.alarms.create(AlarmService.getAlarmName(tabId), {
+                delayInMinutes: AlarmService.getJitteredDelay(intervalSeconds, jitter),
+            });
+        } else if (intervalSeconds > 0) {
+            chrome.alarms.create(AlarmService.getAlarmName(tabId), {
+                delayInMinutes: intervalSeconds / 60,
+                periodInMinutes: intervalSeconds / 60,
             });
         }
     }
 
     /**
-     * Clears the alarm for a specific tab.
+     * Replaces a tab's timer with a one-shot retry.
+     * The caller re-schedules the regular timer when it fires, as for jittered alarms.
+     * Delays shorter than `MIN_ALARM_SECONDS` use a one-shot precise timer, since `chrome.alarms` would raise them.
+     * @param {number} tabId - The tab ID.
+     * @param {number} delaySeconds - Seconds until the retry.
+     */
+    static async scheduleRetry(tabId, delaySeconds) {
+        await AlarmService.clear(tabId);
+        if (AlarmService.isPreciseInterval(delaySeconds)) {
+            await PreciseTimerService.startOnce(tabId, delaySeconds * 1000);
+        } else {
+            chrome.alarms.create(AlarmService.getAlarmName(tabId), { delayInMinutes: delaySeconds / 60 });
+        }
+    }
+
+    /**
+     * Checks whether a tab has a pending `chrome.alarms` alarm (as opposed to a precise timer).
+     * @param {number} tabId - The tab ID.
+     * @returns {Promise<boolean>}
+     */
+    static async hasAlarm(tabId) {
+        return Boolean(await chrome.alarms.get(AlarmService.getAlarmName(tabId)));
+    }
+
+    /**
+     * Clears the alarm (and any precise timer) for a specific tab.
      * @param {number} tabId - The tab ID.
      * @returns {Promise<boolean>} Whether the alarm was successfully cleared.
      */
     static async clear(tabId) {
         const alarmName = AlarmService.getAlarmName(tabId);
+        await PreciseTimerService.stop(tabId);
         return chrome.alarms.clear(alarmName);
     }
 
@@ -66,11 +143,38 @@ export class AlarmService {
     }
 
     /**
-     * Clears all tab-reloader alarms.
+     * Counts the tabs with a running timer, whether alarm-driven or precise.
+     * @returns {Promise<number>}
+     */
+    static async countActiveTimers() {
+        const alarms = await AlarmService.getAllReloaderAlarms();
+        const preciseTabIds = await PreciseTimerService.getActiveTabIds();
+        return alarms.length + preciseTabIds.length;
+    }
+
+    /**
+     * Gets when each running timer will next fire, whether alarm-driven or precise.
+     * @returns {Promise<Map<number, number>>} tabId → epoch milliseconds.
+     */
+    static async getNextReloadTimes() {
+        const times = new Map();
+        for (const alarm of await AlarmService.getAllReloaderAlarms()) {
+            const tabId = AlarmService.parseTabId(alarm.name);
+            if (tabId !== null) times.set(tabId, alarm.scheduledTime);
+        }
+        for (const [tabId, time] of await PreciseTimerService.getNextTickTimes()) {
+            times.set(tabId, time);
+        }
+        return times;
+    }
+
+    /**
+     * Clears all tab-reloader alarms and precise timers.
      * @returns {Promise<void>}
      */
     static async clearAll() {
         const alarms = await AlarmService.getAllReloaderAlarms();
         await Promise.all(alarms.map(a => chrome.alarms.clear(a.name)));
+        await PreciseTimerService.stopAll();
     }
 }
@@ -1,36 +1,284 @@
 'use strict';
 
+import { BADGE_TICK_ALARM_NAME } from '../shared/constants.js';
 import { AlarmService } from './AlarmService.js';
+import { RetryService } from './RetryService.js';
 import { StorageService } from './StorageService.js';
 
 /**
  * Manages the extension's badge icon indicator.
- * Shows the count of active tab-reload timers on the extension badge.
+ * Shows the count of active tab-reload timers on the extension badge or, in
+ * `countdown` mode, each active tab's own time until its next reload.
  */
 export class BadgeService {
-    /** @type {string} Badge background color (Material green). */
-    static BADGE_COLOR = '#4CAF50';
+    /** @type {string} Badge text while timers are paused. */
+    static PAUSED_TEXT = '⏸';
+
+    /** @type {string} Marker appended to the badge text while a watched page has changed. */
+    static CHANGED_MARK = '!';
+
+    /** @type {string} Countdown badge text while a tab's last reload failed, also flashed when a command fails. */
+    static ERROR_TEXT = '✕';
+
+    /** @type {string} Badge text flashed when a timer is cleared. */
+    static OFF_TEXT = 'OFF';
+
+    /** @type {string} Badge text flashed when timers are resumed. */
+    static RESUMED_TEXT = '▶';
+
+    /** @type {string} Badge text flashed when a tab is reloaded on demand. */
+    static RELOAD_TEXT = '↻';
+
+    /** @type {number} How long a flashed badge text stays up, in milliseconds. */
+    static FLASH_MS = 2000;
+
+    /** @type {ReadonlyArray<string>} Timer states from most to least urgent; the badge shows the first one any timer is in. */
+    static STATE_PRIORITY = Object.freeze(['failed', 'changed', 'warning', 'healthy']);
+
+    /** @type {Readonly<Record<number, string>>} The packaged toolbar icons, restored when the icon is not tinted. */
+    static ICON_PATHS = Object.freeze({ 16: 'icons/icon16.png', 32: 'icons/icon32.png' });
+
+    /** @type {ReturnType<typeof setTimeout>|null} Pending countdown refresh while the worker is awake. */
+    static #tick = null;
+
+    /** @type {string|null|undefined} Tint of the toolbar icon (null = untinted, undefined = unknown). */
+    static #iconColor = undefined;
+
+    /** @type {{tabId: number, timeout: ReturnType<typeof setTimeout>}|null} The badge text being flashed. */
+    static #flash = null;
 
     /**
-     * Updates the badge text to reflect the number of active reloader alarms.
-     * Respects the user's `showBadge` option.
+     * Updates the badge text to reflect the number of active reloader timers.
+     * Shows a paused marker when nothing is running but paused timers exist, and
+     * flags unacknowledged content changes. The badge color, and the toolbar icon
+     * when `tintIcon` is on, show the most urgent state of any timer in its `badgeColors` color.
+     * Respects the user's `showBadge` and `badgeMode` options.
      */
     static async updateBadge() {
         try {
             const options = await StorageService.getOptions();
+            const timers = await StorageService.getAllTimers();
+            const pausedAll = await StorageService.isPausedAll();
+            const color = options.badgeColors[BadgeService.getState(timers, pausedAll)];
+
+            await BadgeService.updateIcon(options.tintIcon && timers.length > 0 ? color : null);
 
             if (!options.showBadge) {
+                await BadgeService.stopCountdown();
                 await chrome.action.setBadgeText({ text: '' });
                 return;
             }
 
-            const alarms = await AlarmService.getAllReloaderAlarms();
-            const count = alarms.length;
+            await chrome.action.setBadgeBackgroundColor({ color });
+
+            if (options.badgeMode === 'countdown') {
+                await BadgeService.updateCountdown();
+                return;
+            }
+            await BadgeService.stopCountdown();
+
+            const count = await AlarmService.countActiveTimers();
 
-            await chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
-            await chrome.action.setBadgeBackgroundColor({ color: BadgeService.BADGE_COLOR });
+            if (timers.some(t => t.changedAt)) {
+                await chrome.action.setBadgeText({ text: `${count || ''}${BadgeService.CHANGED_MARK}` });
+            } else if (count === 0 && timers.length > 0 && (pausedAll || timers.some(t => t.paused))) {
+                await chrome.action.setBadgeText({ text: BadgeService.PAUSED_TEXT });
+            } else {
+                await chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+            }
         } catch (error) {
             console.error('Failed to update badge:', error);
         }
     }
+
+    /**
+     * Gets the state of a single timer.
+     * @param {object} timer - The stored timer record.
+     * @param {boolean} pausedAll - Whether "pause all" is on.
+     * @returns {'healthy'|'warning'|'failed'|'changed'} `warning` while paused or retrying
+     *     a failed reload, `failed` once retries are exhausted or an error page loaded.
+     */
+    static getTimerState(timer, pausedAll) {
+        if (timer.failureCount > 0 && RetryService.hasRetriesLeft(RetryService.getPolicy(timer), timer.failureCount)) {
+            return 'warning';
+        }
+        if (timer.lastResult?.ok === false) return 'failed';
+        if (timer.changedAt) return 'changed';
+        if (pausedAll || timer.paused) return 'warning';
+        return 'healthy';
+    }
+
+    /**
+     * Gets the most urgent state of any timer.
+     * @param {object[]} timers - The stored timer records.
+     * @param {boolean} pausedAll - Whether "pause all" is on.
+     * @returns {'healthy'|'warning'|'failed'|'changed'} `healthy` when there are no timers.
+     */
+    static getState(timers, pausedAll) {
+        const states = new Set(timers.map(timer => BadgeService.getTimerState(timer, pausedAll)));
+        return BadgeService.STATE_PRIORITY.find(state => states.has(state)) ?? 'healthy';
+    }
+
+    /**
+     * Tints the toolbar icon, or restores the packaged icon. Does nothing if the icon already has that tint.
+     * @param {string|null} color - A `#rrggbb` color, or null for the packaged icon.
+     */
+    static async updateIcon(color) {
+        if (color === BadgeService.#iconColor) return;
+
+        if (color) {
+            const imageData = {};
+            for (const [size, path] of Object.entries(BadgeService.ICON_PATHS)) {
+                imageData[size] = await BadgeService.#drawTintedIcon(path, Number(size), color);
+            }
+            await chrome.action.setIcon({ imageData });
+        } else {
+            await chrome.action.setIcon({ path: { ...BadgeService.ICON_PATHS } });
+        }
+        BadgeService.#iconColor = color;
+    }
+
+    /**
+     * Draws a packaged icon with a color wash over its opaque pixels.
+     * @param {string} path - The icon's path in the extension.
+     * @param {number} size - The icon's width and height in pixels.
+     * @param {string} color - A `#rrggbb` color.
+     * @returns {Promise<ImageData>}
+     */
+    static async #drawTintedIcon(path, size, color) {
+        const response = await fetch(chrome.runtime.getURL(path));
+        const bitmap = await createImageBitmap(await response.blob());
+        const context = new OffscreenCanvas(size, size).getContext('2d');
+
+        context.drawImage(bitmap, 0, 0, size, size);
+        context.globalCompositeOperation = 'source-atop';
+        context.globalAlpha = 0.6;
+        context.fillStyle = color;
+        context.fillRect(0, 0, size, size);
+        return context.getImageData(0, 0, size, size);
+    }
+
+    /**
+     * Shows each window's active tab's countdown, or a paused or error marker, as a
+     * tab-specific badge, then schedules the next refresh for when a countdown's text changes.
+     * The refresh is a timeout, which is lost if the worker goes to sleep, so the
+     * badge tick alarm backs it up every 30 seconds.
+     */
+    static async updateCountdown() {
+        clearTimeout(BadgeService.#tick);
+        BadgeService.#tick = null;
+
+        if (!(await chrome.alarms.get(BADGE_TICK_ALARM_NAME))) {
+            await chrome.alarms.create(BADGE_TICK_ALARM_NAME, { periodInMinutes: 0.5 });
+        }
+
+        await chrome.action.setBadgeText({ text: '' });
+
+        const pausedAll = await StorageService.isPausedAll();
+        const nextReloadTimes = await AlarmService.getNextReloadTimes();
+        const now = Date.now();
+        const remaining = [];
+
+        for (const tab of await chrome.tabs.query({ active: true })) {
+            if (tab.id === BadgeService.#flash?.tabId) continue;
+            const timer = await StorageService.getTimer(tab.id);
+            const nextReload = nextReloadTimes.get(tab.id);
+            let text = '';
+
+            if (timer?.failureCount > 0 || timer?.lastResult?.ok === false) {
+                text = BadgeService.ERROR_TEXT;
+            } else if (timer && (pausedAll || timer.paused || nextReload === undefined)) {
+                text = BadgeService.PAUSED_TEXT;
+            } else if (timer) {
+                text = BadgeService.formatCountdown(nextReload - now);
+                remaining.push(nextReload - now);
+            }
+
+            await chrome.action.setBadgeText({ tabId: tab.id, text });
+        }
+
+        if (remaining.length > 0) {
+            const delay = Math.min(...remaining.map(ms => BadgeService.getRefreshDelay(ms)));
+            BadgeService.#tick = setTimeout(() => BadgeService.updateBadge(), delay);
+        }
+    }
+
+    /**
+     * Leaves `countdown` mode: stops the refreshes and clears every tab-specific badge
+     * text so the global badge shows again. Does nothing if the mode was not in use.
+     */
+    static async stopCountdown() {
+        if (!(await chrome.alarms.get(BADGE_TICK_ALARM_NAME))) return;
+
+        clearTimeout(BadgeService.#tick);
+        BadgeService.#tick = null;
+        await chrome.alarms.clear(BADGE_TICK_ALARM_NAME);
+
+        const tabs = await chrome.tabs.query({});
+        await Promise.all(tabs.map(tab => chrome.action.setBadgeText({ tabId: tab.id, text: null })));
+    }
+
+    /**
+     * Briefly shows a text on a tab's badge, e.g. to confirm a keyboard command,
+     * then clears it so the tab shows the normal badge again.
+     * A new flash replaces one still showing.
+     * @param {number} tabId - The tab ID.
+     * @param {string} text - The text to show; about four characters fit.
+     */
+    static async flash(tabId, text) {
+        if (BadgeService.#flash) {
+            clearTimeout(BadgeService.#flash.timeout);
+            if (BadgeService.#flash.tabId !== tabId) await BadgeService.#endFlash(BadgeService.#flash.tabId);
+        }
+
+        await chrome.action.setBadgeText({ tabId, text });
+        BadgeService.#flash = {
+            tabId,
+            timeout: setTimeout(() => BadgeService.#endFlash(tabId).then(() => BadgeService.updateBadge()), BadgeService.FLASH_MS),
+        };
+    }
+
+    /**
+     * Clears a flashed text from a tab's badge.
+     * @param {number} tabId - The tab ID.
+     */
+    static async #endFlash(tabId) {
+        BadgeService.#flash = null;
+        try {
+            await chrome.action.setBadgeText({ tabId, text: null });
+        } catch (error) {
+            // The tab was closed while its badge was flashing.
+            console.warn(`Could not clear the badge of tab ${tabId}:`, error);
+        }
+    }
+
+    /**
+     * Formats the time until a reload to fit the badge: seconds under a minute,
+     * then whole minutes (rounded up), hours and days.
+     * @param {number} ms - Milliseconds until the reload.
+     * @returns {string} E.g. "45s", "3m", "2h", "1d".
+     */
+    static formatCountdown(ms) {
+        const seconds = Math.max(0, Math.ceil(ms / 1000));
+        if (seconds < 60) return `${seconds}s`;
+
+        const minutes = Math.ceil(seconds / 60);
+        if (minutes < 60) return `${minutes}m`;
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h`;
+
+        return `${Math.floor(hours / 24)}d`;
+    }
+
+    /**
+     * Gets how long until a countdown's badge text next changes.
+     * @param {number} ms - Milliseconds until the reload.
+     * @returns {number} The delay in milliseconds; one second once the reload is due.
+     */
+    static getRefreshDelay(ms) {
+        if (ms <= 0) return 1000;
+        if (ms <= 60000) return ms % 1000 || 1000;
+        return Math.min(ms % 60000 || 60000, ms - 59000);
+    }
 }
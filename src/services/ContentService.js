@@ -0,0 +1,84 @@
+'use strict';
+
+import { captureContent } from '../content/capture.js';
+import { clickElement, reloadFrame } from '../content/refresh.js';
+
+/**
+ * Facade for `chrome.scripting`: reads page content after a reload so it
+ * can be compared with the previous capture, and runs the reload modes that
+ * act inside the page.
+ */
+export class ContentService {
+    /**
+     * Captures the text of a tab's page, or of the elements matching a selector.
+     * @param {number} tabId - The tab ID.
+     * @param {string} [selector=''] - A CSS selector, or '' for the whole body.
+     * @returns {Promise<string>} The captured text ('' if the selector matched nothing).
+     * @throws {Error} If the script cannot run in the tab or the selector is invalid.
+     */
+    static async captureText(tabId, selector = '') {
+        const [injection] = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: captureContent,
+            args: [selector],
+        });
+
+        const result = injection?.result;
+        if (!result || result.error) {
+            throw new Error(result?.error || `Could not read the content of tab ${tabId}`);
+        }
+        return result.text;
+    }
+
+    /**
+     * Clicks an element in a tab's page, such as the page's own refresh button.
+     * @param {number} tabId - The tab ID.
+     * @param {string} selector - A CSS selector for the element.
+     * @throws {Error} If the script cannot run in the tab or nothing matches the selector.
+     */
+    static async clickElement(tabId, selector) {
+        await ContentService.#runAction(tabId, clickElement, selector);
+    }
+
+    /**
+     * Reloads one iframe of a tab's page.
+     * @param {number} tabId - The tab ID.
+     * @param {string} selector - A CSS selector for the iframe.
+     * @throws {Error} If the script cannot run in the tab or the selector matches no frame.
+     */
+    static async reloadFrame(tabId, selector) {
+        await ContentService.#runAction(tabId, reloadFrame, selector);
+    }
+
+    /**
+     * Runs one of the `content/refresh.js` functions in a tab's top frame.
+     * @param {number} tabId - The tab ID.
+     * @param {(selector: string) => ({done: true}|{error: string})} func - The function to inject.
+     * @param {string} selector - Its CSS selector argument.
+     * @throws {Error} If the script cannot run in the tab or reports an error.
+     */
+    static async #runAction(tabId, func, selector) {
+        const [injection] = await chrome.scripting.executeScript({
+            target: { tabId },
+            func,
+            args: [selector],
+        });
+
+        const result = injection?.result;
+        if (!result?.done) {
+            throw new Error(result?.error || `Could not run the reload in tab ${tabId}`);
+        }
+    }
+
+    /**
+     * Hashes captured text so captures can be compared without storing page content.
+     * Whitespace is collapsed first, so re-flowed but otherwise identical text hashes the same.
+     * @param {string} text - The captured text.
+     * @returns {Promise<string>} The SHA-256 digest as lowercase hex.
+     */
+    static async hashText(text) {
+        const normalized = text.replace(/\s+/g, ' ').trim();
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
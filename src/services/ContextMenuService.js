@@ -0,0 +1,143 @@
+'use strict';
+
+import { formatInterval } from '../ui/format.js';
+import { TabService } from './TabService.js';
+
+/**
+ * Facade for `chrome.contextMenus`: "Reload every", "Pause" and "Stop reloading" entries
+ * on the page and toolbar icon menus. Clicks become the same requests the popup sends,
+ * and the checked state follows the current tab's timer.
+ */
+export class ContextMenuService {
+    /** @type {ReadonlyArray<string>} Menus the entries appear in. */
+    static CONTEXTS = Object.freeze(['page', 'action']);
+
+    /** @type {string} ID of the "Reload every" submenu. */
+    static ROOT_ID = 'reload-every';
+
+    /** @type {string} ID prefix of the preset entries, followed by the interval in seconds. */
+    static PRESET_PREFIX = 'reload-every-';
+
+    /** @type {string} ID of the entry that opens the popup to type an interval. */
+    static CUSTOM_ID = 'reload-every-custom';
+
+    /** @type {string} ID of the "Pause" checkbox. */
+    static PAUSE_ID = 'pause';
+
+    /** @type {string} ID of the "Stop reloading" entry. */
+    static STOP_ID = 'stop';
+
+    /** @type {Promise<void>} The latest rebuild; rebuilds run one after another so their IDs never clash. */
+    static #building = Promise.resolve();
+
+    /**
+     * Recreates every entry, with one "Reload every" entry per interval preset.
+     * Entries start unchecked and disabled until `sync` sees the current tab.
+     * @param {number[]} presets - The interval presets in seconds.
+     */
+    static async build(presets) {
+        const build = ContextMenuService.#building.then(() => ContextMenuService.#create(presets));
+        ContextMenuService.#building = build.catch(() => {});
+        await build;
+    }
+
+    /**
+     * Removes every entry and creates them again.
+     * @param {number[]} presets - The interval presets in seconds.
+     */
+    static async #create(presets) {
+        const { CONTEXTS: contexts, ROOT_ID } = ContextMenuService;
+        await chrome.contextMenus.removeAll();
+
+        chrome.contextMenus.create({ id: ROOT_ID, title: chrome.i18n.getMessage('menuReloadEvery'), contexts });
+        for (const intervalSeconds of presets) {
+            chrome.contextMenus.create({
+                id: `${ContextMenuService.PRESET_PREFIX}${intervalSeconds}`,
+                parentId: ROOT_ID,
+                type: 'checkbox',
+                title: formatInterval(intervalSeconds),
+                contexts,
+            });
+        }
+        chrome.contextMenus.create({
+            id: ContextMenuService.CUSTOM_ID,
+            parentId: ROOT_ID,
+            type: 'checkbox',
+            title: chrome.i18n.getMessage('menuCustomInterval'),
+            contexts,
+        });
+        chrome.contextMenus.create({
+            id: ContextMenuService.PAUSE_ID,
+            type: 'checkbox',
+            title: chrome.i18n.getMessage('menuPause'),
+            contexts,
+            enabled: false,
+        });
+        chrome.contextMenus.create({
+            id: ContextMenuService.STOP_ID,
+            title: chrome.i18n.getMessage('menuStop'),
+            contexts,
+            enabled: false,
+        });
+    }
+
+    /**
+     * Checks the entry matching a tab's timer, and enables only the entries that apply to it.
+     * An interval that is not a preset checks "Custom" and shows it in its title.
+     * @param {chrome.tabs.Tab|undefined} tab - The current tab.
+     * @param {object|null} timer - The tab's stored timer record.
+     * @param {number[]} presets - The interval presets the menu was built with.
+     */
+    static async sync(tab, timer, presets) {
+        const enabled = Boolean(tab?.url) && !TabService.isRestrictedUrl(tab.url);
+        const interval = timer?.intervalSeconds > 0 ? timer.intervalSeconds : 0;
+        const custom = interval > 0 && !presets.includes(interval);
+
+        const updates = [
+            [ContextMenuService.ROOT_ID, { enabled }],
+            ...presets.map(intervalSeconds => [
+                `${ContextMenuService.PRESET_PREFIX}${intervalSeconds}`,
+                { checked: interval === intervalSeconds },
+            ]),
+            [ContextMenuService.CUSTOM_ID, {
+                checked: custom,
+                title: custom
+                    ? chrome.i18n.getMessage('menuCustomIntervalSet').replace('{interval}', formatInterval(interval))
+                    : chrome.i18n.getMessage('menuCustomInterval'),
+            }],
+            [ContextMenuService.PAUSE_ID, { checked: interval > 0 && Boolean(timer.paused), enabled: enabled && interval > 0 }],
+            [ContextMenuService.STOP_ID, { enabled: enabled && interval > 0 }],
+        ];
+
+        try {
+            await Promise.all(updates.map(([id, properties]) => chrome.contextMenus.update(id, properties)));
+        } catch (error) {
+            // The entries are being rebuilt, or the presets changed since they were built.
+            console.warn('Could not update the context menu:', error);
+        }
+    }
+
+    /**
+     * Turns a clicked entry into the message request that does the same from the popup.
+     * Clicking the preset that is already checked (the current interval) unchecks it in Chrome
+     * but changes nothing: no request is made, and the next `sync` checks it again.
+     * @param {string|number} menuItemId - The clicked entry's ID.
+     * @param {boolean} [checked] - The checkbox state after the click.
+     * @param {boolean} [wasChecked=false] - The checkbox state before the click.
+     * @returns {object|null} A request for `messageHandlers` (without `tabId`), or null
+     *     for entries that are not requests, such as "Custom".
+     */
+    static getRequest(menuItemId, checked, wasChecked = false) {
+        const id = String(menuItemId);
+
+        if (id === ContextMenuService.PAUSE_ID) return { action: 'pauseTimer', paused: Boolean(checked) };
+        if (id === ContextMenuService.STOP_ID) return { action: 'setTimer', intervalSeconds: 0 };
+
+        if (id.startsWith(ContextMenuService.PRESET_PREFIX)) {
+            if (wasChecked) return null;
+            const intervalSeconds = Number(id.substring(ContextMenuService.PRESET_PREFIX.length));
+            if (Number.isInteger(intervalSeconds) && intervalSeconds > 0) return { action: 'setTimer', intervalSeconds };
+        }
+        return null;
+    }
+}
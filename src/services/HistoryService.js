@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {number} time - Epoch milliseconds when the reload started.
+ * @property {number} tabId - The reloaded tab.
+ * @property {string} url - The tab's URL after the reload.
+ * @property {string} title - The tab's title after the reload.
+ * @property {'alarm'|'manual'|'rule'} source - What triggered the reload: a timer, the user, or a rule-created timer.
+ * @property {boolean} ok - Whether the page loaded without an error.
+ * @property {number|null} status - The main document's HTTP status, if a response arrived.
+ * @property {string|null} error - What went wrong, if anything.
+ * @property {number} durationMs - From the reload until the page finished loading or the reload failed.
+ */
+
+/** Columns of the CSV export, in order. */
+const CSV_COLUMNS = ['time', 'tabId', 'url', 'title', 'source', 'ok', 'status', 'error', 'durationMs'];
+
+/**
+ * Filters and exports the reload history kept by `StorageService`.
+ */
+export class HistoryService {
+    /**
+     * Picks the entries matching a filter. Empty filter fields match everything.
+     * @param {HistoryEntry[]} entries - The history, newest first.
+     * @param {{query?: string, source?: string, outcome?: ''|'ok'|'error'}} [filter] - Text to find in the URL
+     *     or title, the reload source and the outcome.
+     * @returns {HistoryEntry[]}
+     */
+    static filter(entries, { query = '', source = '', outcome = '' } = {}) {
+        const needle = query.trim().toLowerCase();
+        return entries.filter(entry => {
+            if (source && entry.source !== source) return false;
+            if (outcome && entry.ok !== (outcome === 'ok')) return false;
+            return !needle || `${entry.url}\n${entry.title}`.toLowerCase().includes(needle);
+        });
+    }
+
+    /**
+     * Quotes a CSV field if it contains a separator, quote or line break.
+     * @param {*} value - The field value (null and undefined become empty).
+     * @returns {string}
+     */
+    static escapeCsvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+    }
+
+    /**
+     * Serializes entries as CSV with a header row; times are ISO 8601.
+     * @param {HistoryEntry[]} entries - The entries.
+     * @returns {string}
+     */
+    static toCsv(entries) {
+        const rows = entries.map(entry => CSV_COLUMNS.map(column => HistoryService.escapeCsvField(
+            column === 'time' ? new Date(entry.time).toISOString() : entry[column],
+        )).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+    }
+
+    /**
+     * Serializes entries for download in the requested format.
+     * @param {HistoryEntry[]} entries - The entries.
+     * @param {'csv'|'json'} format - The export format.
+     * @returns {{content: string, mimeType: string}}
+     */
+    static serialize(entries, format) {
+        return format === 'csv'
+            ? { content: HistoryService.toCsv(entries), mimeType: 'text/csv' }
+            : { content: JSON.stringify(entries, null, 2), mimeType: 'application/json' };
+    }
+}
@@ -0,0 +1,77 @@
+'use strict';
+
+import { DEFAULT_OPTIONS, NOTIFICATION_ID_PREFIX } from '../shared/constants.js';
+import { PreciseTimerService } from './PreciseTimerService.js';
+import { StorageService } from './StorageService.js';
+import { TimerSettingsService } from './TimerSettingsService.js';
+
+/**
+ * Facade for `chrome.notifications`: tells the user about timer events with a
+ * desktop notification and/or a sound, as configured per event on the options page
+ * or in the timer's own settings.
+ */
+export class NotificationService {
+    /** @type {string} Icon shown in notifications. */
+    static ICON_PATH = 'icons/icon128.png';
+
+    /**
+     * Builds the notification ID for a tab and event.
+     * One ID per tab and event, so a repeated event replaces the earlier notification.
+     * @param {number} tabId - The tab ID.
+     * @param {string} event - The event name.
+     * @returns {string}
+     */
+    static getNotificationId(tabId, event) {
+        return `${NOTIFICATION_ID_PREFIX}${tabId}-${event}`;
+    }
+
+    /**
+     * Extracts the tab ID from a notification ID.
+     * @param {string} notificationId - The notification ID.
+     * @returns {number|null} The tab ID, or null if the notification is not ours.
+     */
+    static parseTabId(notificationId) {
+        if (!notificationId.startsWith(NOTIFICATION_ID_PREFIX)) return null;
+        const tabId = parseInt(notificationId.substring(NOTIFICATION_ID_PREFIX.length), 10);
+        return isNaN(tabId) ? null : tabId;
+    }
+
+    /**
+     * Gets the notification and sound settings for an event, falling back to the defaults.
+     * @param {object} options - The user options.
+     * @param {string} event - The event name.
+     * @returns {{notify: boolean, sound: boolean}}
+     */
+    static getSetting(options, event) {
+        return { ...DEFAULT_OPTIONS.notifications[event], ...options.notifications?.[event] };
+    }
+
+    /**
+     * Notifies the user of a timer event, if enabled for that event.
+     * Failures are logged rather than thrown so they never interrupt the reload loop.
+     * @param {string} event - The event name (see `NOTIFICATION_EVENTS`).
+     * @param {{tabId: number, title: string, message: string,
+     *     settings?: import('./TimerSettingsService.js').TimerSettings|null}} details - What to show,
+     *     and the timer's settings, which take precedence over the options page.
+     */
+    static async notify(event, { tabId, title, message, settings = null }) {
+        try {
+            const options = TimerSettingsService.resolve(await StorageService.getOptions(), settings);
+            const setting = NotificationService.getSetting(options, event);
+
+            if (setting.notify) {
+                await chrome.notifications.create(NotificationService.getNotificationId(tabId, event), {
+                    type: 'basic',
+                    iconUrl: chrome.runtime.getURL(NotificationService.ICON_PATH),
+                    title,
+                    message,
+                });
+            }
+            if (setting.sound) {
+                await PreciseTimerService.playSound();
+            }
+        } catch (error) {
+            console.error(`Failed to notify '${event}' for tab ${tabId}:`, error);
+        }
+    }
+}
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * @typedef {object} ReloadResult
+ * @property {boolean} ok - Whether the page loaded without an HTTP or network error.
+ * @property {number|null} status - The main document's HTTP status, if a response arrived.
+ * @property {string|null} error - What went wrong, e.g. `HTTP 502` or `net::ERR_NAME_NOT_RESOLVED`.
+ */
+
+/** Network errors that mean the load was superseded rather than failed. */
+const IGNORED_ERRORS = ['net::ERR_ABORTED'];
+
+/**
+ * Works out how a timed reload turned out from the `chrome.webRequest` and
+ * `chrome.webNavigation` events of the tab's main frame.
+ * A reload is tracked from `begin` to `finish`; events for tabs that are not being reloaded are ignored.
+ * A page that ends up on another site (e.g. a captive portal) counts as an error too.
+ */
+export class PageStatusService {
+    /** @type {Map<number, {url: string, status: number|null, finalUrl: string|null, error: string|null}>} */
+    static #reloads = new Map();
+
+    /**
+     * Starts tracking a tab's reload.
+     * @param {number} tabId - The tab ID.
+     * @param {string} url - The tab's URL before the reload.
+     */
+    static begin(tabId, url) {
+        PageStatusService.#reloads.set(tabId, { url, status: null, finalUrl: null, error: null });
+    }
+
+    /**
+     * Notes the response to a main-frame request (`webRequest.onCompleted`).
+     * @param {{tabId: number, url: string, statusCode: number}} details - The event details.
+     */
+    static recordResponse(details) {
+        const reload = PageStatusService.#reloads.get(details.tabId);
+        if (!reload) return;
+        reload.status = details.statusCode;
+        reload.finalUrl = details.url;
+    }
+
+    /**
+     * Notes a main-frame network error (`webRequest.onErrorOccurred` or `webNavigation.onErrorOccurred`).
+     * @param {{tabId: number, error: string}} details - The event details.
+     */
+    static recordError(details) {
+        const reload = PageStatusService.#reloads.get(details.tabId);
+        if (!reload || IGNORED_ERRORS.includes(details.error)) return;
+        reload.error = details.error;
+    }
+
+    /**
+     * Stops tracking a tab's reload and reports how it turned out.
+     * A reload with no events seen counts as a success.
+     * @param {number} tabId - The tab ID.
+     * @returns {ReloadResult}
+     */
+    static finish(tabId) {
+        const reload = PageStatusService.#reloads.get(tabId);
+        PageStatusService.#reloads.delete(tabId);
+
+        const status = reload?.status ?? null;
+        let error = reload?.error ?? null;
+        if (!error && status >= 400) {
+            error = `HTTP ${status}`;
+        } else if (!error && reload?.finalUrl && !PageStatusService.isSameSite(reload.url, reload.finalUrl)) {
+            error = `Redirected to ${new URL(reload.finalUrl).hostname}`;
+        }
+        return { ok: !error, status, error };
+    }
+
+    /**
+     * Checks whether two URLs are on the same site, treating subdomains (e.g. `www.`) as the same site.
+     * Unparsable URLs count as the same site.
+     * @param {string} a - A URL.
+     * @param {string} b - Another URL.
+     * @returns {boolean}
+     */
+    static isSameSite(a, b) {
+        try {
+            const hostA = new URL(a).hostname;
+            const hostB = new URL(b).hostname;
+            return hostA === hostB || hostA.endsWith(`.${hostB}`) || hostB.endsWith(`.${hostA}`);
+        } catch {
+            return true;
+        }
+    }
+}
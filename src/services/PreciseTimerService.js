@@ -0,0 +1,149 @@
+'use strict';
+
+import { KEEPALIVE_ALARM_NAME, OFFSCREEN_DOCUMENT_PATH } from '../shared/constants.js';
+
+/**
+ * Facade for the offscreen document that runs sub-minute reload timers.
+ * `chrome.alarms` clamps periods to 30 seconds, so shorter intervals are driven
+ * by `setInterval` in an offscreen document, which outlives service worker
+ * suspension and wakes the worker with a `timerTick` message on every period.
+ * The same document plays alert sounds, which a service worker cannot do.
+ */
+export class PreciseTimerService {
+    /** @type {Promise<void>|null} In-flight document creation, shared by concurrent callers. */
+    static #creating = null;
+
+    /**
+     * Checks whether the offscreen timer document is currently open.
+     * @returns {Promise<boolean>}
+     */
+    static async hasDocument() {
+        const contexts = await chrome.runtime.getContexts({
+            contextTypes: ['OFFSCREEN_DOCUMENT'],
+            documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)],
+        });
+        return contexts.length > 0;
+    }
+
+    /**
+     * Opens the offscreen timer document if it is not already open.
+     * @returns {Promise<boolean>} True if a new document was created.
+     */
+    static async ensureDocument() {
+        if (await PreciseTimerService.hasDocument()) return false;
+
+        if (!PreciseTimerService.#creating) {
+            PreciseTimerService.#creating = chrome.offscreen.createDocument({
+                url: OFFSCREEN_DOCUMENT_PATH,
+                reasons: ['WORKERS', 'AUDIO_PLAYBACK'],
+                justification: 'Runs reload timers shorter than the chrome.alarms minimum period and plays alert sounds.',
+            }).finally(() => {
+                PreciseTimerService.#creating = null;
+            });
+        }
+
+        await PreciseTimerService.#creating;
+        return true;
+    }
+
+    /**
+     * Sends a command to the offscreen timer document.
+     * @param {object} message - The command payload.
+     * @returns {Promise<object|undefined>} The document's response.
+     */
+    static async #send(message) {
+        return chrome.runtime.sendMessage({ target: 'offscreen', ...message });
+    }
+
+    /**
+     * Starts (or restarts) a precise periodic timer for a tab.
+     * Also ensures the keep-alive alarm is running so a closed document is recreated.
+     * @param {number} tabId - The tab ID.
+     * @param {number} periodMs - The period in milliseconds.
+     * @param {number} [jitterMs=0] - Maximum random deviation of each period, in milliseconds.
+     */
+    static async start(tabId, periodMs, jitterMs = 0) {
+        await PreciseTimerService.ensureDocument();
+        await PreciseTimerService.#send({ action: 'startTimer', tabId, periodMs, jitterMs });
+        await PreciseTimerService.#startKeepAlive();
+    }
+
+    /**
+     * Starts a precise one-shot timer for a tab, replacing its periodic one.
+     * Its single tick carries `once: true`, so the caller can put the tab back on its regular timer.
+     * @param {number} tabId - The tab ID.
+     * @param {number} delayMs - The delay in milliseconds.
+     */
+    static async startOnce(tabId, delayMs) {
+        await PreciseTimerService.ensureDocument();
+        await PreciseTimerService.#send({ action: 'startTimer', tabId, periodMs: delayMs, jitterMs: 0, once: true });
+        await PreciseTimerService.#startKeepAlive();
+    }
+
+    /**
+     * Starts the keep-alive alarm, which recreates the document if it gets closed, unless it is running.
+     */
+    static async #startKeepAlive() {
+        const keepAlive = await chrome.alarms.get(KEEPALIVE_ALARM_NAME);
+        if (!keepAlive) {
+            await chrome.alarms.create(KEEPALIVE_ALARM_NAME, { periodInMinutes: 0.5 });
+        }
+    }
+
+    /**
+     * Stops the precise timer for a tab.
+     * Closes the document and the keep-alive alarm once no timers remain.
+     * @param {number} tabId - The tab ID.
+     */
+    static async stop(tabId) {
+        if (!(await PreciseTimerService.hasDocument())) return;
+
+        const response = await PreciseTimerService.#send({ action: 'stopTimer', tabId });
+        if (response?.remaining === 0) {
+            await PreciseTimerService.#shutdown();
+        }
+    }
+
+    /**
+     * Stops every precise timer and closes the document.
+     */
+    static async stopAll() {
+        if (!(await PreciseTimerService.hasDocument())) return;
+        await PreciseTimerService.#shutdown();
+    }
+
+    /**
+     * Plays the alert sound, opening the document if needed.
+     */
+    static async playSound() {
+        await PreciseTimerService.ensureDocument();
+        await PreciseTimerService.#send({ action: 'playSound' });
+    }
+
+    /**
+     * Lists the tabs that currently have a precise timer running.
+     * @returns {Promise<number[]>}
+     */
+    static async getActiveTabIds() {
+        const nextTicks = await PreciseTimerService.getNextTickTimes();
+        return [...nextTicks.keys()];
+    }
+
+    /**
+     * Gets when each running precise timer will next tick.
+     * @returns {Promise<Map<number, number>>} tabId → epoch milliseconds.
+     */
+    static async getNextTickTimes() {
+        if (!(await PreciseTimerService.hasDocument())) return new Map();
+        const response = await PreciseTimerService.#send({ action: 'listTimers' });
+        return new Map((response?.timers ?? []).map(t => [t.tabId, t.nextTick]));
+    }
+
+    /**
+     * Closes the offscreen document and clears the keep-alive alarm.
+     */
+    static async #shutdown() {
+        await chrome.alarms.clear(KEEPALIVE_ALARM_NAME);
+        await chrome.offscreen.closeDocument();
+    }
+}
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Limits how many timed reloads run at once.
+ * Reloads beyond the limit wait in FIFO order for a running one to finish,
+ * which spreads timers that fire together out over time.
+ */
+export class ReloadQueueService {
+    /** @type {number} Reloads currently holding a slot. */
+    static #running = 0;
+
+    /** @type {Array<() => void>} Resolvers of reloads waiting for a slot. */
+    static #waiting = [];
+
+    /** @type {Set<number>} Tabs queued or reloading, so a tab is never queued twice. */
+    static #pending = new Set();
+
+    /**
+     * Runs a tab's reload once a slot is free.
+     * @param {number} tabId - The tab ID.
+     * @param {number} limit - Maximum reloads running at once (0 = no limit).
+     * @param {() => Promise<unknown>} task - The reload; it holds its slot until it settles.
+     * @returns {Promise<boolean>} False if the tab was already queued or reloading and the task was skipped.
+     */
+    static async run(tabId, limit, task) {
+        if (ReloadQueueService.#pending.has(tabId)) return false;
+        ReloadQueueService.#pending.add(tabId);
+
+        try {
+            if (limit > 0 && ReloadQueueService.#running >= limit) {
+                // The releasing reload hands its slot straight over, so #running is not incremented here.
+                await new Promise(resolve => ReloadQueueService.#waiting.push(resolve));
+            } else {
+                ReloadQueueService.#running++;
+            }
+
+            try {
+                await task();
+            } finally {
+                ReloadQueueService.#release();
+            }
+        } finally {
+            ReloadQueueService.#pending.delete(tabId);
+        }
+        return true;
+    }
+
+    /**
+     * Counts the reloads waiting for a slot.
+     * @returns {number}
+     */
+    static getWaitingCount() {
+        return ReloadQueueService.#waiting.length;
+    }
+
+    /**
+     * Frees a slot, handing it to the longest-waiting reload if there is one.
+     */
+    static #release() {
+        const next = ReloadQueueService.#waiting.shift();
+        if (next) {
+            next();
+        } else {
+            ReloadQueueService.#running--;
+        }
+    }
+}
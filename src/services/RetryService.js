@@ -0,0 +1,70 @@
+'use strict';
+
+import { DEFAULT_FAILURE_POLICY, FAILURE_GIVE_UP_ACTIONS, MAX_FAILURE_RETRIES } from '../shared/constants.js';
+
+/**
+ * @typedef {object} FailurePolicy
+ * @property {number} retries - Retries after a failed reload before giving up (0 gives up at once).
+ * @property {number} backoffSeconds - Wait before the first retry; doubled for each retry after it.
+ * @property {'pause'|'remove'|'continue'} giveUp - What to do once the retries are used up.
+ */
+
+/**
+ * Decides how a timer recovers from failed reloads, from its failure policy
+ * and the number of reloads that have failed in a row.
+ */
+export class RetryService {
+    /**
+     * Gets a timer's failure policy, falling back to `DEFAULT_FAILURE_POLICY`.
+     * @param {{failurePolicy?: FailurePolicy}|null} timer - The timer record.
+     * @returns {FailurePolicy}
+     */
+    static getPolicy(timer) {
+        return { ...DEFAULT_FAILURE_POLICY, ...timer?.failurePolicy };
+    }
+
+    /**
+     * Checks that a failure policy has a whole retry count, a positive backoff and a known give-up action.
+     * @param {FailurePolicy} policy - The policy.
+     * @returns {boolean}
+     */
+    static isValidPolicy(policy) {
+        return Number.isInteger(policy?.retries) && policy.retries >= 0 && policy.retries <= MAX_FAILURE_RETRIES
+            && Number.isFinite(policy.backoffSeconds) && policy.backoffSeconds > 0
+            && FAILURE_GIVE_UP_ACTIONS.includes(policy.giveUp);
+    }
+
+    /**
+     * Checks whether another retry is allowed after a number of failures in a row.
+     * @param {FailurePolicy} policy - The policy.
+     * @param {number} failureCount - Failed reloads in a row, including the latest.
+     * @returns {boolean}
+     */
+    static hasRetriesLeft(policy, failureCount) {
+        return failureCount <= policy.retries;
+    }
+
+    /**
+     * Checks whether the latest failure is the one that used up the retries,
+     * so the give-up action is applied (and reported) once rather than on every later failure.
+     * @param {FailurePolicy} policy - The policy.
+     * @param {number} failureCount - Failed reloads in a row, including the latest.
+     * @returns {boolean}
+     */
+    static isGivingUp(policy, failureCount) {
+        return failureCount === policy.retries + 1;
+    }
+
+    /**
+     * Gets how long to wait before retrying: the backoff doubled for each earlier retry,
+     * but never longer than the timer's own interval.
+     * @param {FailurePolicy} policy - The policy.
+     * @param {number} failureCount - Failed reloads in a row, including the latest (1 for the first).
+     * @param {number} intervalSeconds - The timer's interval in seconds.
+     * @returns {number} The delay in seconds.
+     */
+    static getRetryDelay(policy, failureCount, intervalSeconds) {
+        const delay = policy.backoffSeconds * 2 ** Math.max(0, failureCount - 1);
+        return Math.min(delay, intervalSeconds);
+    }
+}
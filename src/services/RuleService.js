@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * @typedef {object} Rule
+ * @property {string} id - Unique rule ID.
+ * @property {string} [name] - Optional label shown in the UI.
+ * @property {string} pattern - The URL pattern.
+ * @property {'glob'|'regex'} type - How `pattern` is interpreted.
+ * @property {number} intervalSeconds - The interval in seconds applied to matching tabs.
+ * @property {boolean} enabled - Whether the rule is active.
+ */
+
+/**
+ * Matches tab URLs against user-defined rules.
+ * Glob patterns match the whole URL (`*` = any run of characters, `?` = one character);
+ * regex patterns match anywhere in the URL.
+ */
+export class RuleService {
+    /**
+     * Converts a glob pattern into an anchored regular expression.
+     * @param {string} glob - The glob pattern.
+     * @returns {RegExp}
+     */
+    static globToRegExp(glob) {
+        const source = glob
+            .split('')
+            .map(ch => {
+                if (ch === '*') return '.*';
+                if (ch === '?') return '.';
+                return ch.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+            })
+            .join('');
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    /**
+     * Compiles a rule's pattern.
+     * @param {Rule} rule - The rule.
+     * @returns {RegExp|null} The compiled pattern, or null if it is invalid.
+     */
+    static compile(rule) {
+        if (!rule?.pattern) return null;
+        try {
+            return rule.type === 'regex' ? new RegExp(rule.pattern, 'i') : RuleService.globToRegExp(rule.pattern);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Checks whether a rule has a usable pattern.
+     * @param {Rule} rule - The rule.
+     * @returns {boolean}
+     */
+    static isValid(rule) {
+        return RuleService.compile(rule) !== null;
+    }
+
+    /**
+     * Finds the first enabled rule matching a URL.
+     * @param {Rule[]} rules - The rules, in priority order.
+     * @param {string} url - The URL to test.
+     * @returns {Rule|null}
+     */
+    static findMatchingRule(rules, url) {
+        if (!url) return null;
+        return rules.find(rule => rule.enabled && rule.intervalSeconds > 0 && RuleService.compile(rule)?.test(url)) ?? null;
+    }
+
+    /**
+     * Gets the label shown for a rule.
+     * @param {Rule} rule - The rule.
+     * @returns {string}
+     */
+    static getLabel(rule) {
+        return rule.name || rule.pattern;
+    }
+}
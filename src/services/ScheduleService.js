@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * @typedef {object} TimeWindow
+ * @property {boolean} enabled - Whether the window applies.
+ * @property {number[]} days - Days the window starts on (0 = Sunday … 6 = Saturday); empty means every day.
+ * @property {string} start - Start time, `HH:MM`.
+ * @property {string} end - End time, `HH:MM`. At or before `start`, the window runs past midnight.
+ * @property {string} [timeZone] - IANA time zone; defaults to the browser's.
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Decides whether a timer may reload right now, from its own active window,
+ * the global active window and the global quiet hours.
+ */
+export class ScheduleService {
+    /**
+     * Parses an `HH:MM` time into minutes since midnight.
+     * @param {string} time - The time string.
+     * @returns {number|null} Minutes since midnight, or null if malformed.
+     */
+    static parseTime(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(time ?? '');
+        if (!match) return null;
+        const hours = Number(match[1]);
+        const minutes = Number(match[2]);
+        if (hours > 23 || minutes > 59) return null;
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Gets the weekday and minute of day of a moment in a time zone.
+     * Falls back to the browser's time zone if `timeZone` is unknown.
+     * @param {Date} date - The moment.
+     * @param {string} [timeZone] - IANA time zone.
+     * @returns {{day: number, minutes: number}}
+     */
+    static getLocalParts(date, timeZone) {
+        let format;
+        try {
+            format = new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone || undefined,
+                weekday: 'short',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23',
+            });
+        } catch {
+            return ScheduleService.getLocalParts(date);
+        }
+
+        const parts = Object.fromEntries(format.formatToParts(date).map(p => [p.type, p.value]));
+        return {
+            day: WEEKDAYS.indexOf(parts.weekday),
+            minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        };
+    }
+
+    /**
+     * Checks whether a moment falls inside a time window.
+     * Overnight windows (end at or before start) belong to the day they start on,
+     * so "Fri 22:00–06:00" covers Friday night and early Saturday morning.
+     * @param {TimeWindow} window - The window.
+     * @param {Date} [date=new Date()] - The moment to test.
+     * @returns {boolean}
+     */
+    static isWithinWindow(window, date = new Date()) {
+        const start = ScheduleService.parseTime(window.start);
+        const end = ScheduleService.parseTime(window.end);
+        if (start === null || end === null) return true;
+
+        const { day, minutes } = ScheduleService.getLocalParts(date, window.timeZone);
+        const onDay = d => !window.days?.length || window.days.includes(d);
+
+        if (start < end) {
+            return onDay(day) && minutes >= start && minutes < end;
+        }
+        if (start === end) {
+            return onDay(day);
+        }
+        if (minutes >= start) return onDay(day);
+        if (minutes < end) return onDay((day + 6) % 7);
+        return false;
+    }
+
+    /**
+     * Checks whether a timer may reload at a given moment.
+     * @param {TimeWindow|null|undefined} timerWindow - The timer's own active window.
+     * @param {{activeWindow?: TimeWindow, quietHours?: TimeWindow}} options - The global options.
+     * @param {Date} [date=new Date()] - The moment to test.
+     * @returns {boolean} False if the timer is dormant.
+     */
+    static isActive(timerWindow, options, date = new Date()) {
+        if (timerWindow?.enabled && !ScheduleService.isWithinWindow(timerWindow, date)) return false;
+        if (options.activeWindow?.enabled && !ScheduleService.isWithinWindow(options.activeWindow, date)) return false;
+        if (options.quietHours?.enabled && ScheduleService.isWithinWindow(options.quietHours, date)) return false;
+        return true;
+    }
+}
@@ -0,0 +1,116 @@
+'use strict';
+
+import { STATS_DAYS } from '../shared/constants.js';
+import { StorageService } from './StorageService.js';
+
+/**
+ * @typedef {object} SiteStats
+ * @property {number} reloads - Reloads of pages on the site.
+ * @property {number} failures - Reloads that failed or loaded an error page.
+ * @property {number} loadMs - Total load time of the successful reloads.
+ */
+
+/**
+ * @typedef {object} Stats
+ * @property {Record<string, number>} days - Reloads per local day (`YYYY-MM-DD`), for the last `STATS_DAYS` days.
+ * @property {Record<string, SiteStats>} sites - Totals per host name.
+ */
+
+/**
+ * Aggregates reloads into per-day and per-site statistics. Unlike the history,
+ * which only keeps the latest reloads, the statistics keep counting indefinitely.
+ */
+export class StatsService {
+    /**
+     * Gets the local calendar day of a moment.
+     * @param {number} time - Epoch milliseconds.
+     * @returns {string} `YYYY-MM-DD`.
+     */
+    static getDayKey(time) {
+        const date = new Date(time);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Gets the site a URL belongs to.
+     * @param {string} url - The URL.
+     * @returns {string} The host name, or an empty string if the URL has none.
+     */
+    static getSite(url) {
+        try {
+            return new URL(url).hostname;
+        } catch {
+            return '';
+        }
+    }
+
+    /**
+     * Adds a reload to the statistics, dropping days older than `STATS_DAYS`.
+     * @param {Stats|null} stats - The current statistics.
+     * @param {import('./HistoryService.js').HistoryEntry} entry - The reload.
+     * @returns {Stats} New statistics; the input is not modified.
+     */
+    static add(stats, entry) {
+        const days = { ...stats?.days };
+        const today = StatsService.getDayKey(entry.time);
+        days[today] = (days[today] ?? 0) + 1;
+
+        const oldest = StatsService.getDayKey(entry.time - (STATS_DAYS - 1) * 86400000);
+        for (const day of Object.keys(days)) {
+            if (day < oldest) delete days[day];
+        }
+
+        const sites = { ...stats?.sites };
+        const site = StatsService.getSite(entry.url);
+        if (site) {
+            const current = sites[site] ?? { reloads: 0, failures: 0, loadMs: 0 };
+            sites[site] = {
+                reloads: current.reloads + 1,
+                failures: current.failures + (entry.ok ? 0 : 1),
+                loadMs: current.loadMs + (entry.ok ? entry.durationMs : 0),
+            };
+        }
+
+        return { days, sites };
+    }
+
+    /**
+     * Adds a reload to the stored statistics.
+     * @param {import('./HistoryService.js').HistoryEntry} entry - The reload.
+     */
+    static async record(entry) {
+        const stats = await StorageService.getStats();
+        await StorageService.saveStats(StatsService.add(stats, entry));
+    }
+
+    /**
+     * Summarizes the statistics for display.
+     * @param {Stats|null} stats - The statistics.
+     * @param {number} [dayCount=14] - Days of daily counts to include, ending today.
+     * @param {number} [now=Date.now()] - The current epoch milliseconds.
+     * @returns {{days: Array<{day: string, reloads: number}>, sites: Array<{site: string, reloads: number,
+     *     failures: number, failureRate: number, averageLoadMs: number|null}>}} Days oldest first;
+     *     sites most reloaded first.
+     */
+    static summarize(stats, dayCount = 14, now = Date.now()) {
+        const days = [];
+        for (let offset = dayCount - 1; offset >= 0; offset--) {
+            const day = StatsService.getDayKey(now - offset * 86400000);
+            days.push({ day, reloads: stats?.days?.[day] ?? 0 });
+        }
+
+        const sites = Object.entries(stats?.sites ?? {})
+            .map(([site, { reloads, failures, loadMs }]) => ({
+                site,
+                reloads,
+                failures,
+                failureRate: reloads > 0 ? failures / reloads : 0,
+                averageLoadMs: reloads > failures ? loadMs / (reloads - failures) : null,
+            }))
+            .sort((a, b) => b.reloads - a.reloads || a.site.localeCompare(b.site));
+
+        return { days, sites };
+    }
+}
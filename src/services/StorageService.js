@@ -1,6 +1,39 @@
 'use strict';
 
-import { ALARM_NAME_PREFIX, OPTIONS_KEY, DEFAULT_OPTIONS } from '../shared/constants.js';
+import {
+    ALARM_NAME_PREFIX, OPTIONS_KEY, DEFAULT_OPTIONS, UNMATCHED_TIMERS_KEY, RULES_KEY, PAUSED_ALL_KEY,
+    WEBHOOK_LOG_KEY, WEBHOOK_LOG_LIMIT, HISTORY_KEY, HISTORY_LIMIT, STATS_KEY,
+} from '../shared/constants.js';
+
+/**
+ * @typedef {object} TimerRecord
+ * @property {number} intervalSeconds - The interval in seconds.
+ * @property {string} [url] - The tab's URL when last seen, used to rebind after a restart.
+ * @property {number} [windowId] - The tab's window ID when last seen.
+ * @property {number} [index] - The tab's position in its window when last seen.
+ * @property {string} [ruleId] - ID of the URL rule that created the timer, if any.
+ * @property {object} [schedule] - The timer's active time window (see `ScheduleService`).
+ * @property {{amount: number, unit: 'percent'|'seconds'}} [jitter] - Random deviation applied to each reload.
+ * @property {boolean} [paused] - Whether the timer is paused; the interval is kept for resuming.
+ * @property {number} [lastReload] - Epoch milliseconds of the last timer or on-demand reload.
+ * @property {number} [maxReloads] - Timed reloads after which the timer is removed.
+ * @property {number} [expiresAt] - Epoch milliseconds after which the timer is removed.
+ * @property {number} [reloadCount] - Timed reloads since the timer was set, counted against `maxReloads`.
+ * @property {{selector: string}} [watch] - Content to compare after each reload ('' selector = whole page).
+ * @property {string} [watchHash] - Hash of the last captured content.
+ * @property {number} [changedAt] - Epoch milliseconds of an unacknowledged content change.
+ * @property {import('./TriggerService.js').Trigger} [trigger] - Keyword to look for after each reload.
+ * @property {boolean} [triggerPresent] - Whether the keyword was found on the last check.
+ * @property {import('./TriggerService.js').TriggerMatch[]} [triggerMatches] - Recent matches, newest first.
+ * @property {import('./RetryService.js').FailurePolicy} [failurePolicy] - How to recover from failed reloads.
+ * @property {number} [failureCount] - Timed reloads that have failed in a row; reset by a successful one.
+ * @property {string} [lastError] - Why the last failed reload failed, while `failureCount` is above 0.
+ * @property {number} [lastFailureAt] - Epoch milliseconds of the last failed reload.
+ * @property {import('./PageStatusService.js').ReloadResult & {time: number}} [lastResult] - How the last
+ *     timed reload turned out.
+ * @property {import('./TimerSettingsService.js').TimerSettings} [settings] - Settings that override
+ *     the global options for this timer.
+ */
 
 /**
  * Repository pattern wrapper for chrome.storage.local.
@@ -17,24 +50,113 @@ export class StorageService {
     }
 
     /**
-     * Persists a tab's reload interval.
+     * Persists a tab's reload interval, keeping the rest of its timer record.
+     * @param {number} tabId - The tab ID.
+     * @param {number} intervalSeconds - The interval in seconds.
+     */
+    static async saveInterval(tabId, intervalSeconds) {
+        await StorageService.updateTimer(tabId, { intervalSeconds });
+    }
+
+    /**
+     * Retrieves a tab's full timer record.
+     * @param {number} tabId - The tab ID.
+     * @returns {Promise<TimerRecord|null>} The record, or null if not set.
+     */
+    static async getTimer(tabId) {
+        const key = StorageService.getKey(tabId);
+        const result = await chrome.storage.local.get(key);
+        return result[key] ?? null;
+    }
+
+    /**
+     * Replaces a tab's full timer record.
      * @param {number} tabId - The tab ID.
-     * @param {number} intervalMinutes - The interval in minutes.
+     * @param {TimerRecord} record - The timer record.
      */
-    static async saveInterval(tabId, intervalMinutes) {
+    static async saveTimer(tabId, record) {
         const key = StorageService.getKey(tabId);
-        await chrome.storage.local.set({ [key]: { interval: intervalMinutes } });
+        await chrome.storage.local.set({ [key]: record });
+    }
+
+    /**
+     * Merges fields into a tab's timer record.
+     * @param {number} tabId - The tab ID.
+     * @param {Partial<TimerRecord>} patch - The fields to update.
+     */
+    static async updateTimer(tabId, patch) {
+        const current = await StorageService.getTimer(tabId);
+        await StorageService.saveTimer(tabId, { ...current, ...patch });
+    }
+
+    /**
+     * Changes the interval of an existing timer, keeping the rest of its record: the paused state,
+     * the reload count and the failure, change and keyword records.
+     * @param {number} tabId - The tab ID.
+     * @param {number} intervalSeconds - The new interval in seconds.
+     * @returns {Promise<TimerRecord|null>} The updated record, or null if the tab has no timer.
+     */
+    static async changeInterval(tabId, intervalSeconds) {
+        const current = await StorageService.getTimer(tabId);
+        if (!(current?.intervalSeconds > 0)) return null;
+
+        const record = { ...current, intervalSeconds };
+        await StorageService.saveTimer(tabId, record);
+        return record;
+    }
+
+    /**
+     * Records a timed reload: bumps the timer's reload count, stamps its last reload time,
+     * keeps how the page loaded and resets the failure count.
+     * @param {number} tabId - The tab ID.
+     * @param {number} [time=Date.now()] - Epoch milliseconds of the reload.
+     * @param {import('./PageStatusService.js').ReloadResult} [result] - How the page loaded.
+     * @returns {Promise<TimerRecord|null>} The updated record, or null if the tab has no timer.
+     */
+    static async recordReload(tabId, time = Date.now(), result = { ok: true, status: null, error: null }) {
+        const current = await StorageService.getTimer(tabId);
+        if (!current) return null;
+
+        const { failureCount, lastError, ...rest } = current;
+        const record = {
+            ...rest, reloadCount: (current.reloadCount ?? 0) + 1, lastReload: time, lastResult: { time, ...result },
+        };
+        await StorageService.saveTimer(tabId, record);
+        return record;
+    }
+
+    /**
+     * Records a failed timed reload: bumps the timer's failure count and keeps the reason.
+     * A reload that fails outright (rather than loading an error page) gets no HTTP status.
+     * @param {number} tabId - The tab ID.
+     * @param {string} error - Why the reload failed.
+     * @param {number} [time=Date.now()] - Epoch milliseconds of the failure.
+     * @returns {Promise<TimerRecord|null>} The updated record, or null if the tab has no timer.
+     */
+    static async recordFailure(tabId, error, time = Date.now()) {
+        const current = await StorageService.getTimer(tabId);
+        if (!current) return null;
+
+        const record = {
+            ...current,
+            failureCount: (current.failureCount ?? 0) + 1,
+            lastError: error,
+            lastFailureAt: time,
+            lastResult: { time, ok: false, status: null, error },
+        };
+        await StorageService.saveTimer(tabId, record);
+        return record;
     }
 
     /**
      * Retrieves a tab's reload interval.
      * @param {number} tabId - The tab ID.
-     * @returns {Promise<number>} The interval in minutes, or 0 if not set.
+     * @returns {Promise<number>} The interval in seconds, or 0 if not set.
      */
     static async getInterval(tabId) {
         const key = StorageService.getKey(tabId);
         const result = await chrome.storage.local.get(key);
-        return result[key]?.interval ?? 0;
+        return result[key]?.intervalSeconds ?? 0;
     }
 
     /**
@@ -49,26 +171,180 @@ export class StorageService {
     /**
      * Retrieves all stored tab intervals.
      * Filters storage entries to only return alarm-prefixed items.
-     * @returns {Promise<Array<{tabId: number, interval: number}>>}
+     * @returns {Promise<Array<{tabId: number, intervalSeconds: number}>>}
      */
     static async getAllIntervals() {
+        const timers = await StorageService.getAllTimers();
+        return timers.map(({ tabId, intervalSeconds }) => ({ tabId, intervalSeconds }));
+    }
+
+    /**
+     * Retrieves all stored timer records with a positive interval.
+     * @returns {Promise<Array<TimerRecord & {tabId: number}>>}
+     */
+    static async getAllTimers() {
         const allData = await chrome.storage.local.get(null);
-        const intervals = [];
+        const timers = [];
 
         for (const [key, value] of Object.entries(allData)) {
             if (!key.startsWith(ALARM_NAME_PREFIX)) continue;
             const tabId = parseInt(key.substring(ALARM_NAME_PREFIX.length), 10);
-            if (!isNaN(tabId) && value?.interval > 0) {
-                intervals.push({ tabId, interval: value.interval });
+            if (!isNaN(tabId) && value?.intervalSeconds > 0) {
+                timers.push({ ...value, tabId });
             }
         }
 
-        return intervals;
+        return timers;
+    }
+
+    /**
+     * Retrieves timers that could not be rebound to a tab after a restart.
+     * @returns {Promise<Array<TimerRecord & {id: string, lostAt: number}>>}
+     */
+    static async getUnmatchedTimers() {
+        const result = await chrome.storage.local.get(UNMATCHED_TIMERS_KEY);
+        return result[UNMATCHED_TIMERS_KEY] ?? [];
+    }
+
+    /**
+     * Records timers that could not be rebound, each under a new ID.
+     * The tab IDs they were bound to are not used, since restarted browsers reuse them for other tabs.
+     * @param {Array<TimerRecord & {lostAt: number}>} entries
+     */
+    static async addUnmatchedTimers(entries) {
+        if (entries.length === 0) return;
+        const current = await StorageService.getUnmatchedTimers();
+        const added = entries.map(entry => ({ ...entry, id: crypto.randomUUID() }));
+        await chrome.storage.local.set({ [UNMATCHED_TIMERS_KEY]: [...current, ...added] });
+    }
+
+    /**
+     * Removes an unmatched timer entry.
+     * @param {string} id - The entry ID.
+     * @returns {Promise<(TimerRecord & {id: string, lostAt: number})|null>} The removed entry, if any.
+     */
+    static async removeUnmatchedTimer(id) {
+        const current = await StorageService.getUnmatchedTimers();
+        // Entries saved by older versions are keyed by their numeric tab ID.
+        const matches = e => String(e.id) === String(id);
+        const entry = current.find(matches) ?? null;
+        await chrome.storage.local.set({ [UNMATCHED_TIMERS_KEY]: current.filter(e => !matches(e)) });
+        return entry;
+    }
+
+    /**
+     * Checks whether the master "pause all" switch is on.
+     * @returns {Promise<boolean>}
+     */
+    static async isPausedAll() {
+        const result = await chrome.storage.local.get(PAUSED_ALL_KEY);
+        return result[PAUSED_ALL_KEY] === true;
+    }
+
+    /**
+     * Sets the master "pause all" switch.
+     * @param {boolean} paused
+     */
+    static async setPausedAll(paused) {
+        await chrome.storage.local.set({ [PAUSED_ALL_KEY]: paused });
+    }
+
+    /**
+     * Retrieves the URL-pattern rules, in priority order.
+     * @returns {Promise<import('./RuleService.js').Rule[]>}
+     */
+    static async getRules() {
+        const result = await chrome.storage.local.get(RULES_KEY);
+        return result[RULES_KEY] ?? [];
+    }
+
+    /**
+     * Replaces the URL-pattern rules.
+     * @param {import('./RuleService.js').Rule[]} rules
+     */
+    static async saveRules(rules) {
+        await chrome.storage.local.set({ [RULES_KEY]: rules });
+    }
+
+    /**
+     * Retrieves the webhook delivery log, newest first.
+     * @returns {Promise<Array<{time: number, event: string, url: string, ok: boolean, status: number|null,
+     *     attempts: number, error: string|null}>>}
+     */
+    static async getWebhookLog() {
+        const result = await chrome.storage.local.get(WEBHOOK_LOG_KEY);
+        return result[WEBHOOK_LOG_KEY] ?? [];
+    }
+
+    /**
+     * Adds a delivery to the webhook log, dropping the oldest beyond `WEBHOOK_LOG_LIMIT`.
+     * @param {{time: number, event: string, url: string, ok: boolean, status: number|null, attempts: number,
+     *     error: string|null}} entry - The delivery.
+     */
+    static async addWebhookLogEntry(entry) {
+        const log = await StorageService.getWebhookLog();
+        await chrome.storage.local.set({ [WEBHOOK_LOG_KEY]: [entry, ...log].slice(0, WEBHOOK_LOG_LIMIT) });
+    }
+
+    /**
+     * Empties the webhook delivery log.
+     */
+    static async clearWebhookLog() {
+        await chrome.storage.local.remove(WEBHOOK_LOG_KEY);
+    }
+
+    /**
+     * Retrieves the reload history, newest first.
+     * @returns {Promise<import('./HistoryService.js').HistoryEntry[]>}
+     */
+    static async getHistory() {
+        const result = await chrome.storage.local.get(HISTORY_KEY);
+        return result[HISTORY_KEY] ?? [];
+    }
+
+    /**
+     * Adds a reload to the history, dropping the oldest beyond `HISTORY_LIMIT`.
+     * @param {import('./HistoryService.js').HistoryEntry} entry - The reload.
+     */
+    static async addHistoryEntry(entry) {
+        const history = await StorageService.getHistory();
+        await chrome.storage.local.set({ [HISTORY_KEY]: [entry, ...history].slice(0, HISTORY_LIMIT) });
+    }
+
+    /**
+     * Empties the reload history.
+     */
+    static async clearHistory() {
+        await chrome.storage.local.remove(HISTORY_KEY);
+    }
+
+    /**
+     * Retrieves the reload statistics.
+     * @returns {Promise<import('./StatsService.js').Stats|null>} The statistics, or null if none were recorded.
+     */
+    static async getStats() {
+        const result = await chrome.storage.local.get(STATS_KEY);
+        return result[STATS_KEY] ?? null;
+    }
+
+    /**
+     * Replaces the reload statistics.
+     * @param {import('./StatsService.js').Stats} stats - The statistics.
+     */
+    static async saveStats(stats) {
+        await chrome.storage.local.set({ [STATS_KEY]: stats });
+    }
+
+    /**
+     * Deletes the reload statistics.
+     */
+    static async clearStats() {
+        await chrome.storage.local.remove(STATS_KEY);
     }
 
     /**
      * Retrieves the user's options/preferences.
-     * @returns {Promise<{defaultInterval: number, bypassCache: boolean, showBadge: boolean}>}
+     * @returns {Promise<{defaultIntervalSeconds: number, bypassCache: boolean, showBadge: boolean}>}
      */
     static async getOptions() {
         const result = await chrome.storage.local.get(OPTIONS_KEY);
@@ -77,7 +353,7 @@ export class StorageService {
 
     /**
      * Saves user options/preferences.
-     * @param {Partial<{defaultInterval: number, bypassCache: boolean, showBadge: boolean}>} options
+     * @param {Partial<{defaultIntervalSeconds: number, bypassCache: boolean, showBadge: boolean}>} options
      */
     static async saveOptions(options) {
         const current = await StorageService.getOptions();
@@ -85,6 +361,38 @@ export class StorageService {
         await chrome.storage.local.set({ [OPTIONS_KEY]: merged });
     }
 
+    /**
+     * Converts data stored before intervals were kept in seconds: the `interval` of timers,
+     * unmatched timers and rules, and the `defaultInterval` option, were in minutes.
+     * Records that are already converted are left alone, so this is safe to run repeatedly.
+     * @returns {Promise<boolean>} True if anything was converted.
+     */
+    static async migrate() {
+        const allData = await chrome.storage.local.get(null);
+        const updates = {};
+        const toSeconds = minutes => Math.round(minutes * 60);
+        const migrateRecord = ({ interval, ...record }) => ({ ...record, intervalSeconds: toSeconds(interval) });
+
+        for (const [key, value] of Object.entries(allData)) {
+            if (key.startsWith(ALARM_NAME_PREFIX) && value && 'interval' in value) {
+                updates[key] = migrateRecord(value);
+            }
+        }
+        for (const key of [UNMATCHED_TIMERS_KEY, RULES_KEY]) {
+            if (allData[key]?.some(record => 'interval' in record)) {
+                updates[key] = allData[key].map(record => ('interval' in record ? migrateRecord(record) : record));
+            }
+        }
+        if (allData[OPTIONS_KEY] && 'defaultInterval' in allData[OPTIONS_KEY]) {
+            const { defaultInterval, ...options } = allData[OPTIONS_KEY];
+            updates[OPTIONS_KEY] = { ...options, defaultIntervalSeconds: toSeconds(defaultInterval) };
+        }
+
+        if (Object.keys(updates).length === 0) return false;
+        await chrome.storage.local.set(updates);
+        return true;
+    }
+
     /**
      * Exports all extension data (intervals + options) as a serializable object.
      * @returns {Promise<object>}
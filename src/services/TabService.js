@@ -1,6 +1,6 @@
 'use strict';
 
-import { RESTRICTED_URL_PREFIXES } from '../shared/constants.js';
+import { RELOAD_LOAD_TIMEOUT_MS, RESTRICTED_URL_PREFIXES } from '../shared/constants.js';
 
 /**
  * Service for Chrome tab operations.
@@ -25,6 +25,79 @@ export class TabService {
         await chrome.tabs.reload(tabId, { bypassCache });
     }
 
+    /**
+     * Reloads a tab and waits for it to finish loading.
+     * @param {number} tabId - The tab ID.
+     * @param {boolean} [bypassCache=true] - Whether to bypass the browser cache.
+     * @param {number} [timeoutMs=RELOAD_LOAD_TIMEOUT_MS] - How long to wait for the load to complete.
+     * @returns {Promise<boolean>} True if the page finished loading, false on timeout.
+     */
+    static async reloadTabAndWait(tabId, bypassCache = true, timeoutMs = RELOAD_LOAD_TIMEOUT_MS) {
+        return TabService.#waitForLoad(tabId, () => TabService.reloadTab(tabId, bypassCache), timeoutMs);
+    }
+
+    /**
+     * Navigates a tab to a URL and waits for it to finish loading.
+     * @param {number} tabId - The tab ID.
+     * @param {string} url - The URL to open.
+     * @param {number} [timeoutMs=RELOAD_LOAD_TIMEOUT_MS] - How long to wait for the load to complete.
+     * @returns {Promise<boolean>} True if the page finished loading, false on timeout.
+     */
+    static async navigateTabAndWait(tabId, url, timeoutMs = RELOAD_LOAD_TIMEOUT_MS) {
+        return TabService.#waitForLoad(tabId, () => chrome.tabs.update(tabId, { url }), timeoutMs);
+    }
+
+    /**
+     * Starts a load in a tab and waits for it to complete.
+     * @param {number} tabId - The tab ID.
+     * @param {() => Promise<unknown>} start - Starts the load.
+     * @param {number} timeoutMs - How long to wait for the load to complete.
+     * @returns {Promise<boolean>} True if the page finished loading, false on timeout.
+     */
+    static async #waitForLoad(tabId, start, timeoutMs) {
+        let listener;
+        let timeout;
+        const loaded = new Promise(resolve => {
+            listener = (updatedTabId, changeInfo) => {
+                if (updatedTabId === tabId && changeInfo.status === 'complete') resolve(true);
+            };
+            timeout = setTimeout(() => resolve(false), timeoutMs);
+            chrome.tabs.onUpdated.addListener(listener);
+        });
+
+        try {
+            await start();
+            return await loaded;
+        } finally {
+            clearTimeout(timeout);
+            chrome.tabs.onUpdated.removeListener(listener);
+        }
+    }
+
+    /**
+     * Brings a tab to the front: activates it and focuses its window.
+     * @param {number} tabId - The tab ID.
+     * @returns {Promise<boolean>} False if the tab no longer exists.
+     */
+    static async focusTab(tabId) {
+        try {
+            const tab = await chrome.tabs.update(tabId, { active: true });
+            await chrome.windows.update(tab.windowId, { focused: true });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Opens a URL in a new tab.
+     * @param {string} url - The URL to open.
+     * @returns {Promise<chrome.tabs.Tab>} The created tab.
+     */
+    static async openTab(url) {
+        return chrome.tabs.create({ url });
+    }
+
     /**
      * Gets the Set of all currently open tab IDs.
      * @returns {Promise<Set<number>>}
@@ -34,15 +107,79 @@ export class TabService {
         return new Set(tabs.map(t => t.id));
     }
 
+    /**
+     * Gets all currently open tabs.
+     * @returns {Promise<chrome.tabs.Tab[]>}
+     */
+    static async getAllTabs() {
+        return chrome.tabs.query({});
+    }
+
+    /**
+     * Retrieves the fields used to recognise a tab after a browser restart.
+     * @param {number} tabId - The tab ID.
+     * @returns {Promise<{url: string, windowId: number, index: number}|null>}
+     */
+    static async getTabLocation(tabId) {
+        try {
+            const tab = await chrome.tabs.get(tabId);
+            return { url: tab.url || tab.pendingUrl || '', windowId: tab.windowId, index: tab.index };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Pairs stored timers with open tabs.
+     * A timer keeps its tab when that tab ID is still open on the same URL (e.g. after an update).
+     * Otherwise it is rebound to an unclaimed tab with the same URL, preferring the same
+     * index and window (tab and window IDs change when the browser restarts).
+     * @param {Array<{tabId: number, url?: string, windowId?: number, index?: number}>} timers
+     * @param {chrome.tabs.Tab[]} tabs - The currently open tabs.
+     * @returns {{matched: Array<{timer: object, tab: chrome.tabs.Tab}>, unmatched: object[]}}
+     */
+    static matchTimersToTabs(timers, tabs) {
+        const tabUrl = tab => tab.url || tab.pendingUrl || '';
+        const claimed = new Set();
+        const matched = [];
+        const pending = [];
+
+        for (const timer of timers) {
+            const tab = tabs.find(t => t.id === timer.tabId);
+            if (tab && (!timer.url || tabUrl(tab) === timer.url)) {
+                claimed.add(tab.id);
+                matched.push({ timer, tab });
+            } else {
+                pending.push(timer);
+            }
+        }
+
+        const unmatched = [];
+        for (const timer of pending) {
+            const candidates = tabs.filter(t => !claimed.has(t.id) && timer.url && tabUrl(t) === timer.url);
+            if (candidates.length === 0) {
+                unmatched.push(timer);
+                continue;
+            }
+
+            const score = t => (t.index === timer.index ? 2 : 0) + (t.windowId === timer.windowId ? 1 : 0);
+            const best = candidates.reduce((a, b) => (score(b) > score(a) ? b : a));
+            claimed.add(best.id);
+            matched.push({ timer, tab: best });
+        }
+
+        return { matched, unmatched };
+    }
+
     /**
      * Retrieves basic info for a tab by ID.
      * @param {number} tabId - The tab ID.
-     * @returns {Promise<{title: string, url: string}|null>}
+     * @returns {Promise<{title: string, url: string, windowId: number}|null>}
      */
     static async getTabInfo(tabId) {
         try {
             const tab = await chrome.tabs.get(tabId);
-            return { title: tab.title || `Tab ${tabId}`, url: tab.url || '' };
+            return { title: tab.title || `Tab ${tabId}`, url: tab.url || '', windowId: tab.windowId };
         } catch {
             return null;
         }
@@ -0,0 +1,107 @@
+'use strict';
+
+import {
+    DEFAULT_RELOAD_MODE, NOTIFICATION_EVENTS, PAGE_LOADING_RELOAD_MODES, RELOAD_MODES,
+} from '../shared/constants.js';
+
+/**
+ * @typedef {object} TimerSettings
+ * @property {boolean} [bypassCache] - Overrides the `bypassCache` option for this timer.
+ * @property {string} [reloadMode] - How the tab is reloaded (see `RELOAD_MODES`).
+ * @property {string} [reloadTarget] - What the reload mode acts on: the home URL for 'navigate',
+ *     or a CSS selector for the element to click ('click') or the iframe to reload ('frame').
+ * @property {Object<string, {notify: boolean, sound: boolean}>} [notifications] - Overrides the
+ *     notification and sound choice of the events listed, by event name (see `NOTIFICATION_EVENTS`).
+ */
+
+/**
+ * Per-timer settings that take precedence over the global options.
+ * A setting the timer does not have falls back to the options page.
+ */
+export class TimerSettingsService {
+    /**
+     * Gets the options that apply to one timer: the global options with the timer's settings on top.
+     * @param {object} options - The user options.
+     * @param {TimerSettings|null|undefined} settings - The timer's settings.
+     * @returns {object} The options, plus the timer's `reloadMode` and `reloadTarget`.
+     */
+    static resolve(options, settings) {
+        const reloadMode = settings?.reloadMode ?? DEFAULT_RELOAD_MODE;
+        return {
+            ...options,
+            bypassCache: settings?.bypassCache ?? options.bypassCache,
+            reloadMode,
+            reloadTarget: reloadMode === DEFAULT_RELOAD_MODE ? null : settings.reloadTarget,
+            notifications: { ...options.notifications, ...settings?.notifications },
+        };
+    }
+
+    /**
+     * Checks that every setting present has the right type and a known value.
+     * A null setting is allowed and means "follow the options page".
+     * @param {TimerSettings} settings - The settings.
+     * @returns {boolean}
+     */
+    static isValid(settings) {
+        if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) return false;
+        if (settings.bypassCache != null && typeof settings.bypassCache !== 'boolean') return false;
+        if (settings.reloadMode != null && !RELOAD_MODES.includes(settings.reloadMode)) return false;
+        if (!TimerSettingsService.isValidReloadTarget(settings.reloadMode ?? DEFAULT_RELOAD_MODE, settings.reloadTarget)) {
+            return false;
+        }
+        if (settings.notifications == null) return true;
+
+        return typeof settings.notifications === 'object'
+            && Object.entries(settings.notifications).every(([event, setting]) => NOTIFICATION_EVENTS.includes(event)
+                && (setting === null || (typeof setting?.notify === 'boolean' && typeof setting.sound === 'boolean')));
+    }
+
+    /**
+     * Checks that a reload mode has the target it needs: an http(s) URL to navigate to,
+     * or a non-empty selector to click or reload. The plain 'reload' mode needs none.
+     * @param {string} reloadMode - The reload mode.
+     * @param {*} reloadTarget - The target.
+     * @returns {boolean}
+     */
+    static isValidReloadTarget(reloadMode, reloadTarget) {
+        if (reloadMode === DEFAULT_RELOAD_MODE) return true;
+        if (typeof reloadTarget !== 'string' || reloadTarget.trim() === '') return false;
+        if (reloadMode !== 'navigate') return true;
+
+        try {
+            return ['http:', 'https:'].includes(new URL(reloadTarget).protocol);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Checks whether a timer's reload mode loads the page, which change and keyword checks need
+     * (see `PAGE_LOADING_RELOAD_MODES`).
+     * @param {TimerSettings|null|undefined} settings - The timer's settings.
+     * @returns {boolean}
+     */
+    static loadsPage(settings) {
+        return PAGE_LOADING_RELOAD_MODES.includes(settings?.reloadMode ?? DEFAULT_RELOAD_MODE);
+    }
+
+    /**
+     * Drops the settings that are not set, so the timer follows the options page for them.
+     * The plain 'reload' mode is the default, so it is not stored either.
+     * @param {TimerSettings|null|undefined} settings - The settings.
+     * @returns {TimerSettings|null} The settings that are set, or null if there are none.
+     */
+    static normalize(settings) {
+        const normalized = {};
+        if (settings?.bypassCache != null) normalized.bypassCache = settings.bypassCache;
+        if (settings?.reloadMode != null && settings.reloadMode !== DEFAULT_RELOAD_MODE) {
+            normalized.reloadMode = settings.reloadMode;
+            normalized.reloadTarget = settings.reloadTarget.trim();
+        }
+
+        const notifications = Object.entries(settings?.notifications ?? {}).filter(([, setting]) => setting != null);
+        if (notifications.length > 0) normalized.notifications = Object.fromEntries(notifications);
+
+        return Object.keys(normalized).length > 0 ? normalized : null;
+    }
+}
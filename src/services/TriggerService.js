@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * @typedef {object} Trigger
+ * @property {string} pattern - The text or regular expression to look for.
+ * @property {'text'|'regex'} type - How `pattern` is interpreted.
+ * @property {'appears'|'disappears'} when - Which transition meets the trigger.
+ * @property {boolean} [stopOnMatch] - Whether to stop the timer once the trigger is met.
+ */
+
+/**
+ * @typedef {object} TriggerMatch
+ * @property {number} time - Epoch milliseconds when the trigger was met.
+ * @property {'appears'|'disappears'} when - The transition that met it.
+ * @property {string} snippet - Page text around the match ('' when the pattern disappeared).
+ */
+
+/** Characters of page text kept on each side of a match. */
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Evaluates keyword triggers against page text captured after a reload.
+ * Text patterns match case-insensitively anywhere in the page; regex patterns are
+ * case-insensitive too. A trigger is met on the reload where the pattern's presence
+ * flips the watched way, not on every reload while it stays that way.
+ */
+export class TriggerService {
+    /**
+     * Compiles a trigger's pattern.
+     * @param {Trigger} trigger - The trigger.
+     * @returns {RegExp|null} The compiled pattern, or null if it is invalid.
+     */
+    static compile(trigger) {
+        if (!trigger?.pattern) return null;
+        try {
+            const source = trigger.type === 'regex' ? trigger.pattern : trigger.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(source, 'i');
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Checks whether a trigger has a usable pattern and a known transition.
+     * @param {Trigger} trigger - The trigger.
+     * @returns {boolean}
+     */
+    static isValid(trigger) {
+        return ['appears', 'disappears'].includes(trigger?.when) && TriggerService.compile(trigger) !== null;
+    }
+
+    /**
+     * Finds the trigger's pattern in page text.
+     * @param {Trigger} trigger - The trigger.
+     * @param {string} text - The page text.
+     * @returns {string|null} A snippet around the first match, or null if there is none.
+     */
+    static findSnippet(trigger, text) {
+        const match = TriggerService.compile(trigger)?.exec(text);
+        if (!match) return null;
+
+        const start = Math.max(0, match.index - SNIPPET_CONTEXT);
+        const end = Math.min(text.length, match.index + match[0].length + SNIPPET_CONTEXT);
+        const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+        return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Evaluates a trigger against freshly captured page text.
+     * "Appears" is met when the pattern is found and was not found last time (or on the first check);
+     * "disappears" is met when the pattern is gone after having been found.
+     * @param {Trigger} trigger - The trigger.
+     * @param {string} text - The page text.
+     * @param {boolean|undefined} wasPresent - Whether the pattern was found on the previous check.
+     * @returns {{present: boolean, met: boolean, snippet: string}}
+     */
+    static evaluate(trigger, text, wasPresent) {
+        const snippet = TriggerService.findSnippet(trigger, text);
+        const present = snippet !== null;
+        const met = trigger.when === 'appears' ? present && wasPresent !== true : !present && wasPresent === true;
+        return { present, met, snippet: snippet ?? '' };
+    }
+
+    /**
+     * Checks whether two triggers look for the same thing, ignoring `stopOnMatch`.
+     * @param {Trigger|null|undefined} a - A trigger.
+     * @param {Trigger|null|undefined} b - Another trigger.
+     * @returns {boolean}
+     */
+    static isSameCondition(a, b) {
+        return a?.pattern === b?.pattern && a?.type === b?.type && a?.when === b?.when;
+    }
+}
@@ -0,0 +1,136 @@
+'use strict';
+
+import { StorageService } from './StorageService.js';
+
+/** Timer fields included in webhook payloads; internal bookkeeping is left out. */
+const TIMER_PAYLOAD_FIELDS = [
+    'intervalSeconds', 'paused', 'schedule', 'jitter', 'maxReloads', 'expiresAt', 'reloadCount', 'watch', 'trigger', 'ruleId',
+];
+
+/**
+ * Posts timer events as JSON to the user's webhook endpoint.
+ * Failed deliveries are retried with exponential backoff, and every delivery is
+ * recorded in the delivery log shown on the options page.
+ */
+export class WebhookService {
+    /** @type {number} Delivery attempts before giving up. */
+    static MAX_ATTEMPTS = 4;
+
+    /** @type {number} Delay before the first retry; doubled for each one after. */
+    static BACKOFF_MS = 1000;
+
+    /** @type {number} How long a single attempt may take. */
+    static TIMEOUT_MS = 10000;
+
+    /**
+     * Checks that a webhook URL is an absolute http(s) URL.
+     * @param {string} url - The URL.
+     * @returns {boolean}
+     */
+    static isValidUrl(url) {
+        try {
+            return ['http:', 'https:'].includes(new URL(url).protocol);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Builds the JSON payload for a timer event.
+     * @param {string} event - The event name.
+     * @param {{tabId: number, tab?: {title: string, url: string}|null, timer?: object|null, data?: object}} context
+     * @returns {object}
+     */
+    static buildPayload(event, { tabId, tab = null, timer = null, data = {} }) {
+        const settings = timer
+            ? Object.fromEntries(TIMER_PAYLOAD_FIELDS.filter(field => timer[field] !== undefined).map(field => [field, timer[field]]))
+            : null;
+
+        return {
+            event,
+            timestamp: new Date().toISOString(),
+            tab: { id: tabId, url: tab?.url ?? timer?.url ?? '', title: tab?.title ?? '' },
+            timer: settings,
+            details: data,
+        };
+    }
+
+    /**
+     * Posts a payload, retrying network errors and retryable HTTP statuses with exponential backoff.
+     * Client errors other than 408 and 429 are not retried.
+     * @param {string} url - The endpoint.
+     * @param {object} payload - The JSON payload.
+     * @param {{maxAttempts?: number, backoffMs?: number}} [retry] - Overrides for the retry policy.
+     * @returns {Promise<{ok: boolean, status: number|null, attempts: number, error: string|null}>}
+     */
+    static async deliver(url, payload, { maxAttempts = WebhookService.MAX_ATTEMPTS, backoffMs = WebhookService.BACKOFF_MS } = {}) {
+        let result = { ok: false, status: null, attempts: 0, error: null };
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload),
+                    signal: AbortSignal.timeout(WebhookService.TIMEOUT_MS),
+                });
+                result = { ok: response.ok, status: response.status, attempts: attempt, error: response.ok ? null : `HTTP ${response.status}` };
+                if (response.ok || !WebhookService.isRetryableStatus(response.status)) break;
+            } catch (error) {
+                result = { ok: false, status: null, attempts: attempt, error: error.message };
+            }
+
+            if (attempt < maxAttempts) {
+                await new Promise(resolve => setTimeout(resolve, backoffMs * 2 ** (attempt - 1)));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Checks whether an HTTP error status is worth retrying.
+     * @param {number} status - The HTTP status.
+     * @returns {boolean}
+     */
+    static isRetryableStatus(status) {
+        return status >= 500 || status === 408 || status === 429;
+    }
+
+    /**
+     * Sends a timer event to the configured webhook, if enabled for that event, and logs the delivery.
+     * @param {string} event - The event name (see `NOTIFICATION_EVENTS`).
+     * @param {{tabId: number, tab?: object|null, timer?: object|null, data?: object}} context - What happened.
+     * @returns {Promise<{ok: boolean, status: number|null, attempts: number, error: string|null}|null>}
+     *     The delivery result, or null if nothing was sent.
+     */
+    static async dispatch(event, context) {
+        try {
+            const { webhook } = await StorageService.getOptions();
+            if (!webhook?.enabled || !webhook.events?.includes(event) || !WebhookService.isValidUrl(webhook.url)) {
+                return null;
+            }
+            return await WebhookService.send(webhook.url, event, WebhookService.buildPayload(event, context));
+        } catch (error) {
+            console.error(`Failed to dispatch webhook for '${event}':`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Delivers a payload and records the outcome in the delivery log.
+     * @param {string} url - The endpoint.
+     * @param {string} event - The event name.
+     * @param {object} payload - The JSON payload.
+     * @param {{maxAttempts?: number, backoffMs?: number}} [retry] - Overrides for the retry policy.
+     * @returns {Promise<{ok: boolean, status: number|null, attempts: number, error: string|null}>}
+     */
+    static async send(url, event, payload, retry) {
+        const result = await WebhookService.deliver(url, payload, retry);
+        await StorageService.addWebhookLogEntry({ time: Date.now(), event, url, ...result });
+        if (!result.ok) {
+            console.warn(`Webhook delivery of '${event}' failed after ${result.attempts} attempt(s): ${result.error}`);
+        }
+        return result;
+    }
+}
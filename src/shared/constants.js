@@ -7,6 +7,177 @@
  */
 export const ALARM_NAME_PREFIX = 'tab-reloader-alarm-';
 
+/**
+ * Name of the watchdog alarm that keeps the precise (sub-minute) timers alive.
+ * Deliberately outside `ALARM_NAME_PREFIX` so it is never mistaken for a tab timer.
+ * @type {string}
+ */
+export const KEEPALIVE_ALARM_NAME = 'tab-reloader-keepalive';
+
+/**
+ * Name of the alarm that refreshes the countdown badge while the service worker sleeps.
+ * Deliberately outside `ALARM_NAME_PREFIX` so it is never mistaken for a tab timer.
+ * @type {string}
+ */
+export const BADGE_TICK_ALARM_NAME = 'tab-reloader-badge-tick';
+
+/**
+ * What the badge shows: `count` is the number of running timers, `countdown` is
+ * the active tab's time until its next reload.
+ * @type {ReadonlyArray<string>}
+ */
+export const BADGE_MODES = Object.freeze(['count', 'countdown']);
+
+/**
+ * Timer states the badge color can show, keyed in `badgeColors`: `healthy` (running),
+ * `warning` (paused or retrying), `failed` (retries exhausted or an error page) and `changed` (a watched page changed).
+ * @type {ReadonlyArray<string>}
+ */
+export const BADGE_STATES = Object.freeze(['healthy', 'warning', 'failed', 'changed']);
+
+/**
+ * Shortest period `chrome.alarms` honours, in seconds.
+ * Intervals below this are driven by the offscreen precise timer instead.
+ * @type {number}
+ */
+export const MIN_ALARM_SECONDS = 30;
+
+/**
+ * Shortest reload interval a user may set, in seconds.
+ * @type {number}
+ */
+export const MIN_INTERVAL_SECONDS = 5;
+
+/**
+ * Most interval presets the popup shows.
+ * @type {number}
+ */
+export const MAX_INTERVAL_PRESETS = 8;
+
+/**
+ * Longest a queued reload holds its concurrency slot while waiting for the page to load, in milliseconds.
+ * @type {number}
+ */
+export const RELOAD_LOAD_TIMEOUT_MS = 30000;
+
+/**
+ * What a timer does when a reload fails, unless it has its own policy.
+ * It retries up to `retries` times, waiting `backoffSeconds` before the first retry and twice as long before
+ * each one after. Once the retries are used up it applies `giveUp` (see `FAILURE_GIVE_UP_ACTIONS`).
+ * @type {Readonly<{retries: number, backoffSeconds: number, giveUp: string}>}
+ */
+export const DEFAULT_FAILURE_POLICY = Object.freeze({ retries: 3, backoffSeconds: 30, giveUp: 'pause' });
+
+/**
+ * Ways a timer can give up after its retries: pause it, remove it, or keep reloading on its interval.
+ * @type {ReadonlyArray<string>}
+ */
+export const FAILURE_GIVE_UP_ACTIONS = Object.freeze(['pause', 'remove', 'continue']);
+
+/**
+ * Most retries a failure policy may allow.
+ * @type {number}
+ */
+export const MAX_FAILURE_RETRIES = 10;
+
+/**
+ * Most recent keyword-trigger matches kept per timer.
+ * @type {number}
+ */
+export const TRIGGER_MATCH_LIMIT = 5;
+
+/**
+ * Path of the offscreen document hosting the precise timers.
+ * @type {string}
+ */
+export const OFFSCREEN_DOCUMENT_PATH = 'src/offscreen.html';
+
+/**
+ * Storage key for timers that could not be rebound to a tab after a restart.
+ * @type {string}
+ */
+export const UNMATCHED_TIMERS_KEY = 'tab-reloader-unmatched';
+
+/**
+ * Storage key for URL-pattern rules that apply timers automatically.
+ * @type {string}
+ */
+export const RULES_KEY = 'tab-reloader-rules';
+
+/**
+ * Storage key for the master "pause all timers" switch.
+ * @type {string}
+ */
+export const PAUSED_ALL_KEY = 'tab-reloader-paused-all';
+
+/**
+ * Prefix of notification IDs, followed by `{tabId}-{event}` so a click can focus the tab.
+ * @type {string}
+ */
+export const NOTIFICATION_ID_PREFIX = 'tab-reloader-notification-';
+
+/**
+ * Timer events that can raise a notification and/or a sound.
+ * @type {ReadonlyArray<'contentChanged'|'keywordMatched'|'reloadFailed'|'timerExpired'>}
+ */
+export const NOTIFICATION_EVENTS = Object.freeze(['contentChanged', 'keywordMatched', 'reloadFailed', 'timerExpired']);
+
+/**
+ * Ways a timer can reload its tab. 'reload' reloads the whole page; 'navigate' goes back to a home URL;
+ * 'click' clicks the page's own refresh control; 'frame' reloads one iframe.
+ * @type {ReadonlyArray<'reload'|'navigate'|'click'|'frame'>}
+ */
+export const RELOAD_MODES = Object.freeze(['reload', 'navigate', 'click', 'frame']);
+
+/**
+ * Reload mode of a timer without one of its own.
+ * @type {string}
+ */
+export const DEFAULT_RELOAD_MODE = 'reload';
+
+/**
+ * Reload modes that load the page itself, so its content can be checked for changes and keywords
+ * afterwards. 'click' and 'frame' leave the page loaded and may update it later, if at all.
+ * @type {ReadonlyArray<string>}
+ */
+export const PAGE_LOADING_RELOAD_MODES = Object.freeze(['reload', 'navigate']);
+
+/**
+ * Storage key for the webhook delivery log.
+ * @type {string}
+ */
+export const WEBHOOK_LOG_KEY = 'tab-reloader-webhook-log';
+
+/**
+ * Most recent webhook deliveries kept in the log.
+ * @type {number}
+ */
+export const WEBHOOK_LOG_LIMIT = 50;
+
+/**
+ * Storage key for the reload history.
+ * @type {string}
+ */
+export const HISTORY_KEY = 'tab-reloader-history';
+
+/**
+ * Most recent reloads kept in the history.
+ * @type {number}
+ */
+export const HISTORY_LIMIT = 500;
+
+/**
+ * Storage key for the reload statistics.
+ * @type {string}
+ */
+export const STATS_KEY = 'tab-reloader-stats';
+
+/**
+ * Days of daily reload counts kept in the statistics.
+ * @type {number}
+ */
+export const STATS_DAYS = 30;
+
 /**
  * Storage key for user options/preferences.
  * @type {string}
@@ -15,12 +186,41 @@ export const OPTIONS_KEY = 'tab-reloader-options';
 
 /**
  * Default options for the extension.
- * @type {Readonly<{defaultInterval: number, bypassCache: boolean, showBadge: boolean}>}
+ * `defaultIntervalSeconds` pre-fills the popup; `intervalPresets` are the popup's one-click intervals, in seconds.
+ * `activeWindow` limits every timer to a time window; `quietHours` suspends every timer.
+ * `badgeMode` is one of `BADGE_MODES`. `badgeColors` holds the badge color for each timer state, and
+ * `tintIcon` also washes the toolbar icon in it.
+ * `maxConcurrentReloads` caps how many timed reloads load at once (0 = no limit).
+ * `errorRetrySeconds` reloads a page that loaded with an error this often until it recovers (0 = off).
+ * `notifications` holds, per event in `NOTIFICATION_EVENTS`, whether to show a notification and play a sound.
+ * `webhook` posts the selected events as JSON to `url`.
+ * @type {Readonly<{defaultIntervalSeconds: number, intervalPresets: ReadonlyArray<number>, bypassCache: boolean,
+ *     showBadge: boolean, badgeMode: string, badgeColors: object, tintIcon: boolean, maxConcurrentReloads: number, errorRetrySeconds: number,
+ *     activeWindow: object, quietHours: object, notifications: object, webhook: object}>}
  */
 export const DEFAULT_OPTIONS = Object.freeze({
-    defaultInterval: 5,
+    defaultIntervalSeconds: 300,
+    intervalPresets: Object.freeze([30, 60, 300, 900, 3600]),
     bypassCache: true,
     showBadge: true,
+    badgeMode: 'count',
+    badgeColors: Object.freeze({ healthy: '#4CAF50', warning: '#FFA000', failed: '#F44336', changed: '#2196F3' }),
+    tintIcon: false,
+    maxConcurrentReloads: 0,
+    errorRetrySeconds: 30,
+    activeWindow: Object.freeze({ enabled: false, days: Object.freeze([1, 2, 3, 4, 5]), start: '08:00', end: '18:00', timeZone: '' }),
+    quietHours: Object.freeze({ enabled: false, days: Object.freeze([]), start: '22:00', end: '07:00', timeZone: '' }),
+    notifications: Object.freeze({
+        contentChanged: Object.freeze({ notify: true, sound: false }),
+        keywordMatched: Object.freeze({ notify: true, sound: true }),
+        reloadFailed: Object.freeze({ notify: true, sound: false }),
+        timerExpired: Object.freeze({ notify: false, sound: false }),
+    }),
+    webhook: Object.freeze({
+        enabled: false,
+        url: '',
+        events: Object.freeze(['contentChanged', 'keywordMatched', 'reloadFailed']),
+    }),
 });
 
 /**
@@ -0,0 +1,369 @@
+'use strict';
+
+import { applyI18n, getMessage } from './ui/i18n.js';
+import { formatInterval } from './ui/format.js';
+import { escapeHtml } from './ui/html.js';
+import { sendMessage, showStatus } from './ui/page.js';
+import { applyInterval, getFailureReason, renderFailures, updateCountdowns } from './ui/timers.js';
+
+// --- DOM References ---
+const DOM = {
+    filter: () => document.getElementById('filter'),
+    windowFilter: () => document.getElementById('window-filter'),
+    intervalFilter: () => document.getElementById('interval-filter'),
+    sort: () => document.getElementById('sort'),
+    timerCount: () => document.getElementById('timer-count'),
+    timerList: () => document.getElementById('timer-list'),
+    pauseAllButton: () => document.getElementById('pause-all'),
+};
+
+/** Delay before refreshing after a burst of storage or tab events, in milliseconds. */
+const REFRESH_DELAY_MS = 250;
+
+/**
+ * Compares two timers for each "Sort by" option. Ties fall back to the title.
+ * @type {Record<string, (a: object, b: object) => number>}
+ */
+const SORTERS = {
+    nextReload: (a, b) => (a.nextReload ?? Infinity) - (b.nextReload ?? Infinity),
+    domain: (a, b) => getDomain(a.url).localeCompare(getDomain(b.url)),
+    window: (a, b) => (a.windowId ?? Infinity) - (b.windowId ?? Infinity),
+    interval: (a, b) => a.intervalSeconds - b.intervalSeconds,
+    title: () => 0,
+};
+
+/** The timers from the last 'getAllTimers' response. */
+let timers = [];
+
+/** Whether every timer is paused by the master switch. */
+let pausedAll = false;
+
+/** The window this side panel belongs to. */
+let currentWindowId = null;
+
+/** Pending refresh scheduled by `scheduleRefresh`. */
+let refreshTimeout = null;
+
+/** Whether a refresh was skipped because an interval was being edited. */
+let refreshPending = false;
+
+// --- Filtering and Sorting ---
+
+/**
+ * Gets the host name of a URL, without a leading "www.".
+ * @param {string} url - The URL.
+ * @returns {string} The domain, or an empty string for URLs without one.
+ */
+function getDomain(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Names each window that has timers: "This window" for the side panel's own window,
+ * and "Window N" for the others, numbered in the order they were opened.
+ * @param {object[]} entries - Timer entries from the 'getAllTimers' response.
+ * @returns {Map<number, string>} windowId → label.
+ */
+function getWindowLabels(entries) {
+    const windowIds = [...new Set(entries.map(timer => timer.windowId).filter(id => id !== null))].sort((a, b) => a - b);
+    return new Map(windowIds.map((windowId, index) => [
+        windowId,
+        windowId === currentWindowId
+            ? getMessage('panelCurrentWindowLabel')
+            : getMessage('panelWindowLabel').replace('{n}', index + 1),
+    ]));
+}
+
+/**
+ * Refills a filter select with new options, keeping its selection while it is still offered.
+ * @param {HTMLSelectElement} select - The select; its first option ("All …") is kept.
+ * @param {Array<[string, string]>} options - Value and label of each option.
+ */
+function fillFilterOptions(select, options) {
+    const selected = select.value;
+    const all = select.options[0];
+    const elements = options.map(([value, label]) => new Option(label, value));
+    select.replaceChildren(all, ...elements);
+    select.value = options.some(([value]) => value === selected) ? selected : '';
+}
+
+/**
+ * Reads the filter and sort controls.
+ * @returns {{text: string, windowId: number|null, intervalSeconds: number|null, sort: string}}
+ */
+function readFilters() {
+    const windowValue = DOM.windowFilter().value;
+    const intervalValue = DOM.intervalFilter().value;
+    return {
+        text: DOM.filter().value.trim().toLowerCase(),
+        windowId: windowValue ? Number(windowValue) : null,
+        intervalSeconds: intervalValue ? Number(intervalValue) : null,
+        sort: DOM.sort().value,
+    };
+}
+
+/**
+ * Applies the filters and sort order to the timer entries.
+ * The text filter matches the title, the domain or anywhere in the URL.
+ * @param {object[]} entries - Timer entries from the 'getAllTimers' response.
+ * @param {{text: string, windowId: number|null, intervalSeconds: number|null, sort: string}} filters
+ * @returns {object[]} The matching entries, sorted.
+ */
+function filterTimers(entries, filters) {
+    const compare = SORTERS[filters.sort] ?? SORTERS.nextReload;
+    return entries
+        .filter(timer => filters.windowId === null || timer.windowId === filters.windowId)
+        .filter(timer => filters.intervalSeconds === null || timer.intervalSeconds === filters.intervalSeconds)
+        .filter(timer => !filters.text
+            || timer.title.toLowerCase().includes(filters.text)
+            || timer.url.toLowerCase().includes(filters.text))
+        .sort((a, b) => compare(a, b) || a.title.localeCompare(b.title));
+}
+
+// --- Timer List ---
+
+/**
+ * Builds the label for a timer's last reload: its failures or error page,
+ * or the HTTP status it loaded with.
+ * @param {object} timer - A timer entry from the 'getAllTimers' response.
+ * @returns {string}
+ */
+function renderResult(timer) {
+    const failures = renderFailures(timer, true);
+    if (failures) {
+        return `<div class="timer-item-failures" title="${escapeHtml(getFailureReason(timer))}">${escapeHtml(failures)}</div>`;
+    }
+    if (!timer.lastResult) return '';
+
+    const label = timer.lastResult.status
+        ? getMessage('panelResultStatus').replace('{status}', timer.lastResult.status)
+        : getMessage('panelResultOk');
+    return `<div class="panel-result-ok">✓ ${escapeHtml(label)}</div>`;
+}
+
+/**
+ * Builds the HTML for one row of the timer list.
+ * The title jumps to the tab, the domain filters the list by it, and the interval is edited in place.
+ * @param {object} timer - A timer entry from the 'getAllTimers' response.
+ * @param {string} windowLabel - The name of the tab's window.
+ * @returns {string}
+ */
+function renderTimerItem(timer, windowLabel) {
+    const paused = timer.paused || pausedAll;
+    const state = paused ? getMessage('timerPausedLabel') : timer.dormant ? getMessage('timerDormantLabel') : '';
+    const ruleLabel = timer.ruleLabel ? getMessage('timerRuleLabel').replace('{rule}', timer.ruleLabel) : '';
+    const pauseTitle = getMessage(timer.paused ? 'resumeTimerTitle' : 'pauseTimerTitle');
+    const domain = getDomain(timer.url);
+
+    return `
+        <div class="timer-item ${paused || timer.dormant ? 'timer-item--dormant' : ''}" data-tab-id="${timer.tabId}">
+            <div class="timer-item-info">
+                <button class="timer-item-title" data-action="focus"
+                    title="${escapeHtml(getMessage('panelFocusTabTitle'))}&#10;${escapeHtml(timer.url)}">${escapeHtml(timer.title)}</button>
+                <div class="panel-meta">
+                    ${domain ? `<button class="panel-domain" data-action="domain" data-domain="${escapeHtml(domain)}"
+                        title="${escapeHtml(getMessage('panelFilterDomainTitle'))}">${escapeHtml(domain)}</button>` : ''}
+                    ${windowLabel ? `<span>${escapeHtml(windowLabel)}</span>` : ''}
+                    ${state ? `<span class="timer-item-state">${escapeHtml(state)}</span>` : ''}
+                    ${ruleLabel ? `<span class="timer-item-rule">${escapeHtml(ruleLabel)}</span>` : ''}
+                </div>
+                <div class="panel-meta">
+                    <input type="text" class="timer-item-interval-input" autocomplete="off"
+                        value="${escapeHtml(formatInterval(timer.intervalSeconds))}"
+                        data-interval="${timer.intervalSeconds}" title="${escapeHtml(getMessage('editIntervalTitle'))}">
+                    ${!paused && timer.nextReload ? `<span class="timer-item-countdown" data-next="${timer.nextReload}"></span>` : ''}
+                    ${timer.lastReload ? `<span class="timer-item-countdown" data-time="${timer.lastReload}"></span>` : ''}
+                </div>
+                ${renderResult(timer)}
+            </div>
+            <button class="timer-item-pause" data-action="pause" data-paused="${timer.paused}"
+                title="${escapeHtml(pauseTitle)}" ${pausedAll ? 'disabled' : ''}>${timer.paused ? '▶' : '⏸'}</button>
+            <button class="timer-item-clear" data-action="clear"
+                title="${escapeHtml(getMessage('panelClearTimerTitle'))}">✕</button>
+        </div>
+    `;
+}
+
+/**
+ * Updates the master pause button to reflect the "pause all" switch.
+ */
+function renderPauseAllButton() {
+    const button = DOM.pauseAllButton();
+    button.dataset.paused = String(pausedAll);
+    button.textContent = getMessage(pausedAll ? 'resumeAllButton' : 'pauseAllButton');
+    button.disabled = timers.length === 0 && !pausedAll;
+}
+
+/**
+ * Renders the timers that pass the filters, in the chosen order.
+ */
+function renderTimerList() {
+    const timerList = DOM.timerList();
+    const windowLabels = getWindowLabels(timers);
+
+    fillFilterOptions(DOM.windowFilter(), [...windowLabels].map(([windowId, label]) => [String(windowId), label]));
+    fillFilterOptions(DOM.intervalFilter(), [...new Set(timers.map(timer => timer.intervalSeconds))]
+        .sort((a, b) => a - b)
+        .map(intervalSeconds => [String(intervalSeconds), formatInterval(intervalSeconds)]));
+
+    const shown = filterTimers(timers, readFilters());
+    DOM.timerCount().textContent = timers.length > 0
+        ? getMessage('panelTimerCount').replace('{shown}', shown.length).replace('{total}', timers.length)
+        : '';
+    renderPauseAllButton();
+
+    if (timers.length === 0) {
+        timerList.innerHTML = `<div class="timer-empty">${escapeHtml(getMessage('noActiveTimers'))}</div>`;
+        return;
+    }
+    if (shown.length === 0) {
+        timerList.innerHTML = `<div class="timer-empty">${escapeHtml(getMessage('panelNoMatches'))}</div>`;
+        return;
+    }
+
+    timerList.innerHTML = shown.map(timer => renderTimerItem(timer, windowLabels.get(timer.windowId) ?? '')).join('');
+    updateCountdowns(loadTimerList);
+}
+
+/**
+ * Checks whether an interval is being edited, so a refresh would throw the edit away.
+ * @returns {boolean}
+ */
+function isEditing() {
+    return document.activeElement?.classList.contains('timer-item-interval-input') ?? false;
+}
+
+/**
+ * Loads every timer and renders the list. While an interval is being edited,
+ * the refresh waits until the edit ends.
+ */
+async function loadTimerList() {
+    if (isEditing()) {
+        refreshPending = true;
+        return;
+    }
+    refreshPending = false;
+
+    try {
+        const response = await sendMessage({ action: 'getAllTimers' });
+        timers = response.timers || [];
+        pausedAll = Boolean(response.pausedAll);
+        renderTimerList();
+    } catch (error) {
+        console.error('Error loading timer list:', error);
+        DOM.timerList().innerHTML = `<div class="timer-empty">${escapeHtml(getMessage('panelLoadError'))}</div>`;
+    }
+}
+
+/**
+ * Refreshes the list shortly, once a burst of storage or tab events has settled.
+ */
+function scheduleRefresh() {
+    clearTimeout(refreshTimeout);
+    refreshTimeout = setTimeout(loadTimerList, REFRESH_DELAY_MS);
+}
+
+// --- Row Actions ---
+
+/**
+ * Handles a click on one of a row's buttons.
+ * @param {HTMLElement} button - The clicked button, with a `data-action`.
+ * @param {number} tabId - The row's tab ID.
+ */
+async function handleRowAction(button, tabId) {
+    try {
+        switch (button.dataset.action) {
+            case 'focus':
+                await sendMessage({ action: 'focusTab', tabId });
+                return;
+            case 'domain':
+                DOM.filter().value = button.dataset.domain;
+                renderTimerList();
+                return;
+            case 'pause':
+                await sendMessage({ action: 'pauseTimer', tabId, paused: button.dataset.paused !== 'true' });
+                break;
+            case 'clear':
+                await sendMessage({ action: 'setTimer', tabId, intervalSeconds: 0 });
+                showStatus(getMessage('timerClearedStatus'));
+                break;
+        }
+    } catch (error) {
+        console.error(`${button.dataset.action} failed:`, error);
+        showStatus(getMessage(button.dataset.action === 'focus' ? 'panelTabGone' : 'errorSettingTimer'), true);
+    }
+    await loadTimerList();
+}
+
+// --- Initialization ---
+
+document.addEventListener('DOMContentLoaded', async () => {
+    applyI18n();
+
+    try {
+        currentWindowId = (await chrome.windows.getCurrent()).id;
+    } catch (error) {
+        console.error('Error getting the current window:', error);
+    }
+    await loadTimerList();
+
+    // --- Event Listeners ---
+
+    DOM.filter().addEventListener('input', renderTimerList);
+    DOM.windowFilter().addEventListener('change', renderTimerList);
+    DOM.intervalFilter().addEventListener('change', renderTimerList);
+    DOM.sort().addEventListener('change', renderTimerList);
+
+    DOM.timerList().addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        const row = button?.closest('.timer-item');
+        if (!row) return;
+        handleRowAction(button, parseInt(row.dataset.tabId, 10));
+    });
+
+    // `change` fires when an edited interval is committed with Enter or by leaving the field. Only the interval
+    // changes ('changeInterval'): a paused timer stays paused and keeps its reload count.
+    DOM.timerList().addEventListener('change', (e) => {
+        if (!e.target.classList.contains('timer-item-interval-input')) return;
+        applyInterval(e.target, parseInt(e.target.closest('.timer-item').dataset.tabId, 10), loadTimerList);
+    });
+
+    DOM.timerList().addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape' || !e.target.classList.contains('timer-item-interval-input')) return;
+        e.target.value = formatInterval(Number(e.target.dataset.interval));
+        e.target.classList.remove('timer-item-interval-input--invalid');
+        e.target.blur();
+    });
+
+    DOM.timerList().addEventListener('focusout', (e) => {
+        if (!e.target.classList.contains('timer-item-interval-input') || !refreshPending) return;
+        // Let a pending `change` apply first; it refreshes the list itself.
+        setTimeout(loadTimerList, 0);
+    });
+
+    DOM.pauseAllButton().addEventListener('click', async () => {
+        try {
+            const paused = !pausedAll;
+            await sendMessage({ action: 'pauseAll', paused });
+            showStatus(getMessage(paused ? 'allTimersPausedStatus' : 'allTimersResumedStatus'));
+        } catch (error) {
+            console.error('Pause all failed:', error);
+            showStatus(getMessage('errorSettingTimer'), true);
+        }
+        await loadTimerList();
+    });
+
+    setInterval(() => updateCountdowns(loadTimerList), 1000);
+
+    // The panel stays open, so it follows timers set elsewhere and tabs that change or close.
+    chrome.storage.onChanged.addListener(scheduleRefresh);
+    chrome.tabs.onRemoved.addListener(scheduleRefresh);
+    chrome.tabs.onAttached.addListener(scheduleRefresh);
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+        if (changeInfo.title || changeInfo.url) scheduleRefresh();
+    });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Seconds in each unit a duration can be written in, largest first.
+ * @type {ReadonlyArray<[string, number]>}
+ */
+const DURATION_UNITS = Object.freeze([['d', 86400], ['h', 3600], ['min', 60], ['s', 1]]);
+
+/**
+ * Unit spellings accepted by `parseDuration`, mapped to their length in seconds.
+ * @type {Readonly<Record<string, number>>}
+ */
+const UNIT_ALIASES = Object.freeze({
+    s: 1, sec: 1, secs: 1, second: 1, seconds: 1,
+    m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+    h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+    d: 86400, day: 86400, days: 86400,
+});
+
+/**
+ * Formats a reload interval for display, one part per unit.
+ * @param {number} intervalSeconds - The interval in seconds.
+ * @returns {string} e.g. "45 s", "5 min", "1 h 30 min".
+ */
+export function formatInterval(intervalSeconds) {
+    let remaining = Math.round(intervalSeconds);
+    if (remaining <= 0) return '0 s';
+
+    const parts = [];
+    for (const [unit, seconds] of DURATION_UNITS) {
+        if (remaining >= seconds) {
+            parts.push(`${Math.floor(remaining / seconds)} ${unit}`);
+            remaining %= seconds;
+        }
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Parses a typed duration into seconds.
+ * Accepts one or more number-unit pairs ("1h30m", "2m 30s", "1.5h", "90 sec");
+ * a bare number is taken in `unitSeconds`.
+ * @param {string} text - The typed duration.
+ * @param {number} [unitSeconds=60] - The length of the unit a bare number is in.
+ * @returns {number|null} Whole seconds, or null if the text is not a duration.
+ */
+export function parseDuration(text, unitSeconds = 60) {
+    const value = String(text).trim().toLowerCase().replace(',', '.');
+    if (value === '') return null;
+
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        return Math.round(parseFloat(value) * unitSeconds);
+    }
+
+    const pattern = /(\d+(?:\.\d+)?)\s*([a-z]+)\s*/gy;
+    let total = 0;
+    let match;
+    let end = 0;
+    while ((match = pattern.exec(value)) !== null) {
+        const seconds = UNIT_ALIASES[match[2]];
+        if (!seconds) return null;
+        total += parseFloat(match[1]) * seconds;
+        end = pattern.lastIndex;
+    }
+    return end === value.length ? Math.round(total) : null;
+}
+
+/**
+ * Splits an interval into a value in the largest unit that divides it evenly, for an input and unit select.
+ * @param {number} intervalSeconds - The interval in seconds.
+ * @returns {{value: number, unitSeconds: number}} e.g. 5400 → {value: 90, unitSeconds: 60}.
+ */
+export function splitDuration(intervalSeconds) {
+    const unitSeconds = [3600, 60].find(seconds => intervalSeconds % seconds === 0) ?? 1;
+    return { value: intervalSeconds / unitSeconds, unitSeconds };
+}
+
+/**
+ * Formats the time left until a moment as a ticking countdown.
+ * @param {number} remainingMs - Milliseconds remaining (clamped at 0).
+ * @returns {string} e.g. "0:42", "4:05", "1:02:03".
+ */
+export function formatCountdown(remainingMs) {
+    const totalSeconds = Math.max(0, Math.ceil(remainingMs / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+        : `${minutes}:${seconds}`;
+}
+
+/**
+ * Formats how long ago a moment was, in the browser's UI language.
+ * @param {number} timestamp - Epoch milliseconds in the past.
+ * @returns {string} e.g. "12 seconds ago", "3 minutes ago".
+ */
+export function formatTimeAgo(timestamp) {
+    const format = new Intl.RelativeTimeFormat(chrome.i18n.getUILanguage(), { numeric: 'auto' });
+    const seconds = Math.round((timestamp - Date.now()) / 1000);
+
+    if (Math.abs(seconds) < 60) return format.format(seconds, 'second');
+    if (Math.abs(seconds) < 3600) return format.format(Math.round(seconds / 60), 'minute');
+    if (Math.abs(seconds) < 86400) return format.format(Math.round(seconds / 3600), 'hour');
+    return format.format(Math.round(seconds / 86400), 'day');
+}
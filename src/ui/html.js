@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Entities for the characters that are special in HTML text and quoted attribute values.
+ * @type {Readonly<Record<string, string>>}
+ */
+const HTML_ENTITIES = Object.freeze({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+});
+
+/**
+ * Escapes text for use in rendered HTML, including inside quoted attributes such as `title="..."`.
+ * Page text (snippets, titles, URLs) goes through here, so it can never add attributes or markup.
+ * @param {unknown} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
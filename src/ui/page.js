@@ -0,0 +1,40 @@
+'use strict';
+
+/** How long a status message stays up, in milliseconds. */
+const STATUS_DURATION_MS = 3000;
+
+/**
+ * Displays a status message in the page's `#status` line with appropriate styling.
+ * Auto-clears after 3 seconds.
+ * @param {string} message - The message to display.
+ * @param {boolean} [isError=false] - Whether this is an error message.
+ */
+export function showStatus(message, isError = false) {
+    const statusDiv = document.getElementById('status');
+    if (!statusDiv) return;
+
+    statusDiv.textContent = message;
+    statusDiv.classList.remove('status--success', 'status--error');
+    statusDiv.classList.add(isError ? 'status--error' : 'status--success');
+
+    setTimeout(() => {
+        if (statusDiv.textContent === message) {
+            statusDiv.textContent = '';
+            statusDiv.classList.remove('status--success', 'status--error');
+        }
+    }, STATUS_DURATION_MS);
+}
+
+/**
+ * Sends a message to the background service worker.
+ * @param {object} message - The message payload.
+ * @returns {Promise<object>} The response from the background.
+ * @throws {Error} If the response indicates failure.
+ */
+export async function sendMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response?.success) {
+        throw new Error(response?.error || 'Unknown error');
+    }
+    return response;
+}
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Renders seven day-of-week toggles (Sunday first) into a container.
+ * Day names come from `Intl` in the browser's UI language.
+ * @param {HTMLElement} container - The element to fill.
+ * @param {number[]} selectedDays - Days to pre-select (0 = Sunday).
+ */
+export function renderDayPicker(container, selectedDays) {
+    const language = chrome.i18n.getUILanguage();
+    const shortName = new Intl.DateTimeFormat(language, { weekday: 'narrow', timeZone: 'UTC' });
+    const longName = new Intl.DateTimeFormat(language, { weekday: 'long', timeZone: 'UTC' });
+    container.replaceChildren();
+
+    for (let day = 0; day < 7; day++) {
+        // 1970-01-04 was a Sunday, so this is the date of weekday `day`.
+        const date = Date.UTC(1970, 0, 4 + day);
+
+        const label = document.createElement('label');
+        label.className = 'day-toggle';
+        label.title = longName.format(date);
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = String(day);
+        input.checked = selectedDays.includes(day);
+
+        const text = document.createElement('span');
+        text.textContent = shortName.format(date);
+
+        label.append(input, text);
+        container.append(label);
+    }
+}
+
+/**
+ * Reads the selected days back from a day picker.
+ * @param {HTMLElement} container - The element filled by `renderDayPicker`.
+ * @returns {number[]} The selected days (0 = Sunday).
+ */
+export function readDayPicker(container) {
+    return [...container.querySelectorAll('input:checked')].map(input => Number(input.value));
+}
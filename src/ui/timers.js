@@ -0,0 +1,107 @@
+'use strict';
+
+import { getMessage } from './i18n.js';
+import { formatCountdown, formatInterval, formatTimeAgo, parseDuration } from './format.js';
+import { sendMessage, showStatus } from './page.js';
+import { MIN_INTERVAL_SECONDS } from '../shared/constants.js';
+
+/** Whether a refresh after an elapsed countdown is already in flight. */
+let refreshingCountdowns = false;
+
+/**
+ * Gets why a timer's last reload went wrong: the error of a failed reload or of an error page.
+ * @param {{failureCount?: number, lastError?: string|null, lastResult?: {ok: boolean, error: string|null}|null}} timer
+ * @returns {string} Empty if the last reload went fine.
+ */
+export function getFailureReason(timer) {
+    if (timer.failureCount > 0) return timer.lastError ?? '';
+    return timer.lastResult && !timer.lastResult.ok ? timer.lastResult.error ?? '' : '';
+}
+
+/**
+ * Builds the warning label for a timer whose last reloads failed or loaded an error page.
+ * @param {{failureCount?: number, lastError?: string|null, lastResult?: {ok: boolean, error: string|null}|null}} timer
+ * @param {boolean} [withReason=false] - Whether to append the error itself.
+ * @returns {string} Plain text, empty if the last reload went fine.
+ */
+export function renderFailures(timer, withReason = false) {
+    const reason = getFailureReason(timer);
+    let label;
+    if (timer.failureCount > 0) {
+        label = getMessage('reloadFailures').replace('{count}', timer.failureCount);
+    } else if (timer.lastResult && !timer.lastResult.ok) {
+        label = getMessage('errorPageLabel');
+    } else {
+        return '';
+    }
+    return withReason && reason ? `⚠ ${label}: ${reason}` : `⚠ ${label}`;
+}
+
+/**
+ * Updates every countdown, expiry and "ago" label on the page.
+ * Once a countdown has elapsed, calls `refresh` to pick up the next reload time, one refresh at a time.
+ * @param {() => Promise<unknown>} refresh - Re-fetches the timers shown on the page.
+ */
+export function updateCountdowns(refresh) {
+    const now = Date.now();
+    let elapsed = false;
+
+    document.querySelectorAll('[data-next]').forEach(element => {
+        const remaining = Number(element.dataset.next) - now;
+        element.textContent = getMessage('nextReloadIn').replace('{time}', formatCountdown(remaining));
+        if (remaining < -1000) elapsed = true;
+    });
+
+    document.querySelectorAll('[data-expires]').forEach(element => {
+        const remaining = Number(element.dataset.expires) - now;
+        element.textContent = getMessage('expiresIn').replace('{time}', formatCountdown(remaining));
+    });
+
+    document.querySelectorAll('[data-time]').forEach(element => {
+        const message = getMessage(element.dataset.message ?? 'lastReloadAgo');
+        element.textContent = message.replace('{time}', formatTimeAgo(Number(element.dataset.time)));
+    });
+
+    if (elapsed && !refreshingCountdowns) {
+        refreshingCountdowns = true;
+        refresh().finally(() => {
+            refreshingCountdowns = false;
+        });
+    }
+}
+
+/**
+ * Applies an interval edited in a timer row through the 'changeInterval' action, which keeps the rest of the
+ * timer as it is: a paused timer stays paused and its reload count and failure records are kept.
+ * A plain number is read as minutes. An invalid interval is flagged and left in the field to be fixed;
+ * otherwise the field is left and `refresh` runs once the change is applied or has failed, before the
+ * outcome is shown. A failed change puts the interval still in effect back in the field.
+ * @param {HTMLInputElement} input - The row's interval field, with the current interval in `data-interval`.
+ * @param {number} tabId - The row's tab ID.
+ * @param {() => Promise<unknown>} refresh - Re-fetches the timers shown on the page.
+ */
+export async function applyInterval(input, tabId, refresh) {
+    const intervalSeconds = parseDuration(input.value.trim());
+    const valid = Number.isInteger(intervalSeconds) && intervalSeconds >= MIN_INTERVAL_SECONDS;
+    input.classList.toggle('timer-item-interval-input--invalid', !valid);
+
+    if (!valid) {
+        showStatus(getMessage('invalidInterval'), true);
+        return;
+    }
+    if (intervalSeconds === Number(input.dataset.interval)) return;
+
+    let failed = false;
+    try {
+        await sendMessage({ action: 'changeInterval', tabId, intervalSeconds });
+    } catch (error) {
+        console.error('Error setting timer:', error);
+        failed = true;
+        input.value = formatInterval(Number(input.dataset.interval));
+    }
+    input.blur();
+    await refresh();
+    showStatus(failed
+        ? getMessage('errorSettingTimer')
+        : getMessage('timerSetStatus').replace('{interval}', formatInterval(intervalSeconds)), failed);
+}
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { resetAllMocks } from './setup.js';
 import { AlarmService } from '../src/services/AlarmService.js';
 
@@ -37,7 +37,7 @@ describe('AlarmService', () => {
 
     describe('schedule', () => {
         it('clears existing alarm and creates a new one for positive interval', async () => {
-            await AlarmService.schedule(42, 5);
+            await AlarmService.schedule(42, 300);
 
             expect(chrome.alarms.clear).toHaveBeenCalledWith('tab-reloader-alarm-42');
             expect(chrome.alarms.create).toHaveBeenCalledWith('tab-reloader-alarm-42', {
@@ -53,6 +53,47 @@ describe('AlarmService', () => {
             expect(chrome.alarms.create).not.toHaveBeenCalled();
         });
 
+        it('accepts seconds at or above the alarm minimum', async () => {
+            await AlarmService.schedule(42, 30);
+
+            expect(chrome.alarms.create).toHaveBeenCalledWith('tab-reloader-alarm-42', {
+                delayInMinutes: 0.5,
+                periodInMinutes: 0.5,
+            });
+        });
+
+        it('uses the precise timer for intervals under 30 seconds', async () => {
+            await AlarmService.schedule(42, 15);
+
+            expect(chrome.alarms.create).not.toHaveBeenCalledWith('tab-reloader-alarm-42', expect.anything());
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+                target: 'offscreen',
+                action: 'startTimer',
+                tabId: 42,
+                periodMs: 15000,
+                jitterMs: 0,
+            });
+        });
+
+        it('creates a one-shot alarm with a randomized delay when jitter is set', async () => {
+            vi.spyOn(Math, 'random').mockReturnValue(1);
+
+            await AlarmService.schedule(42, 600, { amount: 10, unit: 'percent' });
+
+            expect(chrome.alarms.create).toHaveBeenCalledWith('tab-reloader-alarm-42', { delayInMinutes: 11 });
+            Math.random.mockRestore();
+        });
+
+        it('passes the jitter spread to the precise timer', async () => {
+            await AlarmService.schedule(42, 15, { amount: 3, unit: 'seconds' });
+
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'startTimer',
+                periodMs: 15000,
+                jitterMs: 3000,
+            }));
+        });
+
         it('only clears alarm when interval is negative', async () => {
             await AlarmService.schedule(42, -1);
 
@@ -61,6 +102,79 @@ describe('AlarmService', () => {
         });
     });
 
+    describe('getJitterSpreadMs', () => {
+        it('converts percent and seconds to milliseconds', () => {
+            expect(AlarmService.getJitterSpreadMs(600, { amount: 10, unit: 'percent' })).toBe(60000);
+            expect(AlarmService.getJitterSpreadMs(600, { amount: 30, unit: 'seconds' })).toBe(30000);
+        });
+
+        it('returns 0 without a positive amount', () => {
+            expect(AlarmService.getJitterSpreadMs(600, null)).toBe(0);
+            expect(AlarmService.getJitterSpreadMs(600, { amount: 0, unit: 'seconds' })).toBe(0);
+        });
+    });
+
+    describe('getJitteredDelay', () => {
+        it('stays within the jitter range', () => {
+            vi.spyOn(Math, 'random').mockReturnValue(0);
+            expect(AlarmService.getJitteredDelay(600, { amount: 60, unit: 'seconds' })).toBe(9);
+            Math.random.mockReturnValue(0.5);
+            expect(AlarmService.getJitteredDelay(600, { amount: 60, unit: 'seconds' })).toBe(10);
+            Math.random.mockRestore();
+        });
+
+        it('never drops below the alarms minimum', () => {
+            vi.spyOn(Math, 'random').mockReturnValue(0);
+            expect(AlarmService.getJitteredDelay(60, { amount: 100, unit: 'percent' })).toBe(30 / 60);
+            expect(AlarmService.getJitteredDelay(30, { amount: 10, unit: 'seconds' })).toBe(30 / 60);
+            Math.random.mockRestore();
+        });
+
+        it('narrows the spread near the alarms minimum so it stays centered on the interval', () => {
+            vi.spyOn(Math, 'random').mockReturnValue(0);
+            expect(AlarmService.getJitteredDelay(40, { amount: 50, unit: 'percent' })).toBe(30 / 60);
+            Math.random.mockReturnValue(1);
+            expect(AlarmService.getJitteredDelay(40, { amount: 50, unit: 'percent' })).toBe(50 / 60);
+            Math.random.mockRestore();
+        });
+    });
+
+    describe('isPreciseInterval', () => {
+        it('returns true only for positive intervals under 30 seconds', () => {
+            expect(AlarmService.isPreciseInterval(15)).toBe(true);
+            expect(AlarmService.isPreciseInterval(30)).toBe(false);
+            expect(AlarmService.isPreciseInterval(300)).toBe(false);
+            expect(AlarmService.isPreciseInterval(0)).toBe(false);
+        });
+    });
+
+    describe('scheduleRetry', () => {
+        it('replaces the timer with a one-shot alarm', async () => {
+            await AlarmService.schedule(42, 300);
+
+            await AlarmService.scheduleRetry(42, 60);
+
+            const alarm = await chrome.alarms.get('tab-reloader-alarm-42');
+            expect(alarm.delayInMinutes).toBe(1);
+            expect(alarm.periodInMinutes).toBeUndefined();
+            expect(await AlarmService.hasAlarm(42)).toBe(true);
+        });
+
+        it('runs retries under the alarm minimum on a one-shot precise timer', async () => {
+            await AlarmService.scheduleRetry(42, 10);
+
+            expect(chrome.alarms.create).not.toHaveBeenCalledWith('tab-reloader-alarm-42', expect.anything());
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+                target: 'offscreen',
+                action: 'startTimer',
+                tabId: 42,
+                periodMs: 10000,
+                jitterMs: 0,
+                once: true,
+            });
+        });
+    });
+
     describe('clear', () => {
         it('clears alarm for specified tabId', async () => {
             await AlarmService.clear(42);
@@ -95,6 +209,40 @@ describe('AlarmService', () => {
         });
     });
 
+    describe('countActiveTimers', () => {
+        it('adds precise timers to the reloader alarm count', async () => {
+            chrome.alarms.getAll.mockResolvedValue([
+                { name: 'tab-reloader-alarm-1' },
+                { name: 'tab-reloader-keepalive' },
+            ]);
+            await chrome.offscreen.createDocument({});
+            chrome.runtime.sendMessage.mockResolvedValueOnce({
+                success: true,
+                timers: [{ tabId: 2, nextTick: 1 }, { tabId: 3, nextTick: 2 }],
+            });
+
+            expect(await AlarmService.countActiveTimers()).toBe(3);
+        });
+    });
+
+    describe('getNextReloadTimes', () => {
+        it('combines alarm and precise timer schedules', async () => {
+            chrome.alarms.getAll.mockResolvedValue([
+                { name: 'tab-reloader-alarm-1', scheduledTime: 5000 },
+                { name: 'tab-reloader-keepalive', scheduledTime: 1 },
+            ]);
+            await chrome.offscreen.createDocument({});
+            chrome.runtime.sendMessage.mockResolvedValueOnce({
+                success: true,
+                timers: [{ tabId: 2, nextTick: 7000 }],
+            });
+
+            const times = await AlarmService.getNextReloadTimes();
+
+            expect([...times]).toEqual([[1, 5000], [2, 7000]]);
+        });
+    });
+
     describe('clearAll', () => {
         it('clears all reloader alarms', async () => {
             chrome.alarms.getAll.mockResolvedValue([
@@ -1,5 +1,5 @@
 // tests/BadgeService.test.js
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { resetAllMocks } from './setup.js';
 import { BadgeService } from '../src/services/BadgeService.js';
 
@@ -12,7 +12,7 @@ describe('BadgeService', () => {
         it('sets badge text to alarm count when showBadge is true', async () => {
             // Set showBadge option
             await chrome.storage.local.set({
-                'tab-reloader-options': { showBadge: true, defaultInterval: 5, bypassCache: true },
+                'tab-reloader-options': { showBadge: true, defaultIntervalSeconds: 300, bypassCache: true },
             });
 
             // Mock active alarms
@@ -29,7 +29,7 @@ describe('BadgeService', () => {
 
         it('clears badge text when no alarms are active', async () => {
             await chrome.storage.local.set({
-                'tab-reloader-options': { showBadge: true, defaultInterval: 5, bypassCache: true },
+                'tab-reloader-options': { showBadge: true, defaultIntervalSeconds: 300, bypassCache: true },
             });
             chrome.alarms.getAll.mockResolvedValue([]);
 
@@ -40,7 +40,7 @@ describe('BadgeService', () => {
 
         it('clears badge text when showBadge is false', async () => {
             await chrome.storage.local.set({
-                'tab-reloader-options': { showBadge: false, defaultInterval: 5, bypassCache: true },
+                'tab-reloader-options': { showBadge: false, defaultIntervalSeconds: 300, bypassCache: true },
             });
 
             chrome.alarms.getAll.mockResolvedValue([
@@ -67,7 +67,7 @@ describe('BadgeService', () => {
 
         it('ignores non-reloader alarms in count', async () => {
             await chrome.storage.local.set({
-                'tab-reloader-options': { showBadge: true, defaultInterval: 5, bypassCache: true },
+                'tab-reloader-options': { showBadge: true, defaultIntervalSeconds: 300, bypassCache: true },
             });
 
             chrome.alarms.getAll.mockResolvedValue([
@@ -80,5 +80,274 @@ describe('BadgeService', () => {
 
             expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ text: '2' });
         });
+
+        it('shows the paused marker when all timers are paused', async () => {
+            chrome.alarms.getAll.mockResolvedValue([]);
+            await chrome.storage.local.set({
+                'tab-reloader-alarm-1': { intervalSeconds: 300 },
+                'tab-reloader-paused-all': true,
+            });
+
+            await BadgeService.updateBadge();
+
+            expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ text: '⏸' });
+            expect(chrome.action.setBadgeBackgroundColor).toHaveBeenCalledWith({ color: '#FFA000' });
+        });
+
+        it('shows the paused marker when the only timers are individually paused', async () => {
+            chrome.alarms.getAll.mockResolvedValue([]);
+            await chrome.storage.local.set({
+                'tab-reloader-alarm-1': { intervalSeconds: 300, paused: true },
+            });
+
+            await BadgeService.updateBadge();
+
+            expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ text: '⏸' });
+        });
+
+        it('keeps counting running timers when only some are paused', async () => {
+            chrome.alarms.getAll.mockResolvedValue([{ name: 'tab-reloader-alarm-2' }]);
+            await chrome.storage.local.set({
+                'tab-reloader-alarm-1': { intervalSeconds: 300, paused: true },
+                'tab-reloader-alarm-2': { intervalSeconds: 300 },
+            });
+
+            await BadgeService.updateBadge();
+
+            expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ text: '1' });
+        });
+
+        it('flags a changed page in blue', async () => {
+            chrome.alarms.getAll.mockResolvedValue([{ name: 'tab-reloader-alarm-1' }, { name: 'tab-reloader-alarm-2' }]);
+            await chrome.storage.local.set({
+                'tab-reloader-alarm-1': { intervalSeconds: 300, watch: { selector: '' }, changedAt: 1000 },
+                'tab-reloader-alarm-2': { intervalSeconds: 300 },
+            });
+
+            await BadgeService.updateBadge();
+
+            expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ text: '2!' });
+            expect(chrome.action.setBadgeBackgroundColor).toHaveBeenCalledWith({ color: '#2196F3' });
+        });
+    });
+
+    describe('state colors', () => {
+        beforeEach(() => {
+            chrome.alarms.getAll.mockResolvedValue([{ name: 'tab-reloader-alarm-1' }]);
+        });
+
+        it('turns red when a reload failed', async () => {
+            await chrome.storage.local.set({
+                'tab-reloader-alarm-1': { intervalSeconds: 300, lastResult: { ok: false, status: 502, error: 'HTTP 502' } },
+            });
+
+            await BadgeService.updateBadge();
+
+            expect(chrome.action.setBadgeBackgroundColor).toHaveBeenCalledWith({ color: '#F44336' });
+        });
+
+        it('uses the configured colors', async () => {
+            await chrome.storage.local.set({
+                'tab-reloader-options': {
+                    badgeColors: { healthy: '#000001', warning: '#000002', failed: '#000003', changed: '#000004' },
+                },
+                'tab-reloader-alarm-1': { intervalSeconds: 300 },
+            });
+
+            await BadgeService.updateBadge();
+
+            expect(chrome.action.setBadgeBackgroundColor).toHaveBeenCalledWith({ color: '#000001' });
+        });
+
+        it('tints the icon with the state color until tinting is turned off', async () => {
+            const context = {
+                drawImage: vi.fn(),
+                fillRect: vi.fn(),
+                getImageData: vi.fn(() => ({ tinted: context.fillStyle })),
+            };
+            vi.stubGlobal('fetch', vi.fn(async () => ({ blob: async () => new Blob() })));
+            vi.stubGlobal('createImageBitmap', vi.fn(async () => ({})));
+            vi.stubGlobal('OffscreenCanvas', class { getContext() { return context; } });
+            await chrome.storage.local.set({
+                'tab-reloader-options': { tintIcon: true },
+                'tab-reloader-alarm-1': { intervalSeconds: 300, changedAt: 1000 },
+            });
+
+            await BadgeService.updateBadge();
+            vi.unstubAllGlobals();
+
+            expect(chrome.action.setIcon).toHaveBeenCalledWith({
+                imageData: { 16: { tinted: '#2196F3' }, 32: { tinted: '#2196F3' } },
+            });
+
+            await chrome.storage.local.set({ 'tab-reloader-options': { tintIcon: false } });
+            await BadgeService.updateBadge();
+
+            expect(chrome.action.setIcon).toHaveBeenLastCalledWith({ path: BadgeService.ICON_PATHS });
+        });
+    });
+
+    describe('getState', () => {
+        it('is healthy without timers or problems', () => {
+            expect(BadgeService.getState([], false)).toBe('healthy');
+            expect(BadgeService.getState([{ intervalSeconds: 300 }], false)).toBe('healthy');
+        });
+
+        it('warns about paused and retrying timers', () => {
+            expect(BadgeService.getState([{ intervalSeconds: 300 }], true)).toBe('warning');
+            expect(BadgeService.getState([{ intervalSeconds: 300, paused: true }], false)).toBe('warning');
+            expect(BadgeService.getState([{ intervalSeconds: 300, failureCount: 1, lastResult: { ok: false } }], false))
+                .toBe('warning');
+        });
+
+        it('reports failures once the retries are used up', () => {
+            const timer = { intervalSeconds: 300, failureCount: 4, lastResult: { ok: false } };
+
+            expect(BadgeService.getState([timer], false)).toBe('failed');
+        });
+
+        it('picks the most urgent state', () => {
+            const timers = [{ intervalSeconds: 300, paused: true }, { intervalSeconds: 300, changedAt: 1 }];
+
+            expect(BadgeService.getState(timers, false)).toBe('changed');
+            expect(BadgeService.getState([...timers, { intervalSeconds: 300, lastResult: { ok: false } }], false)).toBe('failed');
+        });
+    });
+
+    describe('countdown mode', () => {
+        const NOW = 1_700_000_000_000;
+
+        beforeEach(async () => {
+            vi.useFakeTimers();
+            vi.setSystemTime(NOW);
+            await chrome.storage.local.set({ 'tab-reloader-options': { badgeMode: 'countdown' } });
+            chrome.tabs._setTabs([{ id: 1, active: true }]);
+            chrome.alarms.getAll.mockResolvedValue([]);
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it("shows the active tab's countdown instead of the count", async () => {
+            await chrome.storage.local.set({ 'tab-reloader-alarm-1': { intervalSeconds: 300 } });
+            chrome.alarms.getAll.mockResolvedValue([{ name: 'tab-reloader-alarm-1', scheduledTime: NOW + 45_000 }]);
+
+            await BadgeService.updateBadge();
+
+            expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ text: '' });
+            expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ tabId: 1, text: '45s' });
+            expect(await chrome.alarms.get('tab-reloader-badge-tick')).toBeDefined();
+        });
+
+        it('refreshes when the countdown text changes', async () => {
+            await chrome.storage.local.set({ 'tab-reloader-alarm-1': { intervalSeconds: 300 } });
+            chrome.alarms.getAll.mockResolvedValue([{ name: 'tab-reloader-alarm-1', scheduledTime: NOW + 45_500 }]);
+
+            await BadgeService.updateBadge();
+            expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: 1, text: '46s' });
+
+            await vi.advanceTimersByTimeAsync(500);
+            expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: 1, text: '45s' });
+            await vi.advanceTimersByTimeAsync(1000);
+            expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: 1, text: '44s' });
+        });
+
+        it('shows the paused marker for a paused timer', async () => {
+            await chrome.storage.local.set({ 'tab-reloader-alarm-1': { intervalSeconds: 300, paused: true } });
+
+            await BadgeService.updateBadge();
+
+            expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ tabId: 1, text: '⏸' });
+        });
+
+        it('shows the error marker after a failed reload', async () => {
+            await chrome.storage.local.set({ 'tab-reloader-alarm-1': { intervalSeconds: 300, failureCount: 1 } });
+            chrome.alarms.getAll.mockResolvedValue([{ name: 'tab-reloader-alarm-1', scheduledTime: NOW + 30_000 }]);
+
+            await BadgeService.updateBadge();
+
+            expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ tabId: 1, text: '✕' });
+        });
+
+        it('leaves tabs without a timer blank', async () => {
+            await BadgeService.updateBadge();
+
+            expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ tabId: 1, text: '' });
+        });
+
+        it('clears the tab badges when switching back to the count', async () => {
+            await BadgeService.updateBadge();
+            await chrome.storage.local.set({ 'tab-reloader-options': { badgeMode: 'count' } });
+
+            await BadgeService.updateBadge();
+
+            expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ tabId: 1, text: null });
+            expect(await chrome.alarms.get('tab-reloader-badge-tick')).toBeUndefined();
+        });
+    });
+
+    describe('formatCountdown', () => {
+        it('uses the largest unit that fits the badge', () => {
+            expect(BadgeService.formatCountdown(45_000)).toBe('45s');
+            expect(BadgeService.formatCountdown(59_001)).toBe('1m');
+            expect(BadgeService.formatCountdown(150_000)).toBe('3m');
+            expect(BadgeService.formatCountdown(90 * 60_000)).toBe('1h');
+            expect(BadgeService.formatCountdown(50 * 3_600_000)).toBe('2d');
+        });
+
+        it('never shows a negative time', () => {
+            expect(BadgeService.formatCountdown(-2000)).toBe('0s');
+        });
+    });
+
+    describe('getRefreshDelay', () => {
+        it('waits until the displayed value changes', () => {
+            expect(BadgeService.getRefreshDelay(45_300)).toBe(300);
+            expect(BadgeService.getRefreshDelay(150_000)).toBe(30_000);
+            expect(BadgeService.getRefreshDelay(60_000)).toBe(1000);
+            expect(BadgeService.getRefreshDelay(0)).toBe(1000);
+        });
+    });
+
+    describe('flash', () => {
+        beforeEach(() => {
+            vi.useFakeTimers();
+            chrome.tabs._setTabs([{ id: 1, active: true }, { id: 2, active: false }]);
+            chrome.alarms.getAll.mockResolvedValue([]);
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('shows the text on the tab and clears it after a moment', async () => {
+            await BadgeService.flash(1, 'OFF');
+            expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: 1, text: 'OFF' });
+
+            await vi.advanceTimersByTimeAsync(BadgeService.FLASH_MS);
+
+            expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ tabId: 1, text: null });
+        });
+
+        it('is not overwritten by the countdown while it shows', async () => {
+            await chrome.storage.local.set({ 'tab-reloader-options': { badgeMode: 'countdown' } });
+            await BadgeService.flash(1, '↻');
+
+            await BadgeService.updateBadge();
+            expect(chrome.action.setBadgeText).not.toHaveBeenCalledWith({ tabId: 1, text: '' });
+
+            chrome.action.setBadgeText.mockClear();
+            await vi.advanceTimersByTimeAsync(BadgeService.FLASH_MS);
+            expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ tabId: 1, text: '' });
+        });
+
+        it('clears an earlier flash on another tab', async () => {
+            await BadgeService.flash(2, '▶');
+            await BadgeService.flash(1, '⏸');
+
+            expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ tabId: 2, text: null });
+            await vi.advanceTimersByTimeAsync(BadgeService.FLASH_MS);
+        });
     });
 });
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetAllMocks } from './setup.js';
+import { ContentService } from '../src/services/ContentService.js';
+
+describe('ContentService', () => {
+    beforeEach(() => {
+        resetAllMocks();
+    });
+
+    describe('captureText', () => {
+        it('injects the capture function with the selector', async () => {
+            chrome.scripting._setResult({ text: 'In stock', found: true });
+
+            const text = await ContentService.captureText(42, '#status');
+
+            expect(text).toBe('In stock');
+            expect(chrome.scripting.executeScript).toHaveBeenCalledWith({
+                target: { tabId: 42 },
+                func: expect.any(Function),
+                args: ['#status'],
+            });
+        });
+
+        it('captures the whole page when no selector is given', async () => {
+            chrome.scripting._setResult({ text: 'body', found: true });
+
+            await ContentService.captureText(42);
+
+            expect(chrome.scripting.executeScript).toHaveBeenCalledWith(expect.objectContaining({ args: [''] }));
+        });
+
+        it('throws when the selector is invalid', async () => {
+            chrome.scripting._setResult({ error: "'##' is not a valid selector" });
+
+            await expect(ContentService.captureText(42, '##')).rejects.toThrow('not a valid selector');
+        });
+
+        it('throws when the script cannot run in the tab', async () => {
+            chrome.scripting.executeScript.mockRejectedValueOnce(new Error('Cannot access contents of the page'));
+
+            await expect(ContentService.captureText(42)).rejects.toThrow('Cannot access');
+        });
+    });
+
+    describe('clickElement / reloadFrame', () => {
+        it('injects the action with the selector', async () => {
+            chrome.scripting._setResult({ done: true });
+
+            await ContentService.clickElement(42, 'button.refresh');
+            await ContentService.reloadFrame(42, 'iframe#chart');
+
+            expect(chrome.scripting.executeScript).toHaveBeenCalledWith({
+                target: { tabId: 42 },
+                func: expect.any(Function),
+                args: ['button.refresh'],
+            });
+            expect(chrome.scripting.executeScript).toHaveBeenCalledWith(expect.objectContaining({ args: ['iframe#chart'] }));
+        });
+
+        it('throws when the page reports an error', async () => {
+            chrome.scripting._setResult({ error: 'Nothing matches button.refresh' });
+
+            await expect(ContentService.clickElement(42, 'button.refresh')).rejects.toThrow('Nothing matches');
+        });
+
+        it('throws when the script returns nothing', async () => {
+            chrome.scripting._setResult(null);
+
+            await expect(ContentService.reloadFrame(42, 'iframe')).rejects.toThrow('Could not run the reload');
+        });
+    });
+
+    describe('hashText', () => {
+        it('returns a SHA-256 hex digest', async () => {
+            const hash = await ContentService.hashText('abc');
+
+            expect(hash).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+        });
+
+        it('ignores differences in whitespace only', async () => {
+            expect(await ContentService.hashText('  In\n  stock ')).toBe(await ContentService.hashText('In stock'));
+        });
+
+        it('changes when the text changes', async () => {
+            expect(await ContentService.hashText('In stock')).not.toBe(await ContentService.hashText('Sold out'));
+        });
+    });
+});
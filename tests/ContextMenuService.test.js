@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetAllMocks } from './setup.js';
+import { ContextMenuService } from '../src/services/ContextMenuService.js';
+
+describe('ContextMenuService', () => {
+    const PRESETS = [60, 300, 900];
+    const TAB = { id: 1, url: 'https://a.test/' };
+
+    beforeEach(async () => {
+        resetAllMocks();
+        await ContextMenuService.build(PRESETS);
+    });
+
+    describe('build', () => {
+        it('creates one entry per preset under "Reload every"', () => {
+            expect(chrome.contextMenus._getIds()).toEqual([
+                'reload-every', 'reload-every-60', 'reload-every-300', 'reload-every-900',
+                'reload-every-custom', 'pause', 'stop',
+            ]);
+            expect(chrome.contextMenus._getItem('reload-every-300')).toMatchObject({
+                parentId: 'reload-every', type: 'checkbox', title: '5 min', contexts: ['page', 'action'],
+            });
+        });
+
+        it('replaces the entries of an earlier build', async () => {
+            await ContextMenuService.build([30]);
+
+            expect(chrome.contextMenus.removeAll).toHaveBeenCalled();
+            expect(chrome.contextMenus._getItem('reload-every-60')).toBeUndefined();
+            expect(chrome.contextMenus._getItem('reload-every-30')).toBeDefined();
+        });
+    });
+
+    describe('sync', () => {
+        it("checks the preset matching the tab's timer", async () => {
+            await ContextMenuService.sync(TAB, { intervalSeconds: 300 }, PRESETS);
+
+            expect(chrome.contextMenus._getItem('reload-every-300').checked).toBe(true);
+            expect(chrome.contextMenus._getItem('reload-every-60').checked).toBe(false);
+            expect(chrome.contextMenus._getItem('reload-every-custom').checked).toBe(false);
+            expect(chrome.contextMenus._getItem('pause')).toMatchObject({ checked: false, enabled: true });
+            expect(chrome.contextMenus._getItem('stop').enabled).toBe(true);
+        });
+
+        it('checks "Custom" with the interval for one that is not a preset', async () => {
+            await ContextMenuService.sync(TAB, { intervalSeconds: 5400, paused: true }, PRESETS);
+
+            expect(chrome.contextMenus._getItem('reload-every-custom')).toMatchObject({
+                checked: true,
+                title: 'menuCustomIntervalSet',
+            });
+            expect(chrome.contextMenus._getItem('pause').checked).toBe(true);
+        });
+
+        it('disables "Pause" and "Stop reloading" without a timer', async () => {
+            await ContextMenuService.sync(TAB, { intervalSeconds: 0 }, PRESETS);
+
+            expect(PRESETS.some(preset => chrome.contextMenus._getItem(`reload-every-${preset}`).checked)).toBe(false);
+            expect(chrome.contextMenus._getItem('pause')).toMatchObject({ checked: false, enabled: false });
+            expect(chrome.contextMenus._getItem('stop').enabled).toBe(false);
+        });
+
+        it('disables everything on a browser page', async () => {
+            await ContextMenuService.sync({ id: 2, url: 'chrome://settings/' }, { intervalSeconds: 300 }, PRESETS);
+
+            expect(chrome.contextMenus._getItem('reload-every').enabled).toBe(false);
+            expect(chrome.contextMenus._getItem('stop').enabled).toBe(false);
+        });
+
+        it('does not throw while the entries are missing', async () => {
+            await chrome.contextMenus.removeAll();
+
+            await expect(ContextMenuService.sync(TAB, null, PRESETS)).resolves.toBeUndefined();
+        });
+    });
+
+    describe('getRequest', () => {
+        it('turns entries into message requests', () => {
+            expect(ContextMenuService.getRequest('reload-every-900', true)).toEqual({ action: 'setTimer', intervalSeconds: 900 });
+            expect(ContextMenuService.getRequest('pause', true)).toEqual({ action: 'pauseTimer', paused: true });
+            expect(ContextMenuService.getRequest('pause', false)).toEqual({ action: 'pauseTimer', paused: false });
+            expect(ContextMenuService.getRequest('stop')).toEqual({ action: 'setTimer', intervalSeconds: 0 });
+        });
+
+        it('returns null for "Custom" and unknown entries', () => {
+            expect(ContextMenuService.getRequest('reload-every-custom', true)).toBeNull();
+            expect(ContextMenuService.getRequest('reload-every')).toBeNull();
+            expect(ContextMenuService.getRequest('something-else')).toBeNull();
+        });
+
+        it('returns null for the preset that is already the current interval', () => {
+            expect(ContextMenuService.getRequest('reload-every-900', false, true)).toBeNull();
+            expect(ContextMenuService.getRequest('reload-every-900', true, false)).toEqual({ action: 'setTimer', intervalSeconds: 900 });
+        });
+    });
+});
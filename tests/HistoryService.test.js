@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { HistoryService } from '../src/services/HistoryService.js';
+
+const entry = (overrides = {}) => ({
+    time: Date.UTC(2024, 0, 5, 12, 0, 0),
+    tabId: 1,
+    url: 'https://dash.example.com/',
+    title: 'Dashboard',
+    source: 'alarm',
+    ok: true,
+    status: 200,
+    error: null,
+    durationMs: 850,
+    ...overrides,
+});
+
+describe('HistoryService', () => {
+    describe('filter', () => {
+        const entries = [
+            entry(),
+            entry({ url: 'https://shop.test/', title: 'Shop', source: 'manual' }),
+            entry({ source: 'rule', ok: false, status: 502, error: 'HTTP 502' }),
+        ];
+
+        it('returns everything without a filter', () => {
+            expect(HistoryService.filter(entries)).toHaveLength(3);
+            expect(HistoryService.filter(entries, { query: '  ', source: '', outcome: '' })).toHaveLength(3);
+        });
+
+        it('matches text in the URL or title, ignoring case', () => {
+            expect(HistoryService.filter(entries, { query: 'SHOP' })).toEqual([entries[1]]);
+            expect(HistoryService.filter(entries, { query: 'dash.example' })).toHaveLength(2);
+        });
+
+        it('filters by source and outcome', () => {
+            expect(HistoryService.filter(entries, { source: 'manual' })).toEqual([entries[1]]);
+            expect(HistoryService.filter(entries, { outcome: 'error' })).toEqual([entries[2]]);
+            expect(HistoryService.filter(entries, { outcome: 'ok', source: 'rule' })).toEqual([]);
+        });
+    });
+
+    describe('toCsv', () => {
+        it('writes a header row and one row per entry', () => {
+            const csv = HistoryService.toCsv([entry()]);
+
+            expect(csv.split('\r\n')).toEqual([
+                'time,tabId,url,title,source,ok,status,error,durationMs',
+                '2024-01-05T12:00:00.000Z,1,https://dash.example.com/,Dashboard,alarm,true,200,,850',
+            ]);
+        });
+
+        it('quotes fields with commas, quotes or line breaks', () => {
+            const csv = HistoryService.toCsv([entry({ title: 'Sales, "live"\nview' })]);
+
+            expect(csv).toContain('"Sales, ""live""\nview"');
+        });
+    });
+
+    describe('serialize', () => {
+        it('exports CSV or JSON', () => {
+            expect(HistoryService.serialize([entry()], 'csv').mimeType).toBe('text/csv');
+
+            const json = HistoryService.serialize([entry()], 'json');
+            expect(json.mimeType).toBe('application/json');
+            expect(JSON.parse(json.content)).toEqual([entry()]);
+        });
+    });
+});
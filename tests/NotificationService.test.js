@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetAllMocks } from './setup.js';
+import { NotificationService } from '../src/services/NotificationService.js';
+
+describe('NotificationService', () => {
+    beforeEach(() => {
+        resetAllMocks();
+    });
+
+    describe('getNotificationId / parseTabId', () => {
+        it('round-trips the tab ID', () => {
+            const id = NotificationService.getNotificationId(42, 'contentChanged');
+
+            expect(id).toBe('tab-reloader-notification-42-contentChanged');
+            expect(NotificationService.parseTabId(id)).toBe(42);
+        });
+
+        it('ignores notifications from elsewhere', () => {
+            expect(NotificationService.parseTabId('other-notification')).toBeNull();
+        });
+    });
+
+    describe('getSetting', () => {
+        it('falls back to the default for events without a saved setting', () => {
+            const setting = NotificationService.getSetting({ notifications: { reloadFailed: { notify: false } } }, 'reloadFailed');
+
+            expect(setting).toEqual({ notify: false, sound: false });
+            expect(NotificationService.getSetting({}, 'keywordMatched')).toEqual({ notify: true, sound: true });
+        });
+    });
+
+    describe('notify', () => {
+        const details = { tabId: 42, title: 'Page changed', message: 'Dashboard' };
+
+        it('shows a notification for an enabled event', async () => {
+            await NotificationService.notify('contentChanged', details);
+
+            expect(chrome.notifications.create).toHaveBeenCalledWith('tab-reloader-notification-42-contentChanged', {
+                type: 'basic',
+                iconUrl: 'chrome-extension://test-id/icons/icon128.png',
+                title: 'Page changed',
+                message: 'Dashboard',
+            });
+            expect(chrome.runtime.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ action: 'playSound' }));
+        });
+
+        it('plays the sound when enabled', async () => {
+            await chrome.storage.local.set({
+                'tab-reloader-options': { notifications: { contentChanged: { notify: false, sound: true } } },
+            });
+
+            await NotificationService.notify('contentChanged', details);
+
+            expect(chrome.notifications.create).not.toHaveBeenCalled();
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ target: 'offscreen', action: 'playSound' });
+        });
+
+        it('does nothing for a disabled event', async () => {
+            await NotificationService.notify('timerExpired', details);
+
+            expect(chrome.notifications.create).not.toHaveBeenCalled();
+            expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+        });
+
+        it('follows the timer\'s own settings over the options page', async () => {
+            const settings = { notifications: { timerExpired: { notify: true, sound: false } } };
+
+            await NotificationService.notify('timerExpired', { ...details, settings });
+            await NotificationService.notify('contentChanged', {
+                ...details,
+                settings: { notifications: { contentChanged: { notify: false, sound: false } } },
+            });
+
+            expect(chrome.notifications.create).toHaveBeenCalledTimes(1);
+            expect(chrome.notifications.create).toHaveBeenCalledWith(
+                'tab-reloader-notification-42-timerExpired', expect.any(Object));
+        });
+
+        it('swallows notification errors', async () => {
+            chrome.notifications.create.mockRejectedValueOnce(new Error('boom'));
+
+            await expect(NotificationService.notify('contentChanged', details)).resolves.toBeUndefined();
+        });
+    });
+});
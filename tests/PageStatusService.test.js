@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { PageStatusService } from '../src/services/PageStatusService.js';
+
+describe('PageStatusService', () => {
+    const url = 'https://shop.example.com/item';
+
+    it('reports a clean load', () => {
+        PageStatusService.begin(1, url);
+        PageStatusService.recordResponse({ tabId: 1, url, statusCode: 200 });
+
+        expect(PageStatusService.finish(1)).toEqual({ ok: true, status: 200, error: null });
+    });
+
+    it('reports HTTP errors', () => {
+        PageStatusService.begin(1, url);
+        PageStatusService.recordResponse({ tabId: 1, url, statusCode: 502 });
+
+        expect(PageStatusService.finish(1)).toEqual({ ok: false, status: 502, error: 'HTTP 502' });
+    });
+
+    it('reports network errors', () => {
+        PageStatusService.begin(1, url);
+        PageStatusService.recordError({ tabId: 1, error: 'net::ERR_NAME_NOT_RESOLVED' });
+
+        expect(PageStatusService.finish(1)).toEqual({ ok: false, status: null, error: 'net::ERR_NAME_NOT_RESOLVED' });
+    });
+
+    it('ignores aborted loads', () => {
+        PageStatusService.begin(1, url);
+        PageStatusService.recordError({ tabId: 1, error: 'net::ERR_ABORTED' });
+
+        expect(PageStatusService.finish(1).ok).toBe(true);
+    });
+
+    it('reports a redirect to another site', () => {
+        PageStatusService.begin(1, url);
+        PageStatusService.recordResponse({ tabId: 1, url: 'http://portal.hotel.test/login', statusCode: 200 });
+
+        expect(PageStatusService.finish(1)).toEqual({ ok: false, status: 200, error: 'Redirected to portal.hotel.test' });
+    });
+
+    it('allows redirects within the same site', () => {
+        PageStatusService.begin(1, 'https://example.com/');
+        PageStatusService.recordResponse({ tabId: 1, url: 'https://www.example.com/', statusCode: 200 });
+
+        expect(PageStatusService.finish(1).ok).toBe(true);
+    });
+
+    it('ignores events for tabs that are not being reloaded', () => {
+        PageStatusService.recordResponse({ tabId: 2, url, statusCode: 500 });
+        PageStatusService.begin(1, url);
+
+        expect(PageStatusService.finish(1)).toEqual({ ok: true, status: null, error: null });
+        expect(PageStatusService.finish(2)).toEqual({ ok: true, status: null, error: null });
+    });
+
+    it('stops tracking once finished', () => {
+        PageStatusService.begin(1, url);
+        PageStatusService.finish(1);
+        PageStatusService.recordResponse({ tabId: 1, url, statusCode: 500 });
+
+        expect(PageStatusService.finish(1).ok).toBe(true);
+    });
+});
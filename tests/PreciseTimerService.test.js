@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetAllMocks } from './setup.js';
+import { PreciseTimerService } from '../src/services/PreciseTimerService.js';
+
+describe('PreciseTimerService', () => {
+    beforeEach(() => {
+        resetAllMocks();
+    });
+
+    describe('ensureDocument', () => {
+        it('creates the offscreen document when none is open', async () => {
+            const created = await PreciseTimerService.ensureDocument();
+
+            expect(created).toBe(true);
+            expect(chrome.offscreen.createDocument).toHaveBeenCalledWith(expect.objectContaining({
+                url: 'src/offscreen.html',
+                reasons: ['WORKERS', 'AUDIO_PLAYBACK'],
+            }));
+        });
+
+        it('does nothing when the document is already open', async () => {
+            await PreciseTimerService.ensureDocument();
+            chrome.offscreen.createDocument.mockClear();
+
+            const created = await PreciseTimerService.ensureDocument();
+
+            expect(created).toBe(false);
+            expect(chrome.offscreen.createDocument).not.toHaveBeenCalled();
+        });
+
+        it('creates only one document for concurrent callers', async () => {
+            await Promise.all([
+                PreciseTimerService.ensureDocument(),
+                PreciseTimerService.ensureDocument(),
+            ]);
+
+            expect(chrome.offscreen.createDocument).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('playSound', () => {
+        it('opens the document and asks it to play the alert sound', async () => {
+            await PreciseTimerService.playSound();
+
+            expect(chrome.offscreen.createDocument).toHaveBeenCalled();
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ target: 'offscreen', action: 'playSound' });
+        });
+    });
+
+    describe('startOnce', () => {
+        it('sends a one-shot startTimer command and keeps the document alive', async () => {
+            await PreciseTimerService.startOnce(42, 10000);
+
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+                target: 'offscreen',
+                action: 'startTimer',
+                tabId: 42,
+                periodMs: 10000,
+                jitterMs: 0,
+                once: true,
+            });
+            expect(chrome.alarms.create).toHaveBeenCalledWith('tab-reloader-keepalive', { periodInMinutes: 0.5 });
+        });
+    });
+
+    describe('start', () => {
+        it('sends a startTimer command to the offscreen document', async () => {
+            await PreciseTimerService.start(42, 10000);
+
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+                target: 'offscreen',
+                action: 'startTimer',
+                tabId: 42,
+                periodMs: 10000,
+                jitterMs: 0,
+            });
+        });
+
+        it('creates the keep-alive alarm', async () => {
+            await PreciseTimerService.start(42, 10000);
+
+            expect(chrome.alarms.create).toHaveBeenCalledWith('tab-reloader-keepalive', { periodInMinutes: 0.5 });
+        });
+
+        it('does not recreate an existing keep-alive alarm', async () => {
+            await PreciseTimerService.start(1, 10000);
+            chrome.alarms.create.mockClear();
+
+            await PreciseTimerService.start(2, 10000);
+
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('stop', () => {
+        it('does nothing when no document is open', async () => {
+            await PreciseTimerService.stop(42);
+
+            expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+        });
+
+        it('keeps the document open while other timers remain', async () => {
+            await PreciseTimerService.start(42, 10000);
+            chrome.runtime.sendMessage.mockResolvedValueOnce({ success: true, remaining: 1 });
+
+            await PreciseTimerService.stop(42);
+
+            expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith({
+                target: 'offscreen',
+                action: 'stopTimer',
+                tabId: 42,
+            });
+            expect(chrome.offscreen.closeDocument).not.toHaveBeenCalled();
+        });
+
+        it('closes the document and keep-alive alarm when the last timer stops', async () => {
+            await PreciseTimerService.start(42, 10000);
+            chrome.runtime.sendMessage.mockResolvedValueOnce({ success: true, remaining: 0 });
+
+            await PreciseTimerService.stop(42);
+
+            expect(chrome.offscreen.closeDocument).toHaveBeenCalled();
+            expect(chrome.alarms.clear).toHaveBeenCalledWith('tab-reloader-keepalive');
+        });
+    });
+
+    describe('getActiveTabIds', () => {
+        it('returns an empty array when no document is open', async () => {
+            expect(await PreciseTimerService.getActiveTabIds()).toEqual([]);
+        });
+
+        it('returns the tab IDs reported by the document', async () => {
+            await PreciseTimerService.ensureDocument();
+            chrome.runtime.sendMessage.mockResolvedValueOnce({
+                success: true,
+                timers: [{ tabId: 1, nextTick: 1000 }, { tabId: 2, nextTick: 2000 }],
+            });
+
+            expect(await PreciseTimerService.getActiveTabIds()).toEqual([1, 2]);
+        });
+    });
+
+    describe('getNextTickTimes', () => {
+        it('returns an empty map when no document is open', async () => {
+            expect((await PreciseTimerService.getNextTickTimes()).size).toBe(0);
+        });
+
+        it('maps tab IDs to their next tick', async () => {
+            await PreciseTimerService.ensureDocument();
+            chrome.runtime.sendMessage.mockResolvedValueOnce({
+                success: true,
+                timers: [{ tabId: 1, nextTick: 1000 }],
+            });
+
+            const times = await PreciseTimerService.getNextTickTimes();
+
+            expect(times.get(1)).toBe(1000);
+        });
+    });
+});
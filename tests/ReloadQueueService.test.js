@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { ReloadQueueService } from '../src/services/ReloadQueueService.js';
+
+/**
+ * Creates a task whose completion is controlled by the test.
+ * @returns {{task: () => Promise<void>, finish: () => void, started: boolean}}
+ */
+function deferredTask() {
+    const entry = { started: false };
+    const done = new Promise(resolve => { entry.finish = resolve; });
+    entry.task = () => {
+        entry.started = true;
+        return done;
+    };
+    return entry;
+}
+
+/** Lets pending promise callbacks run. */
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('ReloadQueueService', () => {
+    it('runs tasks straight away while under the limit', async () => {
+        const a = deferredTask();
+        const b = deferredTask();
+
+        const runs = [ReloadQueueService.run(1, 2, a.task), ReloadQueueService.run(2, 2, b.task)];
+        await flush();
+
+        expect(a.started).toBe(true);
+        expect(b.started).toBe(true);
+        a.finish();
+        b.finish();
+        await expect(Promise.all(runs)).resolves.toEqual([true, true]);
+    });
+
+    it('queues tasks beyond the limit in arrival order', async () => {
+        const a = deferredTask();
+        const b = deferredTask();
+        const c = deferredTask();
+
+        const runs = [
+            ReloadQueueService.run(1, 1, a.task),
+            ReloadQueueService.run(2, 1, b.task),
+            ReloadQueueService.run(3, 1, c.task),
+        ];
+        await flush();
+
+        expect([a.started, b.started, c.started]).toEqual([true, false, false]);
+        expect(ReloadQueueService.getWaitingCount()).toBe(2);
+
+        a.finish();
+        await flush();
+        expect([b.started, c.started]).toEqual([true, false]);
+
+        b.finish();
+        await flush();
+        expect(c.started).toBe(true);
+
+        c.finish();
+        await Promise.all(runs);
+        expect(ReloadQueueService.getWaitingCount()).toBe(0);
+    });
+
+    it('skips a tab that is already queued or running', async () => {
+        const a = deferredTask();
+        const duplicate = deferredTask();
+
+        const first = ReloadQueueService.run(1, 1, a.task);
+        const second = await ReloadQueueService.run(1, 1, duplicate.task);
+
+        expect(second).toBe(false);
+        expect(duplicate.started).toBe(false);
+        a.finish();
+        await expect(first).resolves.toBe(true);
+    });
+
+    it('frees the slot when a task fails', async () => {
+        const next = deferredTask();
+
+        const failing = ReloadQueueService.run(1, 1, () => Promise.reject(new Error('gone')));
+        const queued = ReloadQueueService.run(2, 1, next.task);
+
+        await expect(failing).rejects.toThrow('gone');
+        await flush();
+        expect(next.started).toBe(true);
+        next.finish();
+        await queued;
+    });
+});
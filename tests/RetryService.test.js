@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { RetryService } from '../src/services/RetryService.js';
+import { DEFAULT_FAILURE_POLICY } from '../src/shared/constants.js';
+
+describe('RetryService', () => {
+    const policy = { retries: 3, backoffSeconds: 30, giveUp: 'pause' };
+
+    describe('getPolicy', () => {
+        it('falls back to the default policy', () => {
+            expect(RetryService.getPolicy(null)).toEqual(DEFAULT_FAILURE_POLICY);
+            expect(RetryService.getPolicy({ intervalSeconds: 300 })).toEqual(DEFAULT_FAILURE_POLICY);
+        });
+
+        it('returns the timer\'s own policy', () => {
+            const own = { retries: 1, backoffSeconds: 10, giveUp: 'remove' };
+
+            expect(RetryService.getPolicy({ failurePolicy: own })).toEqual(own);
+        });
+    });
+
+    describe('isValidPolicy', () => {
+        it('accepts well-formed policies', () => {
+            expect(RetryService.isValidPolicy(policy)).toBe(true);
+            expect(RetryService.isValidPolicy({ ...policy, retries: 0, giveUp: 'continue' })).toBe(true);
+        });
+
+        it('rejects bad counts, delays and actions', () => {
+            expect(RetryService.isValidPolicy({ ...policy, retries: -1 })).toBe(false);
+            expect(RetryService.isValidPolicy({ ...policy, retries: 1.5 })).toBe(false);
+            expect(RetryService.isValidPolicy({ ...policy, retries: 11 })).toBe(false);
+            expect(RetryService.isValidPolicy({ ...policy, backoffSeconds: 0 })).toBe(false);
+            expect(RetryService.isValidPolicy({ ...policy, giveUp: 'explode' })).toBe(false);
+            expect(RetryService.isValidPolicy(null)).toBe(false);
+        });
+    });
+
+    describe('hasRetriesLeft / isGivingUp', () => {
+        it('retries up to the limit, then gives up once', () => {
+            expect(RetryService.hasRetriesLeft(policy, 1)).toBe(true);
+            expect(RetryService.hasRetriesLeft(policy, 3)).toBe(true);
+            expect(RetryService.hasRetriesLeft(policy, 4)).toBe(false);
+
+            expect(RetryService.isGivingUp(policy, 3)).toBe(false);
+            expect(RetryService.isGivingUp(policy, 4)).toBe(true);
+            expect(RetryService.isGivingUp(policy, 5)).toBe(false);
+        });
+
+        it('gives up on the first failure without retries', () => {
+            const noRetries = { ...policy, retries: 0 };
+
+            expect(RetryService.hasRetriesLeft(noRetries, 1)).toBe(false);
+            expect(RetryService.isGivingUp(noRetries, 1)).toBe(true);
+        });
+    });
+
+    describe('getRetryDelay', () => {
+        it('doubles the backoff for each retry', () => {
+            expect(RetryService.getRetryDelay(policy, 1, 3600)).toBe(30);
+            expect(RetryService.getRetryDelay(policy, 2, 3600)).toBe(60);
+            expect(RetryService.getRetryDelay(policy, 3, 3600)).toBe(120);
+        });
+
+        it('never waits longer than the timer\'s interval', () => {
+            expect(RetryService.getRetryDelay(policy, 3, 60)).toBe(60);
+        });
+    });
+});
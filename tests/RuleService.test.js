@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { RuleService } from '../src/services/RuleService.js';
+
+describe('RuleService', () => {
+    describe('globToRegExp', () => {
+        it('matches the whole URL with * wildcards', () => {
+            const re = RuleService.globToRegExp('https://dash.example.com/*');
+
+            expect(re.test('https://dash.example.com/')).toBe(true);
+            expect(re.test('https://dash.example.com/a/b?c=1')).toBe(true);
+            expect(re.test('https://evil.test/?https://dash.example.com/')).toBe(false);
+        });
+
+        it('treats ? as a single character', () => {
+            const re = RuleService.globToRegExp('https://host?.test/');
+
+            expect(re.test('https://host1.test/')).toBe(true);
+            expect(re.test('https://host12.test/')).toBe(false);
+        });
+
+        it('escapes regex metacharacters', () => {
+            const re = RuleService.globToRegExp('https://a.test/(x)+');
+
+            expect(re.test('https://a.test/(x)+')).toBe(true);
+            expect(re.test('https://aXtest/xx')).toBe(false);
+        });
+    });
+
+    describe('compile / isValid', () => {
+        it('compiles regex rules as unanchored patterns', () => {
+            const re = RuleService.compile({ pattern: 'grafana', type: 'regex' });
+
+            expect(re.test('https://grafana.internal/d/abc')).toBe(true);
+        });
+
+        it('returns null for an invalid regex', () => {
+            expect(RuleService.compile({ pattern: '(', type: 'regex' })).toBeNull();
+            expect(RuleService.isValid({ pattern: '(', type: 'regex' })).toBe(false);
+        });
+
+        it('returns null for an empty pattern', () => {
+            expect(RuleService.isValid({ pattern: '', type: 'glob' })).toBe(false);
+        });
+    });
+
+    describe('findMatchingRule', () => {
+        const rules = [
+            { id: 'a', pattern: 'https://a.test/*', type: 'glob', intervalSeconds: 60, enabled: false },
+            { id: 'b', pattern: 'a\\.test', type: 'regex', intervalSeconds: 300, enabled: true },
+            { id: 'c', pattern: '*', type: 'glob', intervalSeconds: 600, enabled: true },
+        ];
+
+        it('returns the first enabled matching rule', () => {
+            expect(RuleService.findMatchingRule(rules, 'https://a.test/x').id).toBe('b');
+            expect(RuleService.findMatchingRule(rules, 'https://other.test/').id).toBe('c');
+        });
+
+        it('returns null when nothing matches', () => {
+            expect(RuleService.findMatchingRule(rules.slice(0, 2), 'https://other.test/')).toBeNull();
+        });
+
+        it('returns null for an empty URL', () => {
+            expect(RuleService.findMatchingRule(rules, '')).toBeNull();
+        });
+    });
+
+    describe('getLabel', () => {
+        it('prefers the rule name and falls back to the pattern', () => {
+            expect(RuleService.getLabel({ name: 'Dashboards', pattern: '*' })).toBe('Dashboards');
+            expect(RuleService.getLabel({ name: '', pattern: '*' })).toBe('*');
+        });
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { ScheduleService } from '../src/services/ScheduleService.js';
+
+/** 2024-01-05 was a Friday. Times are UTC; windows below use timeZone 'UTC' unless noted. */
+const at = (iso) => new Date(iso);
+
+describe('ScheduleService', () => {
+    describe('parseTime', () => {
+        it('parses HH:MM into minutes since midnight', () => {
+            expect(ScheduleService.parseTime('08:30')).toBe(510);
+            expect(ScheduleService.parseTime('0:05')).toBe(5);
+        });
+
+        it('returns null for malformed times', () => {
+            expect(ScheduleService.parseTime('24:00')).toBeNull();
+            expect(ScheduleService.parseTime('8h')).toBeNull();
+            expect(ScheduleService.parseTime(undefined)).toBeNull();
+        });
+    });
+
+    describe('getLocalParts', () => {
+        it('converts to the requested time zone', () => {
+            // 02:00 UTC on Saturday is 23:00 on Friday in São Paulo (UTC-3).
+            const parts = ScheduleService.getLocalParts(at('2024-01-06T02:00:00Z'), 'America/Sao_Paulo');
+
+            expect(parts).toEqual({ day: 5, minutes: 23 * 60 });
+        });
+
+        it('falls back to local time for an unknown time zone', () => {
+            expect(() => ScheduleService.getLocalParts(at('2024-01-05T10:00:00Z'), 'Not/AZone')).not.toThrow();
+        });
+    });
+
+    describe('isWithinWindow', () => {
+        const weekdays = { enabled: true, days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00', timeZone: 'UTC' };
+
+        it('is inside a same-day window on a selected day', () => {
+            expect(ScheduleService.isWithinWindow(weekdays, at('2024-01-05T12:00:00Z'))).toBe(true);
+        });
+
+        it('excludes the end time and unselected days', () => {
+            expect(ScheduleService.isWithinWindow(weekdays, at('2024-01-05T18:00:00Z'))).toBe(false);
+            expect(ScheduleService.isWithinWindow(weekdays, at('2024-01-06T12:00:00Z'))).toBe(false);
+        });
+
+        it('handles overnight windows as belonging to their start day', () => {
+            const friNight = { enabled: true, days: [5], start: '22:00', end: '06:00', timeZone: 'UTC' };
+
+            expect(ScheduleService.isWithinWindow(friNight, at('2024-01-05T23:00:00Z'))).toBe(true);
+            expect(ScheduleService.isWithinWindow(friNight, at('2024-01-06T05:59:00Z'))).toBe(true);
+            expect(ScheduleService.isWithinWindow(friNight, at('2024-01-06T06:00:00Z'))).toBe(false);
+            // Thursday night into Friday morning is not part of a Friday-only window.
+            expect(ScheduleService.isWithinWindow(friNight, at('2024-01-05T03:00:00Z'))).toBe(false);
+        });
+
+        it('treats an empty day list as every day', () => {
+            const daily = { enabled: true, days: [], start: '22:00', end: '07:00', timeZone: 'UTC' };
+
+            expect(ScheduleService.isWithinWindow(daily, at('2024-01-07T01:00:00Z'))).toBe(true);
+        });
+
+        it('evaluates the window in its own time zone', () => {
+            const tokyo = { enabled: true, days: [], start: '09:00', end: '10:00', timeZone: 'Asia/Tokyo' };
+
+            // 00:30 UTC is 09:30 in Tokyo.
+            expect(ScheduleService.isWithinWindow(tokyo, at('2024-01-05T00:30:00Z'))).toBe(true);
+        });
+    });
+
+    describe('isActive', () => {
+        const options = {
+            activeWindow: { enabled: false, days: [], start: '08:00', end: '18:00', timeZone: 'UTC' },
+            quietHours: { enabled: false, days: [], start: '22:00', end: '07:00', timeZone: 'UTC' },
+        };
+
+        it('is active when no window applies', () => {
+            expect(ScheduleService.isActive(undefined, options, at('2024-01-05T03:00:00Z'))).toBe(true);
+        });
+
+        it('is dormant outside the timer window', () => {
+            const timerWindow = { enabled: true, days: [], start: '08:00', end: '09:00', timeZone: 'UTC' };
+
+            expect(ScheduleService.isActive(timerWindow, options, at('2024-01-05T12:00:00Z'))).toBe(false);
+        });
+
+        it('is dormant outside the global active window', () => {
+            const global = { ...options, activeWindow: { ...options.activeWindow, enabled: true } };
+
+            expect(ScheduleService.isActive(null, global, at('2024-01-05T20:00:00Z'))).toBe(false);
+            expect(ScheduleService.isActive(null, global, at('2024-01-05T10:00:00Z'))).toBe(true);
+        });
+
+        it('is dormant during quiet hours', () => {
+            const quiet = { ...options, quietHours: { ...options.quietHours, enabled: true } };
+
+            expect(ScheduleService.isActive(null, quiet, at('2024-01-05T23:00:00Z'))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { StatsService } from '../src/services/StatsService.js';
+import { StorageService } from '../src/services/StorageService.js';
+import { STATS_DAYS } from '../src/shared/constants.js';
+
+const NOON = new Date(2024, 0, 5, 12, 0, 0).getTime();
+const DAY = 86400000;
+
+const entry = (overrides = {}) => ({
+    time: NOON,
+    tabId: 1,
+    url: 'https://dash.example.com/page',
+    title: 'Dashboard',
+    source: 'alarm',
+    ok: true,
+    status: 200,
+    error: null,
+    durationMs: 800,
+    ...overrides,
+});
+
+describe('StatsService', () => {
+    describe('getDayKey', () => {
+        it('formats the local calendar day', () => {
+            expect(StatsService.getDayKey(NOON)).toBe('2024-01-05');
+            expect(StatsService.getDayKey(new Date(2024, 10, 30, 23, 59).getTime())).toBe('2024-11-30');
+        });
+    });
+
+    describe('getSite', () => {
+        it('returns the host name', () => {
+            expect(StatsService.getSite('https://dash.example.com:8443/a?b')).toBe('dash.example.com');
+        });
+
+        it('returns an empty string for invalid URLs', () => {
+            expect(StatsService.getSite('')).toBe('');
+            expect(StatsService.getSite('not a url')).toBe('');
+        });
+    });
+
+    describe('add', () => {
+        it('counts reloads per day and per site', () => {
+            let stats = StatsService.add(null, entry());
+            stats = StatsService.add(stats, entry({ durationMs: 1200 }));
+            stats = StatsService.add(stats, entry({ url: 'https://shop.test/', time: NOON + DAY }));
+
+            expect(stats.days).toEqual({ '2024-01-05': 2, '2024-01-06': 1 });
+            expect(stats.sites['dash.example.com']).toEqual({ reloads: 2, failures: 0, loadMs: 2000 });
+            expect(stats.sites['shop.test']).toEqual({ reloads: 1, failures: 0, loadMs: 800 });
+        });
+
+        it('counts failures without their load time', () => {
+            const stats = StatsService.add(null, entry({ ok: false, status: 502, error: 'HTTP 502', durationMs: 5000 }));
+
+            expect(stats.sites['dash.example.com']).toEqual({ reloads: 1, failures: 1, loadMs: 0 });
+        });
+
+        it('drops days older than the retention period', () => {
+            let stats = StatsService.add(null, entry());
+            stats = StatsService.add(stats, entry({ time: NOON + (STATS_DAYS - 1) * DAY }));
+            expect(Object.keys(stats.days)).toHaveLength(2);
+
+            stats = StatsService.add(stats, entry({ time: NOON + STATS_DAYS * DAY }));
+            expect(stats.days['2024-01-05']).toBeUndefined();
+            expect(Object.keys(stats.days)).toHaveLength(2);
+        });
+
+        it('skips the site totals for pages without a host', () => {
+            const stats = StatsService.add(null, entry({ url: '' }));
+
+            expect(stats.sites).toEqual({});
+            expect(stats.days['2024-01-05']).toBe(1);
+        });
+
+        it('does not modify the input', () => {
+            const stats = StatsService.add(null, entry());
+            const copy = structuredClone(stats);
+
+            StatsService.add(stats, entry());
+
+            expect(stats).toEqual(copy);
+        });
+    });
+
+    describe('record', () => {
+        it('adds the reload to the stored statistics', async () => {
+            await StatsService.record(entry());
+            await StatsService.record(entry({ ok: false }));
+
+            const stats = await StorageService.getStats();
+            expect(stats.sites['dash.example.com']).toEqual({ reloads: 2, failures: 1, loadMs: 800 });
+        });
+    });
+
+    describe('summarize', () => {
+        it('lists every day of the period, oldest first', () => {
+            const stats = StatsService.add(null, entry());
+
+            const { days } = StatsService.summarize(stats, 3, NOON + DAY);
+
+            expect(days).toEqual([
+                { day: '2024-01-04', reloads: 0 },
+                { day: '2024-01-05', reloads: 1 },
+                { day: '2024-01-06', reloads: 0 },
+            ]);
+        });
+
+        it('ranks sites by reloads with failure rate and average load time', () => {
+            let stats = null;
+            stats = StatsService.add(stats, entry({ url: 'https://a.test/' }));
+            for (const durationMs of [600, 1000]) {
+                stats = StatsService.add(stats, entry({ durationMs }));
+            }
+            stats = StatsService.add(stats, entry({ ok: false }));
+
+            const { sites } = StatsService.summarize(stats, 1, NOON);
+
+            expect(sites).toEqual([
+                { site: 'dash.example.com', reloads: 3, failures: 1, failureRate: 1 / 3, averageLoadMs: 800 },
+                { site: 'a.test', reloads: 1, failures: 0, failureRate: 0, averageLoadMs: 800 },
+            ]);
+        });
+
+        it('has no average load time when every reload failed', () => {
+            const stats = StatsService.add(null, entry({ ok: false }));
+
+            expect(StatsService.summarize(stats, 1, NOON).sites[0].averageLoadMs).toBeNull();
+        });
+
+        it('handles missing statistics', () => {
+            expect(StatsService.summarize(null, 2, NOON)).toEqual({
+                days: [{ day: '2024-01-04', reloads: 0 }, { day: '2024-01-05', reloads: 0 }],
+                sites: [],
+            });
+        });
+    });
+});
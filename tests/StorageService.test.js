@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { resetAllMocks } from './setup.js';
 import { StorageService } from '../src/services/StorageService.js';
+import { DEFAULT_OPTIONS, WEBHOOK_LOG_LIMIT, HISTORY_LIMIT } from '../src/shared/constants.js';
 
 describe('StorageService', () => {
     beforeEach(() => {
@@ -15,10 +16,10 @@ describe('StorageService', () => {
 
     describe('saveInterval', () => {
         it('stores interval data under the correct key', async () => {
-            await StorageService.saveInterval(42, 5);
+            await StorageService.saveInterval(42, 300);
 
             expect(chrome.storage.local.set).toHaveBeenCalledWith({
-                'tab-reloader-alarm-42': { interval: 5 },
+                'tab-reloader-alarm-42': { intervalSeconds: 300 },
             });
         });
 
@@ -26,18 +27,187 @@ describe('StorageService', () => {
             await StorageService.saveInterval(42, 0);
 
             expect(chrome.storage.local.set).toHaveBeenCalledWith({
-                'tab-reloader-alarm-42': { interval: 0 },
+                'tab-reloader-alarm-42': { intervalSeconds: 0 },
             });
         });
     });
 
+    describe('getTimer / updateTimer', () => {
+        it('returns null when no record exists', async () => {
+            expect(await StorageService.getTimer(42)).toBeNull();
+        });
+
+        it('merges fields into the existing record', async () => {
+            await StorageService.saveTimer(42, { intervalSeconds: 300, url: 'https://a.test/' });
+
+            await StorageService.updateTimer(42, { windowId: 1, index: 3 });
+
+            expect(await StorageService.getTimer(42)).toEqual({
+                intervalSeconds: 300,
+                url: 'https://a.test/',
+                windowId: 1,
+                index: 3,
+            });
+        });
+
+        it('saveInterval keeps the rest of the record', async () => {
+            await StorageService.saveTimer(42, { intervalSeconds: 300, url: 'https://a.test/' });
+
+            await StorageService.saveInterval(42, 600);
+
+            expect(await StorageService.getTimer(42)).toEqual({ intervalSeconds: 600, url: 'https://a.test/' });
+        });
+    });
+
+    describe('changeInterval', () => {
+        it('keeps the paused state and the reload count', async () => {
+            await StorageService.saveTimer(42, { intervalSeconds: 300, paused: true, reloadCount: 7, failureCount: 1 });
+
+            const record = await StorageService.changeInterval(42, 600);
+
+            expect(record).toEqual({ intervalSeconds: 600, paused: true, reloadCount: 7, failureCount: 1 });
+            expect(await StorageService.getTimer(42)).toEqual(record);
+        });
+
+        it('returns null for a tab without a timer', async () => {
+            expect(await StorageService.changeInterval(42, 600)).toBeNull();
+            expect(await StorageService.getTimer(42)).toBeNull();
+        });
+    });
+
+    describe('recordReload', () => {
+        it('counts reloads and stamps the last reload time', async () => {
+            await StorageService.saveTimer(42, { intervalSeconds: 300, maxReloads: 3 });
+
+            await StorageService.recordReload(42, 1000);
+            const record = await StorageService.recordReload(42, 2000);
+
+            expect(record).toEqual({
+                intervalSeconds: 300,
+                maxReloads: 3,
+                reloadCount: 2,
+                lastReload: 2000,
+                lastResult: { time: 2000, ok: true, status: null, error: null },
+            });
+            expect(await StorageService.getTimer(42)).toEqual(record);
+        });
+
+        it('returns null for a tab without a timer', async () => {
+            expect(await StorageService.recordReload(42)).toBeNull();
+            expect(await StorageService.getTimer(42)).toBeNull();
+        });
+
+        it('resets the failure count', async () => {
+            await StorageService.saveTimer(42, { intervalSeconds: 300, failureCount: 2, lastError: 'Offline', lastFailureAt: 500 });
+
+            const record = await StorageService.recordReload(42, 1000);
+
+            expect(record).toMatchObject({ intervalSeconds: 300, reloadCount: 1, lastReload: 1000, lastFailureAt: 500 });
+            expect(record).not.toHaveProperty('failureCount');
+            expect(record).not.toHaveProperty('lastError');
+        });
+
+        it('keeps how the page loaded', async () => {
+            await StorageService.saveTimer(42, { intervalSeconds: 300 });
+
+            const record = await StorageService.recordReload(42, 1000, { ok: false, status: 502, error: 'HTTP 502' });
+
+            expect(record.lastResult).toEqual({ time: 1000, ok: false, status: 502, error: 'HTTP 502' });
+        });
+    });
+
+    describe('recordFailure', () => {
+        it('counts failures in a row and keeps the last reason', async () => {
+            await StorageService.saveTimer(42, { intervalSeconds: 300 });
+
+            await StorageService.recordFailure(42, 'Timeout', 1000);
+            const record = await StorageService.recordFailure(42, 'Offline', 2000);
+
+            expect(record).toEqual({
+                intervalSeconds: 300,
+                failureCount: 2,
+                lastError: 'Offline',
+                lastFailureAt: 2000,
+                lastResult: { time: 2000, ok: false, status: null, error: 'Offline' },
+            });
+            expect(await StorageService.getTimer(42)).toEqual(record);
+        });
+
+        it('returns null for a tab without a timer', async () => {
+            expect(await StorageService.recordFailure(42, 'Offline')).toBeNull();
+        });
+    });
+
+    describe('getAllTimers', () => {
+        it('returns full records with their tab IDs', async () => {
+            await chrome.storage.local.set({
+                'tab-reloader-alarm-1': { intervalSeconds: 300, url: 'https://a.test/', windowId: 1, index: 0 },
+                'tab-reloader-alarm-2': { intervalSeconds: 0, url: 'https://b.test/' },
+                'tab-reloader-options': { defaultIntervalSeconds: 300 },
+            });
+
+            const timers = await StorageService.getAllTimers();
+
+            expect(timers).toEqual([
+                { tabId: 1, intervalSeconds: 300, url: 'https://a.test/', windowId: 1, index: 0 },
+            ]);
+        });
+    });
+
+    describe('unmatched timers', () => {
+        it('returns an empty list by default', async () => {
+            expect(await StorageService.getUnmatchedTimers()).toEqual([]);
+        });
+
+        it('adds entries under new ids that never clash', async () => {
+            await StorageService.addUnmatchedTimers([{ url: 'https://a.test/', intervalSeconds: 300, lostAt: 1 }]);
+            await StorageService.addUnmatchedTimers([
+                { url: 'https://a.test/', intervalSeconds: 600, lostAt: 2 },
+                { url: 'https://b.test/', intervalSeconds: 60, lostAt: 2 },
+            ]);
+
+            const entries = await StorageService.getUnmatchedTimers();
+
+            expect(entries).toHaveLength(3);
+            expect(new Set(entries.map(e => e.id)).size).toBe(3);
+            expect(entries[0]).toEqual({ id: expect.any(String), url: 'https://a.test/', intervalSeconds: 300, lostAt: 1 });
+        });
+
+        it('removes an entry and returns it', async () => {
+            await StorageService.addUnmatchedTimers([{ url: 'https://a.test/', intervalSeconds: 300, lostAt: 1 }]);
+            const [{ id }] = await StorageService.getUnmatchedTimers();
+
+            const removed = await StorageService.removeUnmatchedTimer(id);
+
+            expect(removed).toEqual({ id, url: 'https://a.test/', intervalSeconds: 300, lostAt: 1 });
+            expect(await StorageService.getUnmatchedTimers()).toEqual([]);
+        });
+
+        it('removes an entry saved under a numeric tab id', async () => {
+            await chrome.storage.local.set({ 'tab-reloader-unmatched': [{ id: 7, url: 'https://a.test/', intervalSeconds: 300, lostAt: 1 }] });
+
+            expect(await StorageService.removeUnmatchedTimer('7')).toMatchObject({ id: 7 });
+            expect(await StorageService.getUnmatchedTimers()).toEqual([]);
+        });
+    });
+
+    describe('isPausedAll / setPausedAll', () => {
+        it('defaults to false and persists the switch', async () => {
+            expect(await StorageService.isPausedAll()).toBe(false);
+
+            await StorageService.setPausedAll(true);
+
+            expect(await StorageService.isPausedAll()).toBe(true);
+        });
+    });
+
     describe('getInterval', () => {
         it('returns saved interval value', async () => {
-            await chrome.storage.local.set({ 'tab-reloader-alarm-42': { interval: 10 } });
+            await chrome.storage.local.set({ 'tab-reloader-alarm-42': { intervalSeconds: 600 } });
 
             const interval = await StorageService.getInterval(42);
 
-            expect(interval).toBe(10);
+            expect(interval).toBe(600);
         });
 
         it('returns 0 when key does not exist', async () => {
@@ -58,30 +228,30 @@ describe('StorageService', () => {
     describe('getAllIntervals', () => {
         it('returns only tab-reloader entries with valid intervals', async () => {
             await chrome.storage.local.set({
-                'tab-reloader-alarm-1': { interval: 5 },
-                'tab-reloader-alarm-2': { interval: 10 },
-                'tab-reloader-options': { defaultInterval: 5 },
+                'tab-reloader-alarm-1': { intervalSeconds: 300 },
+                'tab-reloader-alarm-2': { intervalSeconds: 600 },
+                'tab-reloader-options': { defaultIntervalSeconds: 300 },
                 'some-other-key': { data: 'hello' },
             });
 
             const intervals = await StorageService.getAllIntervals();
 
             expect(intervals).toHaveLength(2);
-            expect(intervals).toContainEqual({ tabId: 1, interval: 5 });
-            expect(intervals).toContainEqual({ tabId: 2, interval: 10 });
+            expect(intervals).toContainEqual({ tabId: 1, intervalSeconds: 300 });
+            expect(intervals).toContainEqual({ tabId: 2, intervalSeconds: 600 });
         });
 
         it('skips entries with zero or missing intervals', async () => {
             await chrome.storage.local.set({
-                'tab-reloader-alarm-1': { interval: 0 },
+                'tab-reloader-alarm-1': { intervalSeconds: 0 },
                 'tab-reloader-alarm-2': {},
-                'tab-reloader-alarm-3': { interval: 5 },
+                'tab-reloader-alarm-3': { intervalSeconds: 300 },
             });
 
             const intervals = await StorageService.getAllIntervals();
 
             expect(intervals).toHaveLength(1);
-            expect(intervals[0]).toEqual({ tabId: 3, interval: 5 });
+            expect(intervals[0]).toEqual({ tabId: 3, intervalSeconds: 300 });
         });
 
         it('returns empty array when no entries exist', async () => {
@@ -96,51 +266,171 @@ describe('StorageService', () => {
             const options = await StorageService.getOptions();
 
             expect(options).toEqual({
-                defaultInterval: 5,
+                defaultIntervalSeconds: 300,
+                intervalPresets: DEFAULT_OPTIONS.intervalPresets,
                 bypassCache: true,
                 showBadge: true,
+                badgeMode: 'count',
+                badgeColors: DEFAULT_OPTIONS.badgeColors,
+                tintIcon: false,
+                maxConcurrentReloads: 0,
+                errorRetrySeconds: 30,
+                activeWindow: DEFAULT_OPTIONS.activeWindow,
+                quietHours: DEFAULT_OPTIONS.quietHours,
+                notifications: DEFAULT_OPTIONS.notifications,
+                webhook: DEFAULT_OPTIONS.webhook,
             });
         });
 
         it('merges saved options with defaults', async () => {
             await chrome.storage.local.set({
-                'tab-reloader-options': { defaultInterval: 10, showBadge: false },
+                'tab-reloader-options': { defaultIntervalSeconds: 600, showBadge: false },
             });
 
             const options = await StorageService.getOptions();
 
             expect(options).toEqual({
-                defaultInterval: 10,
+                defaultIntervalSeconds: 600,
+                intervalPresets: DEFAULT_OPTIONS.intervalPresets,
                 bypassCache: true,
                 showBadge: false,
+                badgeMode: 'count',
+                badgeColors: DEFAULT_OPTIONS.badgeColors,
+                tintIcon: false,
+                maxConcurrentReloads: 0,
+                errorRetrySeconds: 30,
+                activeWindow: DEFAULT_OPTIONS.activeWindow,
+                quietHours: DEFAULT_OPTIONS.quietHours,
+                notifications: DEFAULT_OPTIONS.notifications,
+                webhook: DEFAULT_OPTIONS.webhook,
             });
         });
     });
 
     describe('saveOptions', () => {
         it('merges new options with existing ones', async () => {
-            await StorageService.saveOptions({ defaultInterval: 15 });
+            await StorageService.saveOptions({ defaultIntervalSeconds: 900 });
 
             const stored = chrome.storage.local._getStore();
             expect(stored['tab-reloader-options']).toEqual({
-                defaultInterval: 15,
+                defaultIntervalSeconds: 900,
+                intervalPresets: DEFAULT_OPTIONS.intervalPresets,
                 bypassCache: true,
                 showBadge: true,
+                badgeMode: 'count',
+                badgeColors: DEFAULT_OPTIONS.badgeColors,
+                tintIcon: false,
+                maxConcurrentReloads: 0,
+                errorRetrySeconds: 30,
+                activeWindow: DEFAULT_OPTIONS.activeWindow,
+                quietHours: DEFAULT_OPTIONS.quietHours,
+                notifications: DEFAULT_OPTIONS.notifications,
+                webhook: DEFAULT_OPTIONS.webhook,
             });
         });
     });
 
+    describe('webhook log', () => {
+        it('keeps the newest deliveries first, up to the limit', async () => {
+            for (let i = 0; i < WEBHOOK_LOG_LIMIT + 2; i++) {
+                await StorageService.addWebhookLogEntry({ time: i, event: 'contentChanged', ok: true });
+            }
+
+            const log = await StorageService.getWebhookLog();
+
+            expect(log).toHaveLength(WEBHOOK_LOG_LIMIT);
+            expect(log[0].time).toBe(WEBHOOK_LOG_LIMIT + 1);
+        });
+
+        it('clears the log', async () => {
+            await StorageService.addWebhookLogEntry({ time: 1, event: 'reloadFailed', ok: false });
+
+            await StorageService.clearWebhookLog();
+
+            expect(await StorageService.getWebhookLog()).toEqual([]);
+        });
+    });
+
+    describe('history', () => {
+        it('keeps the newest reloads first, up to the limit', async () => {
+            for (let i = 0; i < HISTORY_LIMIT + 1; i++) {
+                await StorageService.addHistoryEntry({ time: i, tabId: 1, ok: true });
+            }
+
+            const history = await StorageService.getHistory();
+
+            expect(history).toHaveLength(HISTORY_LIMIT);
+            expect(history[0].time).toBe(HISTORY_LIMIT);
+            expect(history.at(-1).time).toBe(1);
+        });
+
+        it('clears the history', async () => {
+            await StorageService.addHistoryEntry({ time: 1, tabId: 1, ok: true });
+
+            await StorageService.clearHistory();
+
+            expect(await StorageService.getHistory()).toEqual([]);
+        });
+    });
+
+    describe('stats', () => {
+        it('returns null before anything is recorded', async () => {
+            expect(await StorageService.getStats()).toBeNull();
+        });
+
+        it('saves and clears the statistics', async () => {
+            const stats = { days: { '2024-01-05': 2 }, sites: {} };
+
+            await StorageService.saveStats(stats);
+            expect(await StorageService.getStats()).toEqual(stats);
+
+            await StorageService.clearStats();
+            expect(await StorageService.getStats()).toBeNull();
+        });
+    });
+
+    describe('migrate', () => {
+        it('converts minute intervals to seconds', async () => {
+            await chrome.storage.local.set({
+                'tab-reloader-alarm-1': { interval: 5, url: 'https://a.test/' },
+                'tab-reloader-alarm-2': { interval: 0.25 },
+                'tab-reloader-unmatched': [{ id: 1, url: 'https://b.test/', interval: 1.5, lostAt: 1 }],
+                'tab-reloader-rules': [{ id: 'r', pattern: '*', type: 'glob', interval: 10, enabled: true }],
+                'tab-reloader-options': { defaultInterval: 2, showBadge: false },
+            });
+
+            expect(await StorageService.migrate()).toBe(true);
+
+            const stored = chrome.storage.local._getStore();
+            expect(stored['tab-reloader-alarm-1']).toEqual({ intervalSeconds: 300, url: 'https://a.test/' });
+            expect(stored['tab-reloader-alarm-2']).toEqual({ intervalSeconds: 15 });
+            expect(stored['tab-reloader-unmatched']).toEqual([{ id: 1, url: 'https://b.test/', intervalSeconds: 90, lostAt: 1 }]);
+            expect(stored['tab-reloader-rules'][0]).toEqual({ id: 'r', pattern: '*', type: 'glob', intervalSeconds: 600, enabled: true });
+            expect(stored['tab-reloader-options']).toEqual({ defaultIntervalSeconds: 120, showBadge: false });
+        });
+
+        it('leaves converted data alone', async () => {
+            await chrome.storage.local.set({
+                'tab-reloader-alarm-1': { intervalSeconds: 300 },
+                'tab-reloader-options': { defaultIntervalSeconds: 60 },
+            });
+
+            expect(await StorageService.migrate()).toBe(false);
+            expect(chrome.storage.local._getStore()['tab-reloader-alarm-1']).toEqual({ intervalSeconds: 300 });
+        });
+    });
+
     describe('exportAll / importAll', () => {
         it('exports all stored data', async () => {
             await chrome.storage.local.set({
-                'tab-reloader-alarm-1': { interval: 5 },
+                'tab-reloader-alarm-1': { intervalSeconds: 300 },
                 'tab-reloader-options': { showBadge: false },
             });
 
             const data = await StorageService.exportAll();
 
             expect(data).toEqual({
-                'tab-reloader-alarm-1': { interval: 5 },
+                'tab-reloader-alarm-1': { intervalSeconds: 300 },
                 'tab-reloader-options': { showBadge: false },
             });
         });
@@ -149,12 +439,12 @@ describe('StorageService', () => {
             await chrome.storage.local.set({ 'old-key': 'old-value' });
 
             await StorageService.importAll({
-                'tab-reloader-alarm-99': { interval: 3 },
+                'tab-reloader-alarm-99': { intervalSeconds: 180 },
             });
 
             expect(chrome.storage.local.clear).toHaveBeenCalled();
             const stored = chrome.storage.local._getStore();
-            expect(stored['tab-reloader-alarm-99']).toEqual({ interval: 3 });
+            expect(stored['tab-reloader-alarm-99']).toEqual({ intervalSeconds: 180 });
             expect(stored['old-key']).toBeUndefined();
         });
     });
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { resetAllMocks } from './setup.js';
 import { TabService } from '../src/services/TabService.js';
 
@@ -41,6 +41,60 @@ describe('TabService', () => {
         });
     });
 
+    describe('reloadTabAndWait', () => {
+        it('resolves true once the tab finishes loading', async () => {
+            const result = TabService.reloadTabAndWait(42, true, 1000);
+            await vi.waitFor(() => expect(chrome.tabs.reload).toHaveBeenCalled());
+
+            chrome.tabs._emitUpdated(7, { status: 'complete' });
+            chrome.tabs._emitUpdated(42, { status: 'complete' });
+
+            await expect(result).resolves.toBe(true);
+            expect(chrome.tabs.onUpdated.removeListener).toHaveBeenCalled();
+        });
+
+        it('resolves false when the load times out', async () => {
+            await expect(TabService.reloadTabAndWait(42, true, 10)).resolves.toBe(false);
+        });
+
+        it('stops listening when the reload fails', async () => {
+            chrome.tabs.reload.mockRejectedValueOnce(new Error('No tab with id: 42'));
+
+            await expect(TabService.reloadTabAndWait(42, true, 1000)).rejects.toThrow('No tab');
+            expect(chrome.tabs.onUpdated.removeListener).toHaveBeenCalled();
+        });
+    });
+
+    describe('navigateTabAndWait', () => {
+        it('opens the URL and resolves true once the tab finishes loading', async () => {
+            chrome.tabs._setTabs([{ id: 42, windowId: 7, url: 'https://example.com/drifted' }]);
+
+            const result = TabService.navigateTabAndWait(42, 'https://example.com/', 1000);
+            await vi.waitFor(() => expect(chrome.tabs.update).toHaveBeenCalledWith(42, { url: 'https://example.com/' }));
+            chrome.tabs._emitUpdated(42, { status: 'complete' });
+
+            await expect(result).resolves.toBe(true);
+            expect(chrome.tabs.onUpdated.removeListener).toHaveBeenCalled();
+        });
+    });
+
+    describe('focusTab', () => {
+        it('activates the tab and focuses its window', async () => {
+            chrome.tabs._setTabs([{ id: 42, windowId: 7 }]);
+
+            const focused = await TabService.focusTab(42);
+
+            expect(focused).toBe(true);
+            expect(chrome.tabs.update).toHaveBeenCalledWith(42, { active: true });
+            expect(chrome.windows.update).toHaveBeenCalledWith(7, { focused: true });
+        });
+
+        it('returns false when the tab is gone', async () => {
+            expect(await TabService.focusTab(42)).toBe(false);
+            expect(chrome.windows.update).not.toHaveBeenCalled();
+        });
+    });
+
     describe('getAllOpenTabIds', () => {
         it('returns a Set of all open tab IDs', async () => {
             chrome.tabs.query.mockResolvedValue([
@@ -73,11 +127,12 @@ describe('TabService', () => {
                 id: 42,
                 title: 'My Page',
                 url: 'https://example.com',
+                windowId: 7,
             });
 
             const info = await TabService.getTabInfo(42);
 
-            expect(info).toEqual({ title: 'My Page', url: 'https://example.com' });
+            expect(info).toEqual({ title: 'My Page', url: 'https://example.com', windowId: 7 });
         });
 
         it('returns null for non-existent tab', async () => {
@@ -97,6 +152,83 @@ describe('TabService', () => {
         });
     });
 
+    describe('getTabLocation', () => {
+        it('returns url, windowId and index for an existing tab', async () => {
+            chrome.tabs.get.mockResolvedValue({ id: 42, url: 'https://a.test/', windowId: 7, index: 2 });
+
+            const location = await TabService.getTabLocation(42);
+
+            expect(location).toEqual({ url: 'https://a.test/', windowId: 7, index: 2 });
+        });
+
+        it('returns null for a non-existent tab', async () => {
+            chrome.tabs.get.mockRejectedValue(new Error('No tab'));
+
+            expect(await TabService.getTabLocation(999)).toBeNull();
+        });
+    });
+
+    describe('matchTimersToTabs', () => {
+        it('keeps a timer on its tab when the ID and URL still match', () => {
+            const timers = [{ tabId: 1, url: 'https://a.test/', intervalSeconds: 300 }];
+            const tabs = [{ id: 1, url: 'https://a.test/', windowId: 1, index: 0 }];
+
+            const { matched, unmatched } = TabService.matchTimersToTabs(timers, tabs);
+
+            expect(matched).toEqual([{ timer: timers[0], tab: tabs[0] }]);
+            expect(unmatched).toEqual([]);
+        });
+
+        it('rebinds a timer to a restored tab with the same URL', () => {
+            const timers = [{ tabId: 10, url: 'https://a.test/', windowId: 1, index: 0, intervalSeconds: 300 }];
+            const tabs = [{ id: 200, url: 'https://a.test/', windowId: 50, index: 0 }];
+
+            const { matched } = TabService.matchTimersToTabs(timers, tabs);
+
+            expect(matched[0].tab.id).toBe(200);
+        });
+
+        it('does not keep a reused tab ID that now shows a different URL', () => {
+            const timers = [{ tabId: 1, url: 'https://a.test/', intervalSeconds: 300 }];
+            const tabs = [
+                { id: 1, url: 'https://other.test/', windowId: 1, index: 0 },
+                { id: 2, url: 'https://a.test/', windowId: 1, index: 1 },
+            ];
+
+            const { matched } = TabService.matchTimersToTabs(timers, tabs);
+
+            expect(matched[0].tab.id).toBe(2);
+        });
+
+        it('prefers the tab at the same index when several share the URL', () => {
+            const timers = [
+                { tabId: 10, url: 'https://a.test/', windowId: 1, index: 3, intervalSeconds: 300 },
+                { tabId: 11, url: 'https://a.test/', windowId: 1, index: 0, intervalSeconds: 60 },
+            ];
+            const tabs = [
+                { id: 100, url: 'https://a.test/', windowId: 9, index: 0 },
+                { id: 101, url: 'https://a.test/', windowId: 9, index: 3 },
+            ];
+
+            const { matched } = TabService.matchTimersToTabs(timers, tabs);
+
+            expect(matched.find(m => m.timer.tabId === 10).tab.id).toBe(101);
+            expect(matched.find(m => m.timer.tabId === 11).tab.id).toBe(100);
+        });
+
+        it('reports timers with no matching tab as unmatched', () => {
+            const timers = [
+                { tabId: 10, url: 'https://gone.test/', intervalSeconds: 300 },
+                { tabId: 11, intervalSeconds: 300 },
+            ];
+
+            const { matched, unmatched } = TabService.matchTimersToTabs(timers, [{ id: 1, url: 'https://a.test/' }]);
+
+            expect(matched).toEqual([]);
+            expect(unmatched).toEqual(timers);
+        });
+    });
+
     describe('isRestrictedUrl', () => {
         it('returns true for chrome:// URLs', () => {
             expect(TabService.isRestrictedUrl('chrome://extensions')).toBe(true);
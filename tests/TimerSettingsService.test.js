@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { TimerSettingsService } from '../src/services/TimerSettingsService.js';
+import { DEFAULT_OPTIONS } from '../src/shared/constants.js';
+
+describe('TimerSettingsService', () => {
+    describe('resolve', () => {
+        it('returns the global options for a timer without settings', () => {
+            const options = TimerSettingsService.resolve(DEFAULT_OPTIONS, undefined);
+
+            expect(options.bypassCache).toBe(true);
+            expect(options.reloadMode).toBe('reload');
+            expect(options.notifications).toEqual(DEFAULT_OPTIONS.notifications);
+            expect(options.defaultIntervalSeconds).toBe(DEFAULT_OPTIONS.defaultIntervalSeconds);
+        });
+
+        it('lets the timer\'s settings take precedence', () => {
+            const settings = { bypassCache: false, notifications: { reloadFailed: { notify: false, sound: true } } };
+
+            const options = TimerSettingsService.resolve(DEFAULT_OPTIONS, settings);
+
+            expect(options.bypassCache).toBe(false);
+            expect(options.reloadTarget).toBeNull();
+            expect(options.notifications.reloadFailed).toEqual({ notify: false, sound: true });
+            expect(options.notifications.contentChanged).toEqual(DEFAULT_OPTIONS.notifications.contentChanged);
+        });
+
+        it('resolves the reload mode with its target', () => {
+            const options = TimerSettingsService.resolve(DEFAULT_OPTIONS, { reloadMode: 'click', reloadTarget: 'button.refresh' });
+
+            expect(options).toMatchObject({ reloadMode: 'click', reloadTarget: 'button.refresh' });
+        });
+    });
+
+    describe('isValid', () => {
+        it('accepts well-formed settings', () => {
+            expect(TimerSettingsService.isValid({})).toBe(true);
+            expect(TimerSettingsService.isValid({ bypassCache: false, reloadMode: 'reload' })).toBe(true);
+            expect(TimerSettingsService.isValid({ notifications: { keywordMatched: { notify: true, sound: false } } })).toBe(true);
+            expect(TimerSettingsService.isValid({ bypassCache: null, notifications: { keywordMatched: null } })).toBe(true);
+        });
+
+        it('rejects bad values and unknown events', () => {
+            expect(TimerSettingsService.isValid(null)).toBe(false);
+            expect(TimerSettingsService.isValid([])).toBe(false);
+            expect(TimerSettingsService.isValid({ bypassCache: 'yes' })).toBe(false);
+            expect(TimerSettingsService.isValid({ reloadMode: 'explode' })).toBe(false);
+            expect(TimerSettingsService.isValid({ reloadMode: 'frame' })).toBe(false);
+            expect(TimerSettingsService.isValid({ reloadMode: 'click', reloadTarget: '  ' })).toBe(false);
+            expect(TimerSettingsService.isValid({ reloadMode: 'navigate', reloadTarget: 'javascript:alert(1)' })).toBe(false);
+            expect(TimerSettingsService.isValid({ notifications: { nope: { notify: true, sound: true } } })).toBe(false);
+            expect(TimerSettingsService.isValid({ notifications: { reloadFailed: { notify: true } } })).toBe(false);
+        });
+    });
+
+    describe('isValidReloadTarget', () => {
+        it('needs a web URL to navigate to and a selector to click or reload', () => {
+            expect(TimerSettingsService.isValidReloadTarget('reload', undefined)).toBe(true);
+            expect(TimerSettingsService.isValidReloadTarget('navigate', 'https://example.com/dashboard')).toBe(true);
+            expect(TimerSettingsService.isValidReloadTarget('navigate', 'example.com')).toBe(false);
+            expect(TimerSettingsService.isValidReloadTarget('click', '#refresh')).toBe(true);
+            expect(TimerSettingsService.isValidReloadTarget('frame', '')).toBe(false);
+        });
+    });
+
+    describe('loadsPage', () => {
+        it('is true for the modes that load the page', () => {
+            expect(TimerSettingsService.loadsPage(null)).toBe(true);
+            expect(TimerSettingsService.loadsPage({ reloadMode: 'navigate', reloadTarget: 'https://example.com/' })).toBe(true);
+            expect(TimerSettingsService.loadsPage({ reloadMode: 'click', reloadTarget: '#refresh' })).toBe(false);
+            expect(TimerSettingsService.loadsPage({ reloadMode: 'frame', reloadTarget: 'iframe' })).toBe(false);
+        });
+    });
+
+    describe('normalize', () => {
+        it('keeps only the settings that are set', () => {
+            const settings = { bypassCache: false, reloadMode: null, notifications: { timerExpired: null } };
+
+            expect(TimerSettingsService.normalize(settings)).toEqual({ bypassCache: false });
+        });
+
+        it('stores a reload mode with its target, but not the default mode', () => {
+            expect(TimerSettingsService.normalize({ reloadMode: 'frame', reloadTarget: ' iframe#chart ' }))
+                .toEqual({ reloadMode: 'frame', reloadTarget: 'iframe#chart' });
+            expect(TimerSettingsService.normalize({ reloadMode: 'reload', reloadTarget: 'ignored' })).toBeNull();
+        });
+
+        it('returns null when nothing is set', () => {
+            expect(TimerSettingsService.normalize(null)).toBeNull();
+            expect(TimerSettingsService.normalize({ notifications: {} })).toBeNull();
+        });
+    });
+});
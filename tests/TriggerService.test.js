@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { TriggerService } from '../src/services/TriggerService.js';
+
+const appears = { pattern: 'In stock', type: 'text', when: 'appears' };
+const disappears = { pattern: 'Maintenance', type: 'text', when: 'disappears' };
+
+describe('TriggerService', () => {
+    describe('compile', () => {
+        it('matches plain text literally and case-insensitively', () => {
+            const re = TriggerService.compile({ pattern: 'Price: $5.00 (net)', type: 'text', when: 'appears' });
+
+            expect(re.test('price: $5.00 (NET)')).toBe(true);
+            expect(re.test('Price: $5a00 (net)')).toBe(false);
+        });
+
+        it('compiles regex patterns', () => {
+            const re = TriggerService.compile({ pattern: '\\d+ left', type: 'regex', when: 'appears' });
+
+            expect(re.test('Only 3 left!')).toBe(true);
+        });
+
+        it('returns null for invalid or empty patterns', () => {
+            expect(TriggerService.compile({ pattern: '(', type: 'regex', when: 'appears' })).toBeNull();
+            expect(TriggerService.compile({ pattern: '', type: 'text', when: 'appears' })).toBeNull();
+        });
+    });
+
+    describe('isValid', () => {
+        it('requires a known transition', () => {
+            expect(TriggerService.isValid(appears)).toBe(true);
+            expect(TriggerService.isValid({ ...appears, when: 'changes' })).toBe(false);
+        });
+    });
+
+    describe('findSnippet', () => {
+        it('returns the text around the match', () => {
+            const text = `${'a'.repeat(60)} Now In stock today ${'b'.repeat(60)}`;
+
+            const snippet = TriggerService.findSnippet(appears, text);
+
+            expect(snippet).toContain('Now In stock today');
+            expect(snippet.startsWith('…')).toBe(true);
+            expect(snippet.endsWith('…')).toBe(true);
+        });
+
+        it('returns null when the pattern is absent', () => {
+            expect(TriggerService.findSnippet(appears, 'Sold out')).toBeNull();
+        });
+    });
+
+    describe('evaluate', () => {
+        it('meets "appears" when the pattern shows up', () => {
+            expect(TriggerService.evaluate(appears, 'In stock', false)).toMatchObject({ present: true, met: true });
+            expect(TriggerService.evaluate(appears, 'In stock', undefined)).toMatchObject({ met: true });
+        });
+
+        it('does not meet "appears" again while the pattern stays', () => {
+            expect(TriggerService.evaluate(appears, 'In stock', true)).toMatchObject({ present: true, met: false });
+        });
+
+        it('meets "disappears" only after the pattern was seen', () => {
+            expect(TriggerService.evaluate(disappears, 'All good', undefined)).toMatchObject({ present: false, met: false });
+            expect(TriggerService.evaluate(disappears, 'All good', true)).toMatchObject({ met: true, snippet: '' });
+            expect(TriggerService.evaluate(disappears, 'Maintenance tonight', true)).toMatchObject({ met: false });
+        });
+    });
+
+    describe('isSameCondition', () => {
+        it('ignores stopOnMatch', () => {
+            expect(TriggerService.isSameCondition(appears, { ...appears, stopOnMatch: true })).toBe(true);
+            expect(TriggerService.isSameCondition(appears, disappears)).toBe(false);
+            expect(TriggerService.isSameCondition(null, undefined)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { resetAllMocks } from './setup.js';
+import { WebhookService } from '../src/services/WebhookService.js';
+import { StorageService } from '../src/services/StorageService.js';
+
+const HOOK_URL = 'https://example.com/hook';
+
+describe('WebhookService', () => {
+    beforeEach(() => {
+        resetAllMocks();
+        vi.stubGlobal('fetch', vi.fn());
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    describe('isValidUrl', () => {
+        it('accepts http(s) URLs only', () => {
+            expect(WebhookService.isValidUrl(HOOK_URL)).toBe(true);
+            expect(WebhookService.isValidUrl('http://localhost:8080/x')).toBe(true);
+            expect(WebhookService.isValidUrl('ftp://example.com')).toBe(false);
+            expect(WebhookService.isValidUrl('not a url')).toBe(false);
+            expect(WebhookService.isValidUrl('')).toBe(false);
+        });
+    });
+
+    describe('buildPayload', () => {
+        it('describes the event, tab and timer settings', () => {
+            const payload = WebhookService.buildPayload('keywordMatched', {
+                tabId: 42,
+                tab: { title: 'Dashboard', url: 'https://example.com/' },
+                timer: { intervalSeconds: 300, paused: false, watchHash: 'abc', triggerPresent: true },
+                data: { pattern: 'Sold out' },
+            });
+
+            expect(payload).toMatchObject({
+                event: 'keywordMatched',
+                tab: { id: 42, url: 'https://example.com/', title: 'Dashboard' },
+                timer: { intervalSeconds: 300, paused: false },
+                details: { pattern: 'Sold out' },
+            });
+            expect(payload.timer).not.toHaveProperty('watchHash');
+            expect(payload.timer).not.toHaveProperty('interval');
+            expect(Date.parse(payload.timestamp)).not.toBeNaN();
+        });
+
+        it('falls back to the timer URL when the tab is gone', () => {
+            const payload = WebhookService.buildPayload('reloadFailed', { tabId: 42, timer: { intervalSeconds: 300, url: 'https://a.test/' } });
+
+            expect(payload.tab).toEqual({ id: 42, url: 'https://a.test/', title: '' });
+        });
+    });
+
+    describe('deliver', () => {
+        const retry = { maxAttempts: 3, backoffMs: 0 };
+
+        it('posts the payload as JSON', async () => {
+            fetch.mockResolvedValue({ ok: true, status: 200 });
+
+            const result = await WebhookService.deliver(HOOK_URL, { event: 'test' }, retry);
+
+            expect(result).toEqual({ ok: true, status: 200, attempts: 1, error: null });
+            expect(fetch).toHaveBeenCalledWith(HOOK_URL, expect.objectContaining({
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: '{"event":"test"}',
+            }));
+        });
+
+        it('retries server errors until one succeeds', async () => {
+            fetch.mockResolvedValueOnce({ ok: false, status: 503 }).mockResolvedValueOnce({ ok: true, status: 204 });
+
+            const result = await WebhookService.deliver(HOOK_URL, {}, retry);
+
+            expect(result).toEqual({ ok: true, status: 204, attempts: 2, error: null });
+        });
+
+        it('retries network errors and gives up after the last attempt', async () => {
+            fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+            const result = await WebhookService.deliver(HOOK_URL, {}, retry);
+
+            expect(fetch).toHaveBeenCalledTimes(3);
+            expect(result).toEqual({ ok: false, status: null, attempts: 3, error: 'Failed to fetch' });
+        });
+
+        it('does not retry client errors', async () => {
+            fetch.mockResolvedValue({ ok: false, status: 404 });
+
+            const result = await WebhookService.deliver(HOOK_URL, {}, retry);
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(result).toEqual({ ok: false, status: 404, attempts: 1, error: 'HTTP 404' });
+        });
+
+        it('retries rate limiting', () => {
+            expect(WebhookService.isRetryableStatus(429)).toBe(true);
+            expect(WebhookService.isRetryableStatus(408)).toBe(true);
+            expect(WebhookService.isRetryableStatus(400)).toBe(false);
+        });
+    });
+
+    describe('dispatch', () => {
+        const context = { tabId: 42, data: {} };
+
+        beforeEach(() => {
+            fetch.mockResolvedValue({ ok: true, status: 200 });
+        });
+
+        it('does nothing while the webhook is disabled', async () => {
+            await StorageService.saveOptions({ webhook: { enabled: false, url: HOOK_URL, events: ['contentChanged'] } });
+
+            expect(await WebhookService.dispatch('contentChanged', context)).toBeNull();
+            expect(fetch).not.toHaveBeenCalled();
+        });
+
+        it('skips events that are not selected', async () => {
+            await StorageService.saveOptions({ webhook: { enabled: true, url: HOOK_URL, events: ['contentChanged'] } });
+
+            expect(await WebhookService.dispatch('timerExpired', context)).toBeNull();
+            expect(fetch).not.toHaveBeenCalled();
+        });
+
+        it('sends selected events and logs the delivery', async () => {
+            await StorageService.saveOptions({ webhook: { enabled: true, url: HOOK_URL, events: ['contentChanged'] } });
+
+            const result = await WebhookService.dispatch('contentChanged', context);
+
+            expect(result.ok).toBe(true);
+            const [entry] = await StorageService.getWebhookLog();
+            expect(entry).toMatchObject({ event: 'contentChanged', url: HOOK_URL, ok: true, status: 200, attempts: 1 });
+        });
+    });
+});
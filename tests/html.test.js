@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { escapeHtml } from '../src/ui/html.js';
+
+describe('escapeHtml', () => {
+    it('escapes markup characters', () => {
+        expect(escapeHtml('<b>Tom & Jerry</b>')).toBe('&lt;b&gt;Tom &amp; Jerry&lt;/b&gt;');
+    });
+
+    it('keeps a snippet with quotes inside its title attribute', () => {
+        const snippet = 'Price: "low" \' onmouseover="alert(1)" "><img src=x onerror=alert(1)>';
+        const html = `<span title="${escapeHtml(snippet)}">`;
+
+        expect(escapeHtml(snippet)).not.toMatch(/["'<>]/);
+        expect(html.match(/"/g)).toHaveLength(2);
+        expect(html).toBe('<span title="Price: &quot;low&quot; &#39; onmouseover=&quot;alert(1)&quot; '
+            + '&quot;&gt;&lt;img src=x onerror=alert(1)&gt;">');
+    });
+
+    it('turns missing values into an empty string', () => {
+        expect(escapeHtml(null)).toBe('');
+        expect(escapeHtml(undefined)).toBe('');
+        expect(escapeHtml(42)).toBe('42');
+    });
+});
@@ -53,13 +53,15 @@ function createAlarmsMock() {
     return {
         create: vi.fn((name, alarmInfo) => {
             alarms = alarms.filter(a => a.name !== name);
-            alarms.push({ name, ...alarmInfo });
+            const scheduledTime = alarmInfo.when ?? Date.now() + (alarmInfo.delayInMinutes ?? alarmInfo.periodInMinutes) * 60000;
+            alarms.push({ name, scheduledTime, ...alarmInfo });
         }),
         clear: vi.fn(async (name) => {
             const existed = alarms.some(a => a.name === name);
             alarms = alarms.filter(a => a.name !== name);
             return existed;
         }),
+        get: vi.fn(async (name) => alarms.find(a => a.name === name)),
         getAll: vi.fn(async () => [...alarms]),
         onAlarm: {
             addListener: vi.fn((callback) => listeners.push(callback)),
@@ -82,10 +84,16 @@ function createAlarmsMock() {
 function createTabsMock() {
     let tabs = [];
     const listeners = [];
+    let updatedListeners = [];
 
     return {
         query: vi.fn(async () => [...tabs]),
         reload: vi.fn(async () => { }),
+        update: vi.fn(async (tabId, props) => {
+            const tab = tabs.find(t => t.id === tabId);
+            if (!tab) throw new Error(`No tab with id: ${tabId}`);
+            return { ...tab, ...props };
+        }),
         get: vi.fn(async (tabId) => {
             const tab = tabs.find(t => t.id === tabId);
             if (!tab) throw new Error(`No tab with id: ${tabId}`);
@@ -94,10 +102,20 @@ function createTabsMock() {
         onRemoved: {
             addListener: vi.fn((callback) => listeners.push(callback)),
         },
+        onUpdated: {
+            addListener: vi.fn((callback) => updatedListeners.push(callback)),
+            removeListener: vi.fn((callback) => {
+                updatedListeners = updatedListeners.filter(l => l !== callback);
+            }),
+        },
+        /** Helper: dispatch a tabs.onUpdated event */
+        _emitUpdated: (tabId, changeInfo) => {
+            updatedListeners.forEach(l => l(tabId, changeInfo, { id: tabId }));
+        },
         /** Helper: set tabs for testing */
         _setTabs: (newTabs) => { tabs = newTabs; },
         /** Helper: reset */
-        _reset: () => { tabs = []; },
+        _reset: () => { tabs = []; updatedListeners = []; },
     };
 }
 
@@ -109,6 +127,25 @@ function createActionMock() {
     return {
         setBadgeText: vi.fn(async () => { }),
         setBadgeBackgroundColor: vi.fn(async () => { }),
+        setIcon: vi.fn(async () => { }),
+    };
+}
+
+/**
+ * Creates a mock of the chrome.offscreen API.
+ * Tracks whether the single offscreen document is open.
+ * @returns {object} Mocked chrome.offscreen API.
+ */
+function createOffscreenMock() {
+    let open = false;
+
+    return {
+        createDocument: vi.fn(async () => { open = true; }),
+        closeDocument: vi.fn(async () => { open = false; }),
+        /** Helper: whether the offscreen document is open */
+        _isOpen: () => open,
+        /** Helper: reset */
+        _reset: () => { open = false; },
     };
 }
 
@@ -119,6 +156,10 @@ function createActionMock() {
 function createRuntimeMock() {
     return {
         sendMessage: vi.fn(async () => ({})),
+        getURL: vi.fn((path) => `chrome-extension://test-id/${path}`),
+        getContexts: vi.fn(async () => (
+            chrome.offscreen._isOpen() ? [{ contextType: 'OFFSCREEN_DOCUMENT' }] : []
+        )),
         onMessage: {
             addListener: vi.fn(),
         },
@@ -132,6 +173,78 @@ function createRuntimeMock() {
     };
 }
 
+/**
+ * Creates a mock of the chrome.scripting API.
+ * Runs injected functions directly, or returns a canned result when one is set.
+ * @returns {object} Mocked chrome.scripting API.
+ */
+function createScriptingMock() {
+    let result;
+
+    return {
+        executeScript: vi.fn(async ({ func, args = [] }) => [{ result: result !== undefined ? result : func(...args) }]),
+        /** Helper: set the value returned by the injected function */
+        _setResult: (value) => { result = value; },
+        /** Helper: reset */
+        _reset: () => { result = undefined; },
+    };
+}
+
+/**
+ * Creates a mock of the chrome.notifications API.
+ * @returns {object} Mocked chrome.notifications API.
+ */
+function createNotificationsMock() {
+    return {
+        create: vi.fn(async (id) => id),
+        clear: vi.fn(async () => true),
+        onClicked: {
+            addListener: vi.fn(),
+        },
+    };
+}
+
+/**
+ * Creates a mock of the chrome.windows API.
+ * @returns {object} Mocked chrome.windows API.
+ */
+function createWindowsMock() {
+    return {
+        update: vi.fn(async (windowId, props) => ({ id: windowId, ...props })),
+    };
+}
+
+/**
+ * Creates a mock of the chrome.contextMenus API.
+ * Keeps the created entries by ID so updates can be asserted on.
+ * @returns {object} Mocked chrome.contextMenus API.
+ */
+function createContextMenusMock() {
+    let items = new Map();
+
+    return {
+        create: vi.fn((properties) => {
+            items.set(properties.id, { ...properties });
+        }),
+        update: vi.fn(async (id, properties) => {
+            if (!items.has(id)) throw new Error(`Cannot find menu item with id ${id}`);
+            Object.assign(items.get(id), properties);
+        }),
+        removeAll: vi.fn(async () => {
+            items = new Map();
+        }),
+        onClicked: {
+            addListener: vi.fn(),
+        },
+        /** Helper: get a created entry */
+        _getItem: (id) => items.get(id),
+        /** Helper: list created entry IDs in creation order */
+        _getIds: () => [...items.keys()],
+        /** Helper: reset */
+        _reset: () => { items = new Map(); },
+    };
+}
+
 /**
  * Creates a mock of the chrome.i18n API.
  * @returns {object} Mocked chrome.i18n API.
@@ -149,6 +262,11 @@ globalThis.chrome = {
     tabs: createTabsMock(),
     action: createActionMock(),
     runtime: createRuntimeMock(),
+    offscreen: createOffscreenMock(),
+    scripting: createScriptingMock(),
+    notifications: createNotificationsMock(),
+    windows: createWindowsMock(),
+    contextMenus: createContextMenusMock(),
     i18n: createI18nMock(),
 };
 
@@ -160,6 +278,9 @@ export function resetAllMocks() {
     chrome.storage.local._reset();
     chrome.alarms._reset();
     chrome.tabs._reset();
+    chrome.offscreen._reset();
+    chrome.scripting._reset();
+    chrome.contextMenus._reset();
 
     vi.clearAllMocks();
 }